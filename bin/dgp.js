@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * dgp - DeAlgo Governance Protocol command-line tool
+ */
+
+import { main } from '../src/cli/index.js';
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,36 @@
+/**
+ * Conformance Adapter Example
+ * 
+ * Minimal subprocess adapter for `dgp conformance --exec`. Reads one request
+ * JSON on stdin, evaluates it with the reference engine and writes the
+ * ComplianceReport JSON on stdout. Adapters in other languages follow the same
+ * shape: honour `now` and `engineVersion` so metadata is reproducible.
+ * 
+ * Usage: dgp conformance --exec "node examples/conformance-adapter.js"
+ */
+
+import { GovernanceEngine } from '../src/index.js';
+
+let input = '';
+process.stdin.setEncoding('utf8');
+for await (const chunk of process.stdin) {
+  input += chunk;
+}
+
+const request = JSON.parse(input);
+
+const engine = new GovernanceEngine({
+  capsule: request.capsule,
+  thresholds: request.thresholds,
+  enforce: request.enforce,
+  now: () => request.now,
+  engineVersion: request.engineVersion
+});
+
+const report = engine.evaluate({
+  task: request.task,
+  output: request.output,
+  baseline: request.baseline
+});
+
+process.stdout.write(JSON.stringify(report) + '\n');
@@ -0,0 +1,292 @@
+/**
+ * ApprovalQueue - Founder-Oversight Protocol (FOP) approval workflow
+ *
+ * Holds outputs whose report recommends ESCALATE until a human approves or
+ * rejects them. Pending approvals expire after `timeoutMs`. `resume()` releases
+ * an approved output exactly once, or discards it when rejected/expired.
+ *
+ * Lifecycle: pending → approved | rejected | expired
+ *
+ * Operations on one approval run one at a time (per-id promise chain), so
+ * concurrent approve/reject or resume calls see each other's writes: the
+ * second decision or resume fails with ApprovalError. Share one queue per
+ * store; separate queues over the same store are not coordinated.
+ *
+ * @example
+ * const queue = new ApprovalQueue({ store: new FileApprovalStore('./approvals.json') });
+ * const { id } = await queue.submit({ task, output, report });
+ * await queue.approve(id, { approver: 'founder@example.com', comment: 'Go' });
+ * const { released, output } = await queue.resume(id);
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { ApprovalError } from '../core/errors.js';
+import { MemoryApprovalStore } from './MemoryApprovalStore.js';
+
+export const ApprovalStatus = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+});
+
+const DEFAULT_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+export class ApprovalQueue {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store=new MemoryApprovalStore()] - Store with async get/put/list
+   * @param {number} [options.timeoutMs=86400000] - Time before a pending approval expires
+   * @param {Function} [options.now] - Override timestamp function (testing only)
+   * @param {Function} [options.generateId] - Override id generator (testing only)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryApprovalStore();
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.now = options.now || (() => new Date().toISOString());
+    this.generateId = options.generateId || (() => randomUUID());
+    this._locks = new Map();
+
+    if (!Number.isFinite(this.timeoutMs) || this.timeoutMs <= 0) {
+      throw new TypeError('ApprovalQueue timeoutMs must be a positive number');
+    }
+  }
+
+  /**
+   * Hold an escalated output for approval
+   *
+   * @param {Object} params
+   * @param {Object} params.task - Task definition
+   * @param {string} params.output - Output held until decision
+   * @param {Object} params.report - ComplianceReport whose primary action is ESCALATE
+   * @returns {Promise<Object>} Pending approval record
+   */
+  async submit({ task, output, report }) {
+    if (!task || !task.id) {
+      throw new TypeError('Task must include id field');
+    }
+    if (typeof output !== 'string') {
+      throw new TypeError('Output must be a string');
+    }
+    const action = report?.recommendedActions?.[0];
+    if (action?.type !== 'ESCALATE') {
+      throw new TypeError(`Only ESCALATE reports can be queued for approval (got ${action?.type})`);
+    }
+
+    const createdAt = this.now();
+    const record = {
+      id: this.generateId(),
+      status: ApprovalStatus.PENDING,
+      taskId: task.id,
+      reason: action.reason,
+      triggers: report.analysis?.escalation?.triggers || [],
+      createdAt,
+      expiresAt: new Date(Date.parse(createdAt) + this.timeoutMs).toISOString(),
+      approver: null,
+      comment: null,
+      decidedAt: null,
+      resumedAt: null,
+      output,
+      report
+    };
+
+    await this.store.put(record);
+    return record;
+  }
+
+  /**
+   * Fetch an approval, expiring it first if its timeout has passed
+   *
+   * @param {string} approvalId
+   * @returns {Promise<Object>}
+   * @throws {ApprovalError} If no approval has that id
+   */
+  get(approvalId) {
+    return this._withLock(approvalId, () => this._load(approvalId));
+  }
+
+  /**
+   * List approvals (oldest first), optionally filtered by status
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.status] - One of ApprovalStatus
+   * @returns {Promise<Object[]>}
+   */
+  async list(filter = {}) {
+    const records = await this.store.list();
+    const current = [];
+    for (const record of records) {
+      current.push(await this._refresh(record));
+    }
+    return current
+      .filter(r => !filter.status || r.status === filter.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Approve a pending output
+   *
+   * @param {string} approvalId
+   * @param {{ approver: string, comment?: string }} decision
+   * @returns {Promise<Object>}
+   */
+  approve(approvalId, decision) {
+    return this._decide(approvalId, ApprovalStatus.APPROVED, decision);
+  }
+
+  /**
+   * Reject a pending output
+   *
+   * @param {string} approvalId
+   * @param {{ approver: string, comment?: string }} decision
+   * @returns {Promise<Object>}
+   */
+  reject(approvalId, decision) {
+    return this._decide(approvalId, ApprovalStatus.REJECTED, decision);
+  }
+
+  /**
+   * Expire every pending approval whose timeout has passed
+   *
+   * @returns {Promise<Object[]>} Approvals expired by this call
+   */
+  async expireDue() {
+    const expired = [];
+    for (const record of await this.store.list()) {
+      const wasPending = record.status === ApprovalStatus.PENDING;
+      const current = await this._refresh(record);
+      if (wasPending && current.status === ApprovalStatus.EXPIRED) {
+        expired.push(current);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Release (approved) or discard (rejected/expired) the held output
+   *
+   * Each approval can be resumed once; the held output is removed from the store.
+   *
+   * @param {string} approvalId
+   * @returns {Promise<{ id: string, status: string, released: boolean, output: string|null, approver: string|null, comment: string|null }>}
+   * @throws {ApprovalError} If still pending or already resumed
+   */
+  resume(approvalId) {
+    return this._withLock(approvalId, () => this._resume(approvalId));
+  }
+
+  /**
+   * @private
+   */
+  async _resume(approvalId) {
+    const record = await this._load(approvalId);
+
+    if (record.status === ApprovalStatus.PENDING) {
+      throw new ApprovalError(`Approval ${approvalId} is still pending`, { approvalId, status: record.status });
+    }
+    if (record.resumedAt) {
+      throw new ApprovalError(`Approval ${approvalId} was already resumed`, { approvalId, status: record.status });
+    }
+
+    const released = record.status === ApprovalStatus.APPROVED;
+    const output = released ? record.output : null;
+
+    await this.store.put({ ...record, output: null, resumedAt: this.now() });
+
+    return {
+      id: record.id,
+      status: record.status,
+      released,
+      output,
+      approver: record.approver,
+      comment: record.comment
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _decide(approvalId, status, decision = {}) {
+    if (typeof decision.approver !== 'string' || decision.approver.trim() === '') {
+      throw new TypeError('Approval decision requires approver identity');
+    }
+    return this._withLock(approvalId, () => this._applyDecision(approvalId, status, decision));
+  }
+
+  /**
+   * @private
+   */
+  async _applyDecision(approvalId, status, decision) {
+    const record = await this._load(approvalId);
+    if (record.status !== ApprovalStatus.PENDING) {
+      throw new ApprovalError(
+        `Approval ${approvalId} is ${record.status} and can no longer be decided`,
+        { approvalId, status: record.status }
+      );
+    }
+
+    const decided = {
+      ...record,
+      status,
+      approver: decision.approver,
+      comment: decision.comment ?? null,
+      decidedAt: this.now()
+    };
+    await this.store.put(decided);
+    return decided;
+  }
+
+  /**
+   * Run `fn` after every earlier operation on the same approval has settled
+   * @private
+   */
+  _withLock(approvalId, fn) {
+    const previous = this._locks.get(approvalId) || Promise.resolve();
+    const run = previous.then(fn);
+    // Keep the chain alive after a failed operation; the caller still sees the error
+    const tail = run.catch(() => {});
+    this._locks.set(approvalId, tail);
+    tail.then(() => {
+      if (this._locks.get(approvalId) === tail) this._locks.delete(approvalId);
+    });
+    return run;
+  }
+
+  /**
+   * Stored record (expired first if due); callers hold the approval's lock
+   * @private
+   */
+  async _load(approvalId) {
+    const record = await this.store.get(approvalId);
+    if (!record) {
+      throw new ApprovalError(`Unknown approval: ${approvalId}`, { approvalId });
+    }
+    return this._expireIfDue(record);
+  }
+
+  /**
+   * Listed record, re-read under its lock when it may need expiring
+   * @private
+   */
+  _refresh(record) {
+    return record.status === ApprovalStatus.PENDING ? this.get(record.id) : record;
+  }
+
+  /**
+   * @private
+   */
+  async _expireIfDue(record) {
+    if (record.status !== ApprovalStatus.PENDING) {
+      return record;
+    }
+    const now = this.now();
+    if (Date.parse(now) < Date.parse(record.expiresAt)) {
+      return record;
+    }
+
+    const expired = { ...record, status: ApprovalStatus.EXPIRED, decidedAt: now };
+    await this.store.put(expired);
+    return expired;
+  }
+}
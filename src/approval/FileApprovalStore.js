@@ -0,0 +1,76 @@
+/**
+ * FileApprovalStore - JSON file approval storage
+ *
+ * Persists all approvals in one JSON document (`{ approvals: { [id]: record } }`).
+ * Writes are serialized and go through a temp file + rename, so a crash never
+ * leaves a half-written file behind.
+ *
+ * @example
+ * const queue = new ApprovalQueue({ store: new FileApprovalStore('./approvals.json') });
+ */
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+export class FileApprovalStore {
+  /**
+   * @param {string} filePath - JSON file (created on first write)
+   */
+  constructor(filePath) {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new TypeError('FileApprovalStore requires file path');
+    }
+    this.filePath = filePath;
+    this._writes = Promise.resolve();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    await this._writes;
+    const data = await this._read();
+    return data.approvals[id] || null;
+  }
+
+  /**
+   * @param {Object} record - Approval record (keyed by `record.id`)
+   * @returns {Promise<void>}
+   */
+  put(record) {
+    const write = this._writes.then(async () => {
+      const data = await this._read();
+      data.approvals[record.id] = record;
+      const tmp = `${this.filePath}.tmp`;
+      await writeFile(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+      await rename(tmp, this.filePath);
+    });
+    // Keep the chain alive after a failed write; the caller still sees the error
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    await this._writes;
+    const data = await this._read();
+    return Object.values(data.approvals);
+  }
+
+  /**
+   * @private
+   */
+  async _read() {
+    let raw;
+    try {
+      raw = await readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return { approvals: {} };
+      throw err;
+    }
+    const data = JSON.parse(raw);
+    return { approvals: data.approvals || {} };
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * MemoryApprovalStore - In-process approval storage
+ *
+ * Records are cloned on read and write so callers cannot mutate stored state.
+ *
+ * @example
+ * const queue = new ApprovalQueue({ store: new MemoryApprovalStore() });
+ */
+export class MemoryApprovalStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * @param {Object} record - Approval record (keyed by `record.id`)
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    this.records.set(record.id, structuredClone(record));
+  }
+
+  /**
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    return [...this.records.values()].map(r => structuredClone(r));
+  }
+}
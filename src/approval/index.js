@@ -0,0 +1,12 @@
+/**
+ * Approval - Founder-Oversight Protocol (FOP) approval workflow
+ * 
+ * - ApprovalQueue: pending → approved | rejected | expired, then resume()
+ * - MemoryApprovalStore: In-process storage
+ * - FileApprovalStore: JSON file storage
+ */
+
+export { ApprovalQueue, ApprovalStatus } from './ApprovalQueue.js';
+export { MemoryApprovalStore } from './MemoryApprovalStore.js';
+export { FileApprovalStore } from './FileApprovalStore.js';
+export { ApprovalError } from '../core/errors.js';
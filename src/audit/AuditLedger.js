@@ -0,0 +1,245 @@
+/**
+ * AuditLedger - Hash-chained, append-only JSONL ledger for ComplianceReports
+ *
+ * Each line is one entry:
+ *
+ * ```
+ * {
+ *   seq: 1,                          // 1-based, contiguous
+ *   prevHash: "000…000" | "<hash>",  // hash of previous entry (64 zeros for the first)
+ *   recordedAt: ISO 8601,
+ *   capsuleHash: sha256(canonicalJson(normalized capsule)),
+ *   inputs: { taskHash, outputHash, baselineHash | null },
+ *   report: ComplianceReport,
+ *   hash: sha256(canonicalJson(entry without hash))
+ * }
+ * ```
+ *
+ * `verifyLedger()` recomputes every hash and link, reporting tampered entries,
+ * missing sequence numbers and reordered lines.
+ *
+ * @example
+ * const ledger = new AuditLedger('./audit.jsonl');
+ * await ledger.append({ capsule, task, output, report });
+ * const { valid, errors } = await verifyLedger('./audit.jsonl');
+ */
+
+import { readFile, appendFile } from 'node:fs/promises';
+
+import { Capsule } from '../core/Capsule.js';
+import { canonicalJson, sha256Hex } from '../core/canonical.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+export class AuditLedger {
+  /**
+   * @param {string} filePath - JSONL ledger file (created on first append)
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Override timestamp function (testing only)
+   */
+  constructor(filePath, options = {}) {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new TypeError('AuditLedger requires file path');
+    }
+    this.filePath = filePath;
+    this.now = options.now || (() => new Date().toISOString());
+    this._head = null; // { seq, hash } of last entry, loaded lazily
+    this._appends = Promise.resolve();
+  }
+
+  /**
+   * Append a report to the ledger
+   *
+   * @param {Object} params
+   * @param {Capsule|Object} params.capsule - Capsule the report was evaluated against
+   * @param {Object} params.task - Task definition
+   * @param {string} params.output - Evaluated output
+   * @param {string|null} [params.baseline] - Baseline output, if any
+   * @param {Object} params.report - ComplianceReport
+   * @returns {Promise<Object>} The written entry
+   */
+  append({ capsule, task, output, baseline = null, report }) {
+    if (!capsule || !task || typeof output !== 'string' || !report) {
+      return Promise.reject(new TypeError('AuditLedger.append requires capsule, task, output and report'));
+    }
+
+    const write = this._appends.then(async () => {
+      const head = await this._loadHead();
+      const entry = {
+        seq: head.seq + 1,
+        prevHash: head.hash,
+        recordedAt: this.now(),
+        capsuleHash: hashCapsule(capsule),
+        inputs: hashInputs({ task, output, baseline }),
+        report
+      };
+      entry.hash = hashEntry(entry);
+
+      await appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+      this._head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    });
+
+    this._appends = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Verify this ledger's file
+   *
+   * @returns {Promise<Object>} See verifyLedger()
+   */
+  async verify() {
+    await this._appends;
+    return verifyLedger(this.filePath);
+  }
+
+  /**
+   * Read last entry's seq/hash (scans once, then cached)
+   * @private
+   */
+  async _loadHead() {
+    if (this._head) return this._head;
+
+    const entries = await readEntries(this.filePath);
+    const last = entries.at(-1);
+    if (last && !last.error) {
+      this._head = { seq: last.entry.seq, hash: last.entry.hash };
+    } else if (last) {
+      throw new Error(`Cannot append to ${this.filePath}: last line is malformed`);
+    } else {
+      this._head = { seq: 0, hash: GENESIS_HASH };
+    }
+    return this._head;
+  }
+}
+
+/**
+ * Verify a ledger file's hash chain
+ *
+ * Error codes:
+ * - `MALFORMED`: line is not a JSON entry
+ * - `HASH_MISMATCH`: entry content no longer matches its hash (tampering)
+ * - `CHAIN_BROKEN`: prevHash does not match the previous entry's hash
+ * - `SEQUENCE_GAP`: one or more sequence numbers are missing
+ * - `OUT_OF_ORDER`: sequence number repeats or goes backwards (reordering)
+ *
+ * @param {string} filePath - JSONL ledger file
+ * @returns {Promise<{ valid: boolean, entries: number, headHash: string, errors: Array<{ line: number, seq: number|null, code: string, message: string }> }>}
+ */
+export async function verifyLedger(filePath) {
+  const lines = await readEntries(filePath);
+  const errors = [];
+
+  const allSeqs = new Set(lines.filter(l => !l.error).map(l => l.entry.seq));
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+
+  for (const { line, entry, error } of lines) {
+    if (error) {
+      errors.push({ line, seq: null, code: 'MALFORMED', message: error });
+      continue;
+    }
+
+    const recomputed = hashEntry(entry);
+    if (recomputed !== entry.hash) {
+      errors.push({ line, seq: entry.seq, code: 'HASH_MISMATCH', message: `entry hash ${entry.hash} does not match content (${recomputed})` });
+    }
+
+    if (entry.seq > expectedSeq) {
+      // Skipped numbers that appear later are reordering; absent ones are a gap
+      const missing = [];
+      for (let seq = expectedSeq; seq < entry.seq; seq++) {
+        if (!allSeqs.has(seq)) missing.push(seq);
+      }
+      if (missing.length > 0) {
+        errors.push({ line, seq: entry.seq, code: 'SEQUENCE_GAP', message: `missing seq ${missing.join(', ')}` });
+      } else {
+        errors.push({ line, seq: entry.seq, code: 'OUT_OF_ORDER', message: `seq ${entry.seq} appears before seq ${expectedSeq}` });
+      }
+    } else if (entry.seq < expectedSeq) {
+      errors.push({ line, seq: entry.seq, code: 'OUT_OF_ORDER', message: `seq ${entry.seq} appears after seq ${expectedSeq - 1}` });
+    }
+
+    if (entry.prevHash !== prevHash) {
+      errors.push({ line, seq: entry.seq, code: 'CHAIN_BROKEN', message: `prevHash ${entry.prevHash} does not match previous entry hash ${prevHash}` });
+    }
+
+    expectedSeq = Math.max(expectedSeq, entry.seq + 1);
+    prevHash = entry.hash;
+  }
+
+  return {
+    valid: errors.length === 0,
+    entries: lines.length,
+    headHash: prevHash,
+    errors
+  };
+}
+
+/**
+ * Hash a capsule over its canonical JSON
+ *
+ * Raw JSON is normalized first (DGP.md shape onto `governance`), so a loaded
+ * Capsule and the data it came from hash the same.
+ *
+ * @param {Capsule|Object} capsule
+ * @returns {string}
+ */
+export function hashCapsule(capsule) {
+  const data = capsule instanceof Capsule ? capsule.toJSON() : Capsule.normalize(capsule).data;
+  return sha256Hex(canonicalJson(data));
+}
+
+/**
+ * Hash evaluation inputs (task canonical JSON, output/baseline raw UTF-8)
+ *
+ * @param {{ task: Object, output: string, baseline?: string|null }} inputs
+ * @returns {{ taskHash: string, outputHash: string, baselineHash: string|null }}
+ */
+export function hashInputs({ task, output, baseline = null }) {
+  return {
+    taskHash: sha256Hex(canonicalJson(task)),
+    outputHash: sha256Hex(output),
+    baselineHash: baseline ? sha256Hex(baseline) : null
+  };
+}
+
+/**
+ * @private
+ */
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return sha256Hex(canonicalJson(content));
+}
+
+/**
+ * Parse JSONL ledger lines (blank lines ignored, missing file = empty ledger)
+ * @private
+ */
+async function readEntries(filePath) {
+  let raw;
+  try {
+    raw = await readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = [];
+  raw.split('\n').forEach((text, index) => {
+    if (text.trim() === '') return;
+    const line = index + 1;
+    try {
+      const entry = JSON.parse(text);
+      if (!entry || typeof entry !== 'object' || !Number.isInteger(entry.seq) || typeof entry.hash !== 'string') {
+        entries.push({ line, error: 'entry is missing seq or hash' });
+      } else {
+        entries.push({ line, entry });
+      }
+    } catch (err) {
+      entries.push({ line, error: `invalid JSON (${err.message})` });
+    }
+  });
+  return entries;
+}
@@ -0,0 +1,10 @@
+/**
+ * Audit - Tamper-evident evidence for compliance decisions
+ * 
+ * - AuditLedger: Hash-chained append-only JSONL ledger
+ * - verifyLedger: Detects tampering, gaps and reordering
+ * - replay: Re-evaluates stored records and flags divergence
+ */
+
+export { AuditLedger, verifyLedger, hashCapsule, hashInputs, GENESIS_HASH } from './AuditLedger.js';
+export { replay, replayRecord, ReplayStatus } from './replay.js';
@@ -0,0 +1,123 @@
+/**
+ * Replay - Reproduce historical decisions and flag divergence
+ *
+ * Re-runs `GovernanceEngine.evaluate` on stored evaluation records with `now`
+ * pinned to the original `evaluatedAt` (and `engineVersion` pinned to the
+ * recorded one), then deep-diffs the fresh report against the stored report.
+ * Any difference means the current engine would no longer reproduce that
+ * decision. Records whose capsule declares `plugins` need the same validators
+ * (`options.validators`) to replay.
+ *
+ * Record shape:
+ *
+ * ```
+ * {
+ *   id?: string,
+ *   capsule: Object,
+ *   task: Object,
+ *   output: string,
+ *   baseline?: string | null,
+ *   thresholds?: Object,
+ *   enforce?: boolean,
+ *   evaluatedAt?: string,     // defaults to report.metadata.evaluatedAt
+ *   engineVersion?: string,   // defaults to report.metadata.engineVersion
+ *   report: ComplianceReport  // stored decision
+ * }
+ * ```
+ *
+ * @example
+ * const result = replay(records);
+ * if (result.diverged > 0) console.error(formatDiff(result.results[0].differences));
+ */
+
+import { GovernanceEngine } from '../core/GovernanceEngine.js';
+import { ValidatorRegistry } from '../core/ValidatorRegistry.js';
+import { GovernanceBlockedError } from '../core/errors.js';
+import { deepDiff } from '../core/deepDiff.js';
+
+export const ReplayStatus = {
+  MATCH: 'match',
+  DIVERGED: 'diverged',
+  ERROR: 'error'
+};
+
+/**
+ * Replay a batch of stored records
+ *
+ * @param {Object[]} records - Stored evaluation records
+ * @param {Object} [options]
+ * @param {ValidatorRegistry|Object} [options.validators] - Plugin validators for capsule `plugins`
+ * @returns {{
+ *   total: number, matched: number, diverged: number, errors: number,
+ *   results: Array<{ index: number, id: string|null, taskId: string|null, status: string, differences: Object[], error?: string }>
+ * }}
+ */
+export function replay(records, options = {}) {
+  if (!Array.isArray(records)) {
+    throw new TypeError('replay() requires an array of records');
+  }
+
+  const validators = ValidatorRegistry.from(options.validators);
+  const results = records.map((record, index) => ({ index, ...replayRecord(record, { validators }) }));
+
+  return {
+    total: results.length,
+    matched: results.filter(r => r.status === ReplayStatus.MATCH).length,
+    diverged: results.filter(r => r.status === ReplayStatus.DIVERGED).length,
+    errors: results.filter(r => r.status === ReplayStatus.ERROR).length,
+    results: results.map(({ report, ...rest }) => rest)
+  };
+}
+
+/**
+ * Replay one stored record
+ *
+ * Invalid records (missing fields, invalid capsule) produce `status: 'error'`
+ * instead of throwing, so one bad record never hides the rest of a batch.
+ *
+ * @param {Object} record - Stored evaluation record
+ * @param {Object} [options]
+ * @param {ValidatorRegistry|Object} [options.validators] - Plugin validators for capsule `plugins`
+ * @returns {{ id: string|null, taskId: string|null, status: string, differences: Object[], report: Object|null, error?: string }}
+ */
+export function replayRecord(record, options = {}) {
+  const id = record?.id ?? null;
+  const taskId = record?.task?.id ?? null;
+
+  try {
+    if (!record || !record.report || !record.report.metadata) {
+      throw new TypeError('Record must include stored report with metadata');
+    }
+
+    const evaluatedAt = record.evaluatedAt || record.report.metadata.evaluatedAt;
+    const engineVersion = record.engineVersion || record.report.metadata.engineVersion;
+
+    const engine = new GovernanceEngine({
+      capsule: record.capsule,
+      thresholds: record.thresholds,
+      validators: options.validators,
+      enforce: record.enforce || false,
+      now: () => evaluatedAt,
+      engineVersion
+    });
+
+    let report;
+    try {
+      report = engine.evaluate({ task: record.task, output: record.output, baseline: record.baseline || null });
+    } catch (err) {
+      if (!(err instanceof GovernanceBlockedError)) throw err;
+      report = err.report;
+    }
+
+    const differences = deepDiff(record.report, report);
+    return {
+      id,
+      taskId,
+      status: differences.length === 0 ? ReplayStatus.MATCH : ReplayStatus.DIVERGED,
+      differences,
+      report
+    };
+  } catch (err) {
+    return { id, taskId, status: ReplayStatus.ERROR, differences: [], report: null, error: err.message };
+  }
+}
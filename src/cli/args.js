@@ -0,0 +1,57 @@
+/**
+ * Minimal argument parser for `dgp` subcommands
+ * 
+ * Supports `--flag`, `--option value`, `--option=value` and positionals.
+ * A lone `-` is a positional (stdin). Unknown options are usage errors.
+ * 
+ * @example
+ * parseArgs(['records.jsonl', '--json'], { flags: ['json'], options: ['out'] });
+ * // { positionals: ['records.jsonl'], values: { json: true } }
+ */
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * @param {string[]} argv - Arguments after the subcommand
+ * @param {Object} spec
+ * @param {string[]} [spec.flags=[]] - Boolean options
+ * @param {string[]} [spec.options=[]] - Options taking a value
+ * @returns {{ positionals: string[], values: Object }}
+ * @throws {UsageError}
+ */
+export function parseArgs(argv, spec = {}) {
+  const flags = new Set(spec.flags || []);
+  const options = new Set(spec.options || []);
+  const positionals = [];
+  const values = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+
+    if (flags.has(name)) {
+      if (eq !== -1) throw new UsageError(`--${name} does not take a value`);
+      values[name] = true;
+    } else if (options.has(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined) throw new UsageError(`--${name} requires a value`);
+      values[name] = value;
+    } else {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+  }
+
+  return { positionals, values };
+}
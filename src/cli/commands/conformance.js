@@ -0,0 +1,79 @@
+/**
+ * dgp conformance - Run canonical vectors against any implementation
+ * 
+ * Usage: dgp conformance --exec "<command>" [--vectors <file>] [--timeout <ms>] [--json] [--out <file>]
+ * 
+ * The command is run once per NORMATIVE vector with a JSON request on stdin and
+ * must print the ComplianceReport JSON on stdout (see CONFORMANCE.md).
+ * 
+ * Exit codes: 0 conformant, 1 any vector failed or errored, 2 usage.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { runConformance } from '../../conformance/runConformance.js';
+import { formatDiff } from '../../core/deepDiff.js';
+import { parseArgs, UsageError } from '../args.js';
+import { ExitCode } from '../exitCodes.js';
+
+export const usage = 'dgp conformance --exec "<command>" [--vectors <file>] [--timeout <ms>] [--json] [--out <file>]';
+
+export async function run(argv, io) {
+  const { positionals, values } = parseArgs(argv, {
+    flags: ['json'],
+    options: ['exec', 'vectors', 'timeout', 'out']
+  });
+  if (positionals.length !== 0 || !values.exec) {
+    throw new UsageError(`Usage: ${usage}`);
+  }
+
+  const timeoutMs = values.timeout === undefined ? undefined : Number(values.timeout);
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+    throw new UsageError(`--timeout must be a positive integer (got ${values.timeout})`);
+  }
+
+  const result = await runConformance({
+    exec: values.exec,
+    vectorsPath: values.vectors ? path.resolve(io.cwd, values.vectors) : undefined,
+    timeoutMs,
+    cwd: io.cwd
+  });
+  const json = JSON.stringify(result, null, 2) + '\n';
+
+  if (values.out) {
+    await writeFile(path.resolve(io.cwd, values.out), json, 'utf8');
+  }
+
+  io.stdout.write(values.json ? json : formatSummary(result));
+
+  return result.conformant ? ExitCode.OK : ExitCode.FAILED;
+}
+
+/**
+ * @private
+ */
+function formatSummary(result) {
+  const lines = [`DGP v${result.protocolVersion} conformance: ${result.implementation.exec}`];
+
+  if (!result.vectors.sealed) {
+    lines.push(`✗ vectors seal mismatch: declared ${result.vectors.declaredSha256}, computed ${result.vectors.sha256}`);
+  }
+
+  for (const r of result.results) {
+    if (r.status === 'pass') {
+      lines.push(`✔ ${r.id}`);
+    } else if (r.status === 'error') {
+      lines.push(`✗ ${r.id}: ${r.error}`);
+    } else {
+      lines.push(`✗ ${r.id}: ${r.differences.length} field(s) differ`);
+      lines.push(formatDiff(r.differences).replace(/^/gm, '    '));
+    }
+  }
+
+  lines.push(result.conformant
+    ? `${result.passed}/${result.total} vectors passing — ✅ ${result.claim}`
+    : `${result.passed}/${result.total} vectors passing — not conformant`);
+
+  return lines.join('\n') + '\n';
+}
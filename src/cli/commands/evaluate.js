@@ -0,0 +1,98 @@
+/**
+ * dgp evaluate - Evaluate one output against a capsule
+ * 
+ * Usage: dgp evaluate --capsule <file> --task <file|json> [--output <file|->] [--baseline <file>]
+ *          [--validators <module>] [--format text|markdown|html|json|sarif|junit] [--json]
+ * 
+ * `--output` defaults to stdin. Prints a compact text summary, Markdown, a
+ * standalone HTML page (with the output annotated by evidence spans), the
+ * full ComplianceReport (`--format json`, alias `--json`), a SARIF log (with
+ * evidence locations in the `--output` file) or JUnit XML. Exit code is the primary action
+ * (ALLOW 0, RETRY 10, ESCALATE 11, BLOCK 12); 2 on usage errors. Capsule
+ * normalization warnings (DGP.md shape) and report warnings (unrecognized
+ * task constraints) go to stderr.
+ *
+ * Capsules that declare `plugins` need their validators: `--validators` names
+ * an ES module whose default export (or `validators` export) is a
+ * ValidatorRegistry or a `{ name: validator }` object.
+ */
+
+import { Capsule } from '../../core/Capsule.js';
+import { GovernanceEngine } from '../../core/GovernanceEngine.js';
+import { ConfigurationError } from '../../core/errors.js';
+import { parseArgs, UsageError } from '../args.js';
+import { readText, parseJson, loadValidators } from '../io.js';
+import { ExitCode } from '../exitCodes.js';
+import { formatReport, REPORT_FORMATS } from '../../report/index.js';
+
+export const usage = 'dgp evaluate --capsule <file> --task <file|json> [--output <file|->] [--baseline <file>] [--validators <module>] [--format text|markdown|html|json|sarif|junit] [--json]';
+
+export async function run(argv, io) {
+  const { positionals, values } = parseArgs(argv, {
+    flags: ['json'],
+    options: ['capsule', 'task', 'output', 'baseline', 'validators', 'format']
+  });
+
+  if (positionals.length > 0 || !values.capsule || !values.task) {
+    throw new UsageError(`Usage: ${usage}`);
+  }
+
+  const format = values.format || (values.json ? 'json' : 'text');
+  if (!REPORT_FORMATS.includes(format) || (values.json && format !== 'json')) {
+    throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(', ')} (--json means json)`);
+  }
+
+  const capsule = new Capsule(parseJson(await readText(values.capsule, io), values.capsule), { source: values.capsule });
+  for (const warning of capsule.warnings) {
+    io.stderr.write(`warning: ${values.capsule}: ${warning.path}: ${warning.message}\n`);
+  }
+  const task = await readTask(values.task, io);
+  const output = await readText(values.output || '-', io);
+  const baseline = values.baseline ? await readText(values.baseline, io) : null;
+
+  if (output.length === 0) {
+    throw new UsageError('Output is empty');
+  }
+
+  const validators = values.validators ? await loadValidators(values.validators, io) : undefined;
+
+  let engine;
+  try {
+    engine = new GovernanceEngine({ capsule, validators, evidenceSpans: format === 'html' || format === 'sarif' });
+  } catch (err) {
+    if (!(err instanceof ConfigurationError)) throw err;
+    const hint = values.validators ? '' : ' (register plugin validators with --validators <module>)';
+    throw new UsageError(`${values.capsule}: ${err.message}${hint}`);
+  }
+  const report = engine.evaluate({ task, output, baseline });
+  const taskSource = values.task.trim().startsWith('{') ? '--task' : values.task;
+  for (const warning of report.warnings || []) {
+    io.stderr.write(`warning: ${taskSource}: ${warning.path}: ${warning.message}\n`);
+  }
+
+  // SARIF locations point at the output file (none when read from stdin)
+  const uri = values.output && values.output !== '-' ? values.output : undefined;
+  io.stdout.write(formatReport(report, { format, output, uri }));
+
+  return ExitCode[report.recommendedActions[0].type];
+}
+
+/**
+ * Inline JSON (starts with `{`) or a path to a JSON file
+ * @private
+ */
+async function readTask(spec, io) {
+  const inline = spec.trim().startsWith('{');
+  const task = inline ? parseJson(spec, '--task') : parseJson(await readText(spec, io), spec);
+
+  if (!task || typeof task !== 'object' || typeof task.id !== 'string') {
+    throw new UsageError('Task must be a JSON object with an id field');
+  }
+  if (task.constraints !== undefined && (!Array.isArray(task.constraints) || task.constraints.some(c => typeof c !== 'string'))) {
+    throw new UsageError('Task constraints must be an array of strings');
+  }
+  if (task.driftLexicon !== undefined && !Array.isArray(task.driftLexicon)) {
+    throw new UsageError('Task driftLexicon must be an array');
+  }
+  return task;
+}
@@ -0,0 +1,64 @@
+/**
+ * dgp replay - Re-evaluate stored records and report divergence
+ * 
+ * Usage: dgp replay <records.jsonl|records.json|-> [--validators <module>] [--json] [--out <file>]
+ * 
+ * `--validators` registers plugin validators (as in `dgp evaluate`) for records
+ * whose capsule declares `plugins`.
+ * 
+ * Exit codes: 0 all records reproduce, 1 divergence or record errors, 2 usage.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { replay } from '../../audit/replay.js';
+import { formatDiff } from '../../core/deepDiff.js';
+import { parseArgs, UsageError } from '../args.js';
+import { readText, parseRecords, loadValidators } from '../io.js';
+import { ExitCode } from '../exitCodes.js';
+
+export const usage = 'dgp replay <records.jsonl|records.json|-> [--validators <module>] [--json] [--out <file>]';
+
+export async function run(argv, io) {
+  const { positionals, values } = parseArgs(argv, { flags: ['json'], options: ['out', 'validators'] });
+  if (positionals.length !== 1) {
+    throw new UsageError(`Usage: ${usage}`);
+  }
+
+  const source = positionals[0] === '-' ? 'stdin' : positionals[0];
+  const records = parseRecords(await readText(positionals[0], io), source);
+  const validators = values.validators ? await loadValidators(values.validators, io) : undefined;
+  const result = replay(records, { validators });
+  const json = JSON.stringify(result, null, 2) + '\n';
+
+  if (values.out) {
+    await writeFile(path.resolve(io.cwd, values.out), json, 'utf8');
+  }
+
+  io.stdout.write(values.json ? json : formatSummary(result));
+
+  return result.diverged === 0 && result.errors === 0 ? ExitCode.OK : ExitCode.FAILED;
+}
+
+/**
+ * @private
+ */
+function formatSummary(result) {
+  const lines = [
+    `Replayed ${result.total} record(s): ${result.matched} match, ${result.diverged} diverged, ${result.errors} error(s)`
+  ];
+
+  for (const r of result.results) {
+    if (r.status === 'match') continue;
+    const label = `[${r.index}] ${r.id ? `${r.id} ` : ''}task ${r.taskId ?? '?'}`;
+    if (r.status === 'error') {
+      lines.push(`✗ ${label}: ${r.error}`);
+    } else {
+      lines.push(`✗ ${label}: ${r.differences.length} field(s) changed`);
+      lines.push(formatDiff(r.differences).replace(/^/gm, '    '));
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
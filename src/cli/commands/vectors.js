@@ -0,0 +1,136 @@
+/**
+ * dgp vectors - Verify, seal and author canonical vector files
+ * 
+ * Usage:
+ *   dgp vectors verify <vectors.json>
+ *   dgp vectors seal <vectors.json>
+ *   dgp vectors add <triples.jsonl|triples.json|-> --to <vectors.json> [--version <semver>] [--status <status>]
+ * 
+ * `add` evaluates each { id, description?, capsule, task, output, baseline?,
+ * thresholds?, enforce? } triple with the reference engine (pinned
+ * now/engineVersion), appends the vectors and re-seals the file. The file is
+ * created when missing (`--version` required). Frozen files are never modified
+ * by `add`.
+ * 
+ * Exit codes: 0 ok, 1 seal mismatch (verify), 2 usage.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { verifyVectors, sealVectors, addVectors, createSuite } from '../../conformance/vectors.js';
+import { canonicalJson } from '../../core/canonical.js';
+import { CapsuleValidationError } from '../../core/errors.js';
+import { parseArgs, UsageError } from '../args.js';
+import { readText, parseJson, parseRecords } from '../io.js';
+import { ExitCode } from '../exitCodes.js';
+
+export const usage = 'dgp vectors verify|seal <vectors.json> | dgp vectors add <triples|-> --to <vectors.json> [--version <semver>] [--status <status>]';
+
+const SUBCOMMANDS = { verify, seal, add };
+
+export async function run(argv, io) {
+  const [name, ...rest] = argv;
+  const subcommand = SUBCOMMANDS[name];
+  if (!subcommand) {
+    throw new UsageError(`Usage: ${usage}`);
+  }
+  return subcommand(rest, io);
+}
+
+/**
+ * @private
+ */
+async function verify(argv, io) {
+  const file = singleFile(argv);
+  const suite = parseJson(await readText(file, io), file);
+  const { valid, declared, computed } = verifyVectors(suite);
+
+  if (valid) {
+    io.stdout.write(`✔ ${file}: sealed (sha256 ${computed})\n`);
+    return ExitCode.OK;
+  }
+  io.stdout.write(`✗ ${file}: seal mismatch\n    declared: ${declared}\n    computed: ${computed}\n`);
+  return ExitCode.FAILED;
+}
+
+/**
+ * @private
+ */
+async function seal(argv, io) {
+  const file = singleFile(argv);
+  const text = await readText(file, io);
+  const sealed = sealVectors(parseJson(text, file));
+
+  await writeFile(path.resolve(io.cwd, file), replaceSeal(text, sealed), 'utf8');
+  io.stdout.write(`✔ ${file}: sealed (sha256 ${sealed.sha256})\n`);
+  return ExitCode.OK;
+}
+
+/**
+ * @private
+ */
+async function add(argv, io) {
+  const { positionals, values } = parseArgs(argv, { options: ['to', 'version', 'status'] });
+  if (positionals.length !== 1 || !values.to) {
+    throw new UsageError(`Usage: ${usage}`);
+  }
+
+  const source = positionals[0] === '-' ? 'stdin' : positionals[0];
+  const triples = parseRecords(await readText(positionals[0], io), source);
+  const target = path.resolve(io.cwd, values.to);
+
+  let suite;
+  try {
+    suite = parseJson(await readFile(target, 'utf8'), values.to);
+    if (values.version && values.version !== suite.version) {
+      throw new UsageError(`${values.to} is version ${suite.version}, not ${values.version}`);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    if (!values.version) {
+      throw new UsageError(`${values.to} does not exist; pass --version to create it`);
+    }
+    suite = createSuite({ version: values.version, description: `Canonical test vectors for DGP v${values.version}.` });
+  }
+
+  let updated;
+  try {
+    updated = sealVectors(addVectors(suite, triples, { status: values.status }));
+  } catch (err) {
+    if (err instanceof CapsuleValidationError) throw err;
+    throw new UsageError(err.message);
+  }
+
+  await writeFile(target, JSON.stringify(updated, null, 2) + '\n', 'utf8');
+  io.stdout.write(`✔ ${values.to}: added ${triples.length} vector(s), sealed (sha256 ${updated.sha256})\n`);
+  return ExitCode.OK;
+}
+
+/**
+ * @private
+ */
+function singleFile(argv) {
+  const { positionals } = parseArgs(argv);
+  if (positionals.length !== 1) {
+    throw new UsageError(`Usage: ${usage}`);
+  }
+  return positionals[0];
+}
+
+/**
+ * Rewrite only the top-level sha256 value so hand formatting survives;
+ * fall back to a full rewrite if the textual edit is ambiguous.
+ * @private
+ */
+function replaceSeal(text, sealed) {
+  const replaced = text.replace(/("sha256"\s*:\s*)("(?:[^"\\]|\\.)*"|null)/, `$1"${sealed.sha256}"`);
+  try {
+    if (canonicalJson(JSON.parse(replaced)) === canonicalJson(sealed)) {
+      return replaced;
+    }
+  } catch {
+    // Fall through to full rewrite
+  }
+  return JSON.stringify(sealed, null, 2) + '\n';
+}
@@ -0,0 +1,18 @@
+/**
+ * CLI exit codes
+ * 
+ * - OK: command succeeded (no divergence)
+ * - FAILED: command ran but found problems (e.g. replay divergence)
+ * - USAGE: invalid arguments, unreadable input, invalid capsule
+ * - ALLOW/RETRY/ESCALATE/BLOCK: `dgp evaluate` primary action, so pipelines
+ *   can gate with `case $?` (ALLOW shares 0 with OK)
+ */
+export const ExitCode = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  ALLOW: 0,
+  RETRY: 10,
+  ESCALATE: 11,
+  BLOCK: 12
+};
@@ -0,0 +1,73 @@
+/**
+ * dgp command-line entry point
+ * 
+ * `main()` is side-effect free apart from the io streams it is given, so
+ * commands can be tested in-process.
+ * 
+ * @example
+ * const code = await main(['evaluate', '--capsule', 'capsule.json', '--task', 'task.json'], io);
+ */
+
+import * as conformance from './commands/conformance.js';
+import * as evaluate from './commands/evaluate.js';
+import * as replay from './commands/replay.js';
+import * as vectors from './commands/vectors.js';
+import { UsageError } from './args.js';
+import { ExitCode } from './exitCodes.js';
+import { ValidationError, ConfigurationError } from '../core/errors.js';
+
+const COMMANDS = {
+  conformance,
+  evaluate,
+  replay,
+  vectors
+};
+
+/**
+ * @param {string[]} argv - Arguments after the executable (`process.argv.slice(2)`)
+ * @param {Object} [io]
+ * @param {Object} [io.stdout=process.stdout]
+ * @param {Object} [io.stderr=process.stderr]
+ * @param {Object} [io.stdin=process.stdin]
+ * @param {string} [io.cwd=process.cwd()]
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv, io = {}) {
+  const streams = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    stdin: io.stdin || process.stdin,
+    cwd: io.cwd || process.cwd()
+  };
+
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === 'help') {
+    streams.stdout.write(helpText());
+    return name ? ExitCode.OK : ExitCode.USAGE;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    streams.stderr.write(`dgp: unknown command "${name}"\n\n${helpText()}`);
+    return ExitCode.USAGE;
+  }
+
+  try {
+    return await command.run(rest, streams);
+  } catch (err) {
+    if (err instanceof UsageError || err instanceof ValidationError || err instanceof ConfigurationError) {
+      streams.stderr.write(`dgp ${name}: ${err.message}\n`);
+      return ExitCode.USAGE;
+    }
+    throw err;
+  }
+}
+
+/**
+ * @private
+ */
+function helpText() {
+  const lines = Object.values(COMMANDS).map(c => `  ${c.usage}`);
+  return `Usage:\n${lines.join('\n')}\n`;
+}
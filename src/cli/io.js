@@ -0,0 +1,111 @@
+/**
+ * CLI input helpers
+ * 
+ * Inputs are file paths (resolved against `io.cwd`) or `-` for stdin.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { ValidatorRegistry } from '../core/ValidatorRegistry.js';
+import { UsageError } from './args.js';
+
+/**
+ * Read a file path or `-` (stdin) as UTF-8 text
+ *
+ * @param {string} spec - File path or `-`
+ * @param {Object} io - CLI io ({ stdin, cwd })
+ * @returns {Promise<string>}
+ * @throws {UsageError} If the file cannot be read
+ */
+export async function readText(spec, io) {
+  if (spec === '-') {
+    return readStream(io.stdin);
+  }
+  try {
+    return await readFile(path.resolve(io.cwd, spec), 'utf8');
+  } catch (err) {
+    throw new UsageError(`Cannot read ${spec}: ${err.code || err.message}`);
+  }
+}
+
+/**
+ * Parse JSON text, naming the source on failure
+ *
+ * @param {string} text
+ * @param {string} source - Label used in error messages
+ * @returns {*}
+ * @throws {UsageError}
+ */
+export function parseJson(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`${source} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Parse a JSON array, a single JSON object, or JSONL (one value per line)
+ *
+ * @param {string} text
+ * @param {string} source - Label used in error messages
+ * @returns {Array}
+ * @throws {UsageError}
+ */
+export function parseRecords(text, source) {
+  const trimmed = text.trim();
+  if (trimmed === '') return [];
+
+  try {
+    const value = JSON.parse(trimmed);
+    return Array.isArray(value) ? value : [value];
+  } catch {
+    // Fall through to JSONL
+  }
+
+  return trimmed.split('\n')
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line !== '')
+    .map(({ line, number }) => parseJson(line, `${source} line ${number}`));
+}
+
+/**
+ * Load plugin validators from an ES module (path resolved against `io.cwd`)
+ *
+ * @param {string} spec - Module path
+ * @param {Object} io - CLI io ({ cwd })
+ * @returns {Promise<ValidatorRegistry>} From the default or `validators` export
+ * @throws {UsageError} If the module cannot be loaded or exports no validators
+ */
+export async function loadValidators(spec, io) {
+  let module;
+  try {
+    module = await import(pathToFileURL(path.resolve(io.cwd, spec)).href);
+  } catch (err) {
+    throw new UsageError(`Cannot load validators from ${spec}: ${err.code || err.message}`);
+  }
+
+  const exported = module.default ?? module.validators;
+  if (!exported || typeof exported !== 'object') {
+    throw new UsageError(`${spec} must export a ValidatorRegistry or { name: validator } (default or validators export)`);
+  }
+  try {
+    return ValidatorRegistry.from(exported);
+  } catch (err) {
+    throw new UsageError(`${spec}: ${err.message}`);
+  }
+}
+
+/**
+ * @private
+ */
+async function readStream(stream) {
+  let data = '';
+  stream.setEncoding?.('utf8');
+  for await (const chunk of stream) {
+    data += chunk;
+  }
+  return data;
+}
@@ -0,0 +1,18 @@
+/**
+ * Conformance - Tooling for claiming DGP conformance
+ * 
+ * - runConformance: Runs canonical vectors against any implementation via subprocess
+ * - vectors: Seal/verify vector files and generate new vectors with the reference engine
+ */
+
+export { runConformance, buildRequest, VectorStatus, DEFAULT_VECTORS_PATH } from './runConformance.js';
+export {
+  computeVectorsHash,
+  verifyVectors,
+  sealVectors,
+  createVector,
+  addVectors,
+  createSuite,
+  FIXED_ISO,
+  FIXED_ENGINE_VERSION
+} from './vectors.js';
@@ -0,0 +1,198 @@
+/**
+ * runConformance - Language-agnostic DGP conformance runner
+ *
+ * Runs a third-party implementation as a subprocess once per NORMATIVE vector.
+ * The subprocess reads one JSON request on stdin and writes one
+ * ComplianceReport JSON on stdout:
+ *
+ * ```
+ * stdin:  { protocol, protocolVersion, vectorId, capsule, task, output,
+ *           baseline, thresholds, enforce, now, engineVersion }
+ * stdout: ComplianceReport (metadata.evaluatedAt = now, metadata.engineVersion = engineVersion)
+ * ```
+ *
+ * Each report is deep-compared with the vector's `expected`; the result lists
+ * field-level differences and is written as machine-readable JSON to back a
+ * "DGP v1.0 Conformant" claim. A vectors file whose `sha256` seal does not
+ * match its content never yields a conformant result.
+ *
+ * @example
+ * const result = await runConformance({ exec: 'python dgp_adapter.py' });
+ * console.log(result.conformant, `${result.passed}/${result.total}`);
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import { readFile } from 'node:fs/promises';
+
+import { deepDiff } from '../core/deepDiff.js';
+import { verifyVectors, FIXED_ISO, FIXED_ENGINE_VERSION } from './vectors.js';
+
+export const DEFAULT_VECTORS_PATH = new URL('../../test/vectors/canonical-v1.json', import.meta.url);
+
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+export const VectorStatus = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  ERROR: 'error'
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.exec - Shell command that evaluates one request
+ * @param {string|URL} [options.vectorsPath] - Canonical vectors file
+ * @param {number} [options.timeoutMs=10000] - Per-vector subprocess timeout
+ * @param {string} [options.cwd=process.cwd()] - Subprocess working directory
+ * @param {Function} [options.now] - Override result timestamp (testing only)
+ * @returns {Promise<Object>} Conformance result
+ */
+export async function runConformance(options = {}) {
+  const { exec, timeoutMs = 10000, cwd = process.cwd() } = options;
+  const now = options.now || (() => new Date().toISOString());
+
+  if (typeof exec !== 'string' || exec.trim() === '') {
+    throw new TypeError('runConformance requires exec command');
+  }
+
+  const suite = JSON.parse(await readFile(options.vectorsPath || DEFAULT_VECTORS_PATH, 'utf8'));
+  const seal = verifyVectors(suite);
+  const vectors = suite.vectors.filter(v => v.status === 'NORMATIVE');
+
+  const results = [];
+  for (const vector of vectors) {
+    results.push(await runVector(exec, suite, vector, { timeoutMs, cwd }));
+  }
+
+  const passed = results.filter(r => r.status === VectorStatus.PASS).length;
+  const conformant = seal.valid && vectors.length > 0 && passed === vectors.length;
+
+  return {
+    protocol: suite.protocol,
+    protocolVersion: suite.version,
+    claim: conformant ? `DGP v${suite.version.split('.').slice(0, 2).join('.')} Conformant` : null,
+    conformant,
+    total: vectors.length,
+    passed,
+    failed: vectors.length - passed,
+    vectors: {
+      sha256: seal.computed,
+      declaredSha256: seal.declared,
+      sealed: seal.valid,
+      generatedAt: suite.generatedAt
+    },
+    implementation: { exec },
+    runner: { name: PACKAGE.name, version: PACKAGE.version },
+    generatedAt: now(),
+    results
+  };
+}
+
+/**
+ * Build the stdin request for one vector
+ *
+ * @param {Object} suite - Parsed vectors file
+ * @param {Object} vector
+ * @returns {Object}
+ */
+export function buildRequest(suite, vector) {
+  return {
+    protocol: suite.protocol,
+    protocolVersion: suite.version,
+    vectorId: vector.id,
+    capsule: vector.capsule,
+    task: vector.task,
+    output: vector.output,
+    baseline: vector.baseline || null,
+    thresholds: vector.thresholds || { compliance: 80 },
+    enforce: vector.enforce || false,
+    now: FIXED_ISO,
+    engineVersion: FIXED_ENGINE_VERSION
+  };
+}
+
+/**
+ * @private
+ */
+async function runVector(exec, suite, vector, options) {
+  const base = { id: vector.id, description: vector.description };
+
+  let stdout;
+  try {
+    stdout = await execJson(exec, buildRequest(suite, vector), options);
+  } catch (err) {
+    return { ...base, status: VectorStatus.ERROR, error: err.message, differences: [] };
+  }
+
+  let report;
+  try {
+    report = JSON.parse(stdout);
+  } catch (err) {
+    return { ...base, status: VectorStatus.ERROR, error: `stdout is not valid JSON: ${err.message}`, differences: [] };
+  }
+
+  const differences = deepDiff(vector.expected, report);
+  return {
+    ...base,
+    status: differences.length === 0 ? VectorStatus.PASS : VectorStatus.FAIL,
+    differences
+  };
+}
+
+/**
+ * Run command with JSON on stdin; resolve stdout, reject on failure/timeout
+ *
+ * The shell runs in its own process group so a timeout also kills anything it
+ * spawned.
+ * @private
+ */
+function execJson(command, request, { timeoutMs, cwd }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const settle = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err); else resolve(value);
+    };
+
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+      child.stdout.destroy();
+      child.stderr.destroy();
+      settle(new Error(`timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdin.on('error', () => {}); // Subprocess may exit without reading stdin
+
+    child.on('error', err => settle(new Error(`failed to start: ${err.message}`)));
+
+    child.on('close', code => {
+      if (code !== 0) {
+        const detail = stderr.trim().split('\n').slice(-3).join(' | ');
+        settle(new Error(`exited with code ${code}${detail ? `: ${detail}` : ''}`));
+      } else {
+        settle(null, stdout);
+      }
+    });
+
+    child.stdin.end(JSON.stringify(request));
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Vectors - Seal, verify and author canonical vector files
+ *
+ * A vectors file is sealed by its `sha256` field:
+ *
+ * ```
+ * sha256 = sha256Hex(canonicalJson(file without its "sha256" key))
+ * ```
+ *
+ * Every other top-level field (`version`, `frozen`, `generatedAt`, …) and
+ * every vector is covered, so any edit that is not followed by an explicit
+ * re-seal is detected. New vectors are generated with the reference engine
+ * using the same pinned `now`/`engineVersion` as the conformance runner.
+ *
+ * @example
+ * const suite = sealVectors(addVectors(suite, [{ id: 'v1_1-01-…', capsule, task, output }]));
+ * verifyVectors(suite); // { valid: true, declared: '…', computed: '…' }
+ */
+
+import { GovernanceEngine } from '../core/GovernanceEngine.js';
+import { GovernanceBlockedError } from '../core/errors.js';
+import { canonicalJson, sha256Hex } from '../core/canonical.js';
+
+// Deterministic metadata pinned into every vector (and every conformance request)
+export const FIXED_ISO = '2026-02-11T00:00:00.000Z';
+export const FIXED_ENGINE_VERSION = '0.1.0';
+
+/**
+ * Compute the seal of a vectors file
+ *
+ * @param {Object} suite - Parsed vectors file
+ * @returns {string} Lowercase hex SHA-256
+ */
+export function computeVectorsHash(suite) {
+  const { sha256, ...content } = suite;
+  return sha256Hex(canonicalJson(content));
+}
+
+/**
+ * Check a vectors file against its declared seal
+ *
+ * @param {Object} suite - Parsed vectors file
+ * @returns {{ valid: boolean, declared: string|null, computed: string }}
+ */
+export function verifyVectors(suite) {
+  const declared = typeof suite.sha256 === 'string' ? suite.sha256 : null;
+  const computed = computeVectorsHash(suite);
+  return { valid: declared === computed, declared, computed };
+}
+
+/**
+ * Return a copy of the suite with a fresh seal
+ *
+ * @param {Object} suite - Parsed vectors file
+ * @returns {Object}
+ */
+export function sealVectors(suite) {
+  return { ...suite, sha256: computeVectorsHash(suite) };
+}
+
+/**
+ * Generate a vector from a (capsule, task, output) triple with the reference engine
+ *
+ * @param {Object} triple
+ * @param {string} triple.id - Unique vector id
+ * @param {string} [triple.description]
+ * @param {Object} triple.capsule
+ * @param {Object} triple.task
+ * @param {string} triple.output
+ * @param {string|null} [triple.baseline]
+ * @param {Object} [triple.thresholds]
+ * @param {boolean} [triple.enforce]
+ * @param {Object} [options]
+ * @param {string} [options.status='CANDIDATE'] - Vector status
+ * @returns {Object} Vector with `expected` report
+ */
+export function createVector(triple, options = {}) {
+  const { id, description = '', capsule, task, output, baseline = null, thresholds, enforce } = triple || {};
+  if (typeof id !== 'string' || id === '') {
+    throw new TypeError('Vector requires id');
+  }
+  if (!capsule || !task || typeof output !== 'string') {
+    throw new TypeError(`Vector ${id} requires capsule, task and output`);
+  }
+
+  const engine = new GovernanceEngine({
+    capsule,
+    thresholds: thresholds || { compliance: 80 },
+    enforce: enforce || false,
+    now: () => FIXED_ISO,
+    engineVersion: FIXED_ENGINE_VERSION
+  });
+
+  let expected;
+  try {
+    expected = engine.evaluate({ task, output, baseline });
+  } catch (err) {
+    if (!(err instanceof GovernanceBlockedError)) throw err;
+    expected = err.report;
+  }
+
+  // Key order matches the hand-written v1 vectors
+  const vector = {
+    id,
+    status: options.status || 'CANDIDATE',
+    description,
+    capsule,
+    task,
+    output,
+    baseline
+  };
+  if (thresholds) vector.thresholds = thresholds;
+  if (enforce) vector.enforce = enforce;
+  vector.expected = JSON.parse(JSON.stringify(expected));
+  return vector;
+}
+
+/**
+ * Append generated vectors to an unfrozen suite
+ *
+ * @param {Object} suite - Parsed vectors file
+ * @param {Object[]} triples - See createVector()
+ * @param {Object} [options]
+ * @param {string} [options.status='CANDIDATE']
+ * @param {Function} [options.now] - Override generatedAt timestamp (testing only)
+ * @returns {Object} Updated (unsealed) suite
+ * @throws {Error} If the suite is frozen or an id already exists
+ */
+export function addVectors(suite, triples, options = {}) {
+  if (suite.frozen === true) {
+    throw new Error(`Vectors v${suite.version} are frozen; author new vectors in a new file`);
+  }
+
+  const ids = new Set(suite.vectors.map(v => v.id));
+  const vectors = [...suite.vectors];
+  for (const triple of triples) {
+    const vector = createVector(triple, options);
+    if (ids.has(vector.id)) {
+      throw new Error(`Duplicate vector id: ${vector.id}`);
+    }
+    ids.add(vector.id);
+    vectors.push(vector);
+  }
+
+  const now = options.now || (() => new Date().toISOString());
+  return { ...suite, generatedAt: now(), vectors };
+}
+
+/**
+ * Create an empty, unfrozen vectors file
+ *
+ * @param {Object} params
+ * @param {string} params.version - Protocol version the vectors pin (e.g. '1.1.0')
+ * @param {string} [params.description]
+ * @param {string} [params.specification]
+ * @returns {Object}
+ */
+export function createSuite({ version, description = '', specification = 'docs/ENGINE_CONTRACT.md' }) {
+  if (typeof version !== 'string' || !/^\d+\.\d+\.\d+$/.test(version)) {
+    throw new TypeError(`Vectors version must be semver (got ${version})`);
+  }
+  return {
+    protocol: 'DGP',
+    version,
+    frozen: false,
+    description,
+    specification,
+    generatedAt: null,
+    sha256: null,
+    vectors: []
+  };
+}
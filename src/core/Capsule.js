@@ -0,0 +1,293 @@
+/**
+ * Capsule - Validated, immutable governance policy
+ *
+ * Loads a capsule from a JSON file or plain object, validates it against the
+ * published JSON Schema (`schemas/capsule.v1.schema.json`) and deep-freezes the
+ * result so validators always read the exact policy that was validated.
+ *
+ * Every schema problem is reported at once, each with its JSON path, e.g.
+ * `$.governance.SEG.driftKeyword: unknown property`.
+ *
+ * Capsules written in the DGP.md shape (`{ capsule: { requiredHeading,
+ * scopeGuardrails, escalationRules, riskProfile } }`) are normalized onto
+ * `governance` first (see normalizeCapsule.js); fields the mapping does not
+ * understand end up in `warnings`.
+ *
+ * @example
+ * const capsule = await Capsule.load('./capsule.v1.compact.json');
+ * const engine = new GovernanceEngine({ capsule });
+ *
+ * const { valid, errors } = Capsule.validate(json);
+ * // errors: [{ path: '$.governance.SEG.driftKeyword', message: 'unknown property' }]
+ */
+
+import fs from 'node:fs';
+import { readFile } from 'node:fs/promises';
+
+import { CapsuleValidationError } from './errors.js';
+import { normalizeCapsule } from './normalizeCapsule.js';
+
+const SCHEMA_URL = new URL('../../schemas/capsule.v1.schema.json', import.meta.url);
+const CAPSULE_SCHEMA = deepFreeze(JSON.parse(fs.readFileSync(SCHEMA_URL, 'utf8')));
+
+export class Capsule {
+  /**
+   * @param {Object} data - Raw capsule JSON (protocol or DGP.md shape)
+   * @param {Object} [options]
+   * @param {string} [options.source] - Origin of the data (file path), used in error messages
+   * @throws {CapsuleValidationError} If data does not satisfy the capsule schema
+   */
+  constructor(data, options = {}) {
+    const normalized = normalizeCapsule(data);
+    const errors = [...normalized.errors];
+    validateNode(CAPSULE_SCHEMA, normalized.data, '$', errors);
+    if (errors.length > 0) {
+      throw new CapsuleValidationError(errors, options.source);
+    }
+
+    const frozen = deepFreeze(structuredClone(normalized.data));
+
+    this.version = frozen.version;
+    this.governance = frozen.governance;
+    this.source = options.source || null;
+    this.format = normalized.format;
+    this.warnings = deepFreeze(normalized.warnings);
+    this._data = frozen;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Load and validate a capsule from a JSON file
+   *
+   * @param {string} filePath - Path to capsule JSON
+   * @returns {Promise<Capsule>}
+   * @throws {CapsuleValidationError} If the file is not valid JSON or fails schema validation
+   */
+  static async load(filePath) {
+    const raw = await readFile(filePath, 'utf8');
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      throw new CapsuleValidationError([{ path: '$', message: `invalid JSON (${err.message})` }], filePath);
+    }
+
+    return new Capsule(data, { source: filePath });
+  }
+
+  /**
+   * Coerce a plain object or existing Capsule into a Capsule
+   *
+   * @param {Capsule|Object} input
+   * @returns {Capsule}
+   */
+  static from(input) {
+    return input instanceof Capsule ? input : new Capsule(input);
+  }
+
+  /**
+   * Validate raw capsule data against the capsule schema
+   *
+   * DGP.md-shaped data is normalized first; mistyped DGP.md fields are
+   * reported at their source path.
+   *
+   * @param {*} data - Candidate capsule JSON
+   * @returns {{
+   *   valid: boolean,
+   *   errors: Array<{ path: string, message: string }>,
+   *   warnings: Array<{ path: string, message: string }>
+   * }}
+   */
+  static validate(data) {
+    const { data: normalized, errors, warnings } = normalizeCapsule(data);
+    validateNode(CAPSULE_SCHEMA, normalized, '$', errors);
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Map DGP.md-shaped capsule data onto protocol blocks (no validation)
+   *
+   * @param {*} data - Raw capsule JSON
+   * @returns {{ data: *, format: 'governance'|'dgp-md', warnings: Object[], errors: Object[] }}
+   */
+  static normalize(data) {
+    return normalizeCapsule(data);
+  }
+
+  /**
+   * Published capsule JSON Schema (frozen)
+   *
+   * @returns {Object}
+   */
+  static get schema() {
+    return CAPSULE_SCHEMA;
+  }
+
+  /**
+   * Frozen capsule data, as validated (after normalization)
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return this._data;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema node (subset used by the capsule schema)
+ *
+ * Supported keywords: $ref (local), type, enum, const, anyOf, properties,
+ * required, additionalProperties, items, minItems, minLength, pattern,
+ * minimum, maximum.
+ * @private
+ */
+function validateNode(schema, value, path, errors) {
+  if (schema.$ref) {
+    validateNode(resolveRef(schema.$ref), value, path, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type;
+    errors.push({ path, message: `expected ${expected}, got ${describeType(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(option, value, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) {
+      errors.push({ path, message: 'does not match any allowed form' });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: 'required property missing' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      const childPath = joinPath(path, key);
+      if (key in properties) {
+        validateNode(properties[key], value[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'unknown property' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateNode(schema.additionalProperties, value[key], childPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve a local `#/$defs/name` reference
+ * @private
+ */
+function resolveRef(ref) {
+  const name = ref.replace(/^#\/\$defs\//, '');
+  const target = CAPSULE_SCHEMA.$defs?.[name];
+  if (!target) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * @private
+ */
+function matchesType(type, value) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => {
+    switch (t) {
+      case 'object': return isPlainObject(value);
+      case 'array': return Array.isArray(value);
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'null': return value === null;
+      default: return false;
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Append a property to a JSON path ($.a.b or $["odd key"])
+ * @private
+ */
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Recursively freeze an object graph
+ * @private
+ */
+function deepFreeze(obj) {
+  if (obj && typeof obj === 'object' && !Object.isFrozen(obj)) {
+    Object.freeze(obj);
+    for (const value of Object.values(obj)) {
+      deepFreeze(value);
+    }
+  }
+  return obj;
+}
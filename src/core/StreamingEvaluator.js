@@ -0,0 +1,436 @@
+/**
+ * StreamingEvaluator - Incremental governance over token streams
+ *
+ * Accepts output chunks (strings or UTF-8 bytes) and keeps running drift,
+ * escalation, retry-pressure and risky-operation state across chunk
+ * boundaries: each scanner resumes where it stopped and re-checks only the
+ * characters a straddling match could still need, so `"out-of-" + "scope"`
+ * matches exactly like the joined string. Header and SPS (v1.1) checks are
+ * line-based: each completed line is parsed once, and only the unfinished
+ * last line is re-read on the next chunk.
+ *
+ * Events (from `push()` / `evaluate()`):
+ *
+ * ```
+ * { type: 'provisional', chunkIndex, length, state, report }  // after every non-empty chunk
+ * { type: 'abort', reason: 'drift'|'risky-operation', chunkIndex, length, state, report }
+ * { type: 'final', output, report }                          // identical to engine.evaluate()
+ * ```
+ *
+ * Provisional reports are built from the running state of the text so far
+ * (baseline deltas are only computed for the final report). The final report
+ * is `engine.evaluate()` on the complete output, including enforcement.
+ *
+ * With v1.1 capsules (`engine.extensions`) the stream also aborts with
+ * `'risky-operation'` as soon as the capsule's SPS catalogue detects an
+ * operation, in addition to any `abortOn.riskyOperations` strings.
+ *
+ * @example
+ * const stream = engine.evaluateStream(llm.stream(prompt), {
+ *   task,
+ *   abortOn: { driftIncidents: 2, riskyOperations: ['rm -rf', 'drop table'] }
+ * });
+ * for await (const event of stream) {
+ *   if (event.type === 'abort') cancelGeneration(event.reason);
+ *   if (event.type === 'final') console.log(event.report.verdict.score);
+ * }
+ */
+
+import { LineScanner } from '../validators/markdown.js';
+
+export class StreamingEvaluator {
+  /**
+   * @param {GovernanceEngine} engine - Engine whose capsule and validators are used
+   * @param {Object} options
+   * @param {Object} options.task - Task definition
+   * @param {string|null} [options.baseline=null] - Baseline output (final report only)
+   * @param {Object} [options.abortOn] - Early-abort thresholds
+   * @param {number} [options.abortOn.driftIncidents] - Abort once drift incidents reach this count
+   * @param {string[]} [options.abortOn.riskyOperations] - Abort as soon as any of these appears (case-insensitive);
+   *   v1.1 capsules also abort on SPS catalogue operations
+   */
+  constructor(engine, options = {}) {
+    const { task, baseline = null, abortOn = {} } = options;
+    if (!engine || typeof engine.evaluate !== 'function') {
+      throw new TypeError('StreamingEvaluator requires GovernanceEngine');
+    }
+    if (!task || !task.id) {
+      throw new TypeError('Task must include id field');
+    }
+
+    this.engine = engine;
+    this.task = task;
+    this.baseline = baseline;
+    this.abortOn = abortOn;
+
+    this.output = '';
+    this._lower = '';
+    this._decoder = new TextDecoder();
+    this._chunkIndex = -1;
+    this._closed = false;
+
+    // Non-literal lexicons (word/stem/regex, weights) are re-detected on the text so far
+    this._driftRescan = engine.driftDetector.contextAware || !engine.driftDetector.isLiteral(task.driftLexicon);
+    const lexicon = this._driftRescan
+      ? []
+      : task.driftLexicon ? task.driftLexicon.map(k => k.toLowerCase()) : engine.driftDetector.keywords;
+    this._triggers = engine.escalationDetector.allTriggers();
+    this._risky = abortOn.riskyOperations || [];
+
+    this._drift = new LiteralScanner(lexicon, { every: true });
+    this._escalation = new LiteralScanner(this._triggers.map(t => t.toLowerCase()));
+    this._uncertainty = new LiteralScanner(engine.retryPressure.uncertaintyPhrases);
+    this._placeholders = new PatternScanner(engine.retryPressure.placeholderPatterns, { maxLength: 8 });
+    this._riskyScanner = new LiteralScanner(this._risky.map(r => r.toLowerCase()));
+
+    // Line-based checks: results of completed lines, plus the unfinished last line
+    this._lines = new LineScanner();
+    this._partial = '';
+    this._rawLines = [''];
+    this._headers = [];
+    this._closedSections = []; // structure mode: sections followed by a completed section start
+    this._openFrom = 0; // index in _headers after the closed sections
+    this._mentioned = new Set();
+    this._safetyMatches = [];
+  }
+
+  /**
+   * Running state of the text received so far
+   *
+   * @returns {{
+   *   length: number,
+   *   drift: { incidents: number, matches: string[] },
+   *   escalation: { detected: boolean, triggers: string[] },
+   *   retryPressure: { normalized: number, signals: string[] },
+   *   riskyOperations: string[]
+   * }} `riskyOperations`: matched `abortOn.riskyOperations`, then detected SPS operation ids (v1.1 capsules)
+   */
+  get state() {
+    const { driftResult, escalationResult, retryResult } = this._results();
+    const safetyResult = this._safetyResult();
+    return {
+      length: this.output.length,
+      drift: { incidents: driftResult.weighted ?? driftResult.count, matches: driftResult.matches },
+      escalation: { detected: escalationResult.escalated, triggers: escalationResult.triggers },
+      retryPressure: { normalized: retryResult.normalized, signals: retryResult.signals },
+      riskyOperations: [
+        ...this._risky.filter((_, i) => this._riskyScanner.hits[i].length > 0),
+        ...(safetyResult ? safetyResult.operations.map(op => op.id) : [])
+      ]
+    };
+  }
+
+  /**
+   * Feed one chunk
+   *
+   * @param {string|Uint8Array} chunk - Text, or UTF-8 bytes (multi-byte characters may span chunks)
+   * @returns {Object|null} Provisional or abort event; null for empty chunks
+   * @throws {Error} If the stream was already finished or aborted
+   */
+  push(chunk) {
+    if (this._closed) {
+      throw new Error('StreamingEvaluator is closed');
+    }
+
+    let text;
+    if (typeof chunk === 'string') {
+      text = chunk;
+    } else if (chunk instanceof Uint8Array) {
+      text = this._decoder.decode(chunk, { stream: true });
+    } else {
+      throw new TypeError('Chunks must be strings or Uint8Array');
+    }
+    if (text.length === 0) {
+      return null;
+    }
+
+    this._chunkIndex++;
+    this._append(text, false);
+
+    const state = this.state;
+    const event = {
+      type: 'provisional',
+      chunkIndex: this._chunkIndex,
+      length: this.output.length,
+      state,
+      report: this._provisionalReport()
+    };
+
+    const reason = this._abortReason(state);
+    if (reason) {
+      this._closed = true;
+      return { ...event, type: 'abort', reason };
+    }
+    return event;
+  }
+
+  /**
+   * End the stream and evaluate the complete output
+   *
+   * @returns {{ type: 'final', output: string, report: Object }}
+   * @throws {TypeError} If no output was received
+   * @throws {GovernanceBlockedError} If enforce mode blocks the output
+   */
+  finish() {
+    if (this._closed) {
+      throw new Error('StreamingEvaluator is closed');
+    }
+    this._closed = true;
+    this._append(this._decoder.decode(), true);
+
+    const report = this.engine.evaluate({ task: this.task, output: this.output, baseline: this.baseline });
+    return { type: 'final', output: this.output, report };
+  }
+
+  /**
+   * Consume an async (or sync) iterable of chunks, yielding events
+   *
+   * Stops reading the source on abort (its `return()` is called, so
+   * generators and streams are closed).
+   *
+   * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *evaluate(source) {
+    for await (const chunk of source) {
+      const event = this.push(chunk);
+      if (!event) continue;
+      yield event;
+      if (event.type === 'abort') return;
+    }
+    yield this.finish();
+  }
+
+  /**
+   * @private
+   */
+  _append(text, final) {
+    this.output += text;
+    this._lower += text.toLowerCase();
+
+    this._drift.scan(this._lower);
+    this._escalation.scan(this._lower);
+    this._uncertainty.scan(this._lower);
+    this._riskyScanner.scan(this._lower);
+    this._placeholders.scan(this.output, final);
+
+    const completed = (this._partial + text).split('\n');
+    this._partial = completed.pop();
+    this._rawLines.pop();
+    for (const raw of completed) {
+      this._pushLine(raw);
+    }
+    this._rawLines.push(this._partial.replace(/\r$/, ''));
+  }
+
+  /**
+   * Parse one completed line for the header and SPS checks
+   * @private
+   */
+  _pushLine(raw) {
+    const { headerChecker, safetyChecker } = this.engine;
+
+    this._rawLines.push(raw.replace(/\r$/, ''));
+    headerChecker.mentioned(raw).forEach(header => this._mentioned.add(header));
+
+    const segment = this._lines.push(raw);
+    if (!segment) return;
+
+    const header = headerChecker.parseHeaderLine(segment);
+    if (header) this._headers.push(header);
+    if (this.engine.extensions) this._safetyMatches.push(...safetyChecker.matchLine(segment));
+  }
+
+  /**
+   * Validator-shaped results from the running state
+   * @private
+   */
+  _results() {
+    // Context-aware or non-literal drift lexicons: recompute on the text so far
+    const driftTerms = this._drift.terms;
+    const driftResult = this._driftRescan
+      ? this.engine.driftDetector.detect(this.output, this.engine._driftOptions(this.task))
+      : {
+        count: this._drift.hits.reduce((sum, hits) => sum + hits.length, 0),
+        matches: [...new Set(driftTerms.filter((_, i) => this._drift.hits[i].length > 0))],
+        positions: this._drift.hits.flat()
+      };
+
+    const escalationResult = this.engine.escalationDetector.fromTriggers(
+      this._triggers.filter((_, i) => this._escalation.hits[i].length > 0)
+    );
+
+    // Extended mode reads whole-output structure (endings, fences): recompute
+    if (this.engine.retryPressure.extended) {
+      const retryResult = this.engine.retryPressure.compute(this.output, {
+        requiredHeaders: this.engine.capsule.governance?.RFE?.requiredHeaders || []
+      });
+      return { driftResult, escalationResult, retryResult };
+    }
+
+    const found = [];
+    this._uncertainty.terms.forEach((phrase, i) => {
+      const [position] = this._uncertainty.hits[i];
+      if (position === undefined) return;
+      const text = this.output.slice(position, position + phrase.length);
+      if (!found.some(m => m.text === text)) {
+        found.push({ text, position, type: 'uncertainty' });
+      }
+    });
+    for (const [text, position] of this._placeholders.found) {
+      if (!found.some(m => m.text === text)) {
+        found.push({ text, position, type: 'placeholder' });
+      }
+    }
+    const retryResult = this.engine.retryPressure.fromMatches(found);
+
+    return { driftResult, escalationResult, retryResult };
+  }
+
+  /**
+   * @private
+   */
+  _provisionalReport() {
+    const results = {
+      headerResult: this._headerResult(),
+      safetyResult: this._safetyResult(),
+      ...this._results()
+    };
+    return this.engine._buildReport({ task: this.task, results, deltas: null, baselineProvided: false });
+  }
+
+  /**
+   * HeaderChecker result: completed lines plus the unfinished last line
+   * @private
+   */
+  _headerResult() {
+    const checker = this.engine.headerChecker;
+    const tail = this._lines.peek(this._partial);
+    const header = tail && checker.parseHeaderLine(tail);
+    const mentionedLast = checker.mentioned(this._partial);
+
+    const headers = header ? [...this._headers, header] : this._headers;
+
+    return checker.fromHeaders(headers, {
+      found: checker.required.filter(h => this._mentioned.has(h) || mentionedLast.includes(h)),
+      lines: this._rawLines,
+      sections: checker.structure ? this._sections(headers) : undefined
+    });
+  }
+
+  /**
+   * HeaderChecker sections, rebuilding only those still open to more lines
+   * @private
+   */
+  _sections(headers) {
+    const open = this.engine.headerChecker.buildSections(headers.slice(this._openFrom), this._rawLines);
+
+    // A section is final once a later section starts on a completed line
+    const completedLines = this._rawLines.length - 1;
+    const last = open.findLastIndex(section => section.line <= completedLines);
+    if (last > 0) {
+      this._closedSections.push(...open.slice(0, last));
+      this._openFrom = this._headers.findIndex(h => h.line >= open[last].line);
+    }
+    return [...this._closedSections, ...open.slice(Math.max(last, 0))];
+  }
+
+  /**
+   * SafetyProtocolChecker result (v1.1 capsules), or null
+   * @private
+   */
+  _safetyResult() {
+    if (!this.engine.extensions) {
+      return null;
+    }
+    const checker = this.engine.safetyChecker;
+    const tail = this._lines.peek(this._partial);
+    return checker.fromMatches(tail ? [...this._safetyMatches, ...checker.matchLine(tail)] : this._safetyMatches);
+  }
+
+  /**
+   * @private
+   */
+  _abortReason(state) {
+    const { driftIncidents } = this.abortOn;
+    if (typeof driftIncidents === 'number' && state.drift.incidents >= driftIncidents) {
+      return 'drift';
+    }
+    if (state.riskyOperations.length > 0) {
+      return 'risky-operation';
+    }
+    return null;
+  }
+}
+
+/**
+ * Incremental substring search over a growing (lowercased) buffer
+ *
+ * Records every occurrence (`every`) or only the first. After each scan a term
+ * resumes `term.length - 1` characters before the end, so occurrences split
+ * across chunks are found exactly once.
+ * @private
+ */
+class LiteralScanner {
+  constructor(terms, { every = false } = {}) {
+    this.terms = terms;
+    this.every = every;
+    this.hits = terms.map(() => []);
+    this._next = terms.map(() => 0);
+  }
+
+  scan(text) {
+    this.terms.forEach((term, i) => {
+      if (term.length === 0 || this._next[i] === Infinity) return;
+
+      let index = text.indexOf(term, this._next[i]);
+      while (index !== -1) {
+        this.hits[i].push(index);
+        if (!this.every) {
+          this._next[i] = Infinity;
+          return;
+        }
+        this._next[i] = index + 1;
+        index = text.indexOf(term, index + 1);
+      }
+      this._next[i] = Math.max(this._next[i], text.length - term.length + 1);
+    });
+  }
+}
+
+/**
+ * Incremental regex search recording the first position of each distinct match
+ *
+ * A match touching the end of the buffer is deferred until more text (or the
+ * final scan) arrives, since a trailing `\b` may not hold once the next chunk
+ * is appended.
+ * @private
+ */
+class PatternScanner {
+  constructor(patterns, { maxLength }) {
+    this.patterns = patterns.map(p => new RegExp(p.source, p.flags.includes('g') ? p.flags : `${p.flags}g`));
+    this.maxLength = maxLength;
+    this.found = new Map(); // text → first position
+    this._next = patterns.map(() => 0);
+  }
+
+  scan(text, final) {
+    this.patterns.forEach((pattern, i) => {
+      pattern.lastIndex = this._next[i];
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (!final && end >= text.length) {
+          this._next[i] = match.index;
+          return;
+        }
+        if (!this.found.has(match[0])) {
+          this.found.set(match[0], match.index);
+        }
+        this._next[i] = end;
+        if (match[0].length === 0) pattern.lastIndex++;
+      }
+      this._next[i] = Math.max(this._next[i], text.length - this.maxLength);
+    });
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * ValidatorRegistry - Named plugin validators for custom governance dimensions
+ *
+ * Hosts register validators in code; capsules stay declarative and only name
+ * them (top-level `plugins`, with weight, severities and options). A plugin
+ * validator is a function, or an object with `validate()`, called
+ * synchronously as `validate(output, { task, options })` and returning:
+ *
+ * - `score`: 0-100 (rounded)
+ * - `signals` (optional): strings describing what was found
+ * - `violations` (optional): candidate violations `{ code, message, evidence?, severity? }`;
+ *   codes are UPPER_SNAKE_CASE and may not reuse a built-in ViolationCode
+ *
+ * @example
+ * const validators = new ValidatorRegistry()
+ *   .register('json-validity', (output) => {
+ *     try { JSON.parse(output); return { score: 100 }; }
+ *     catch (err) { return { score: 0, signals: ['invalid JSON'], violations: [{ code: 'JSON_INVALID', message: err.message }] }; }
+ *   });
+ *
+ * const engine = new GovernanceEngine({ capsule, validators });
+ * // capsule: { ..., plugins: { 'json-validity': { weight: 0.2, severity: 'HIGH' } } }
+ */
+
+import { ConfigurationError } from './errors.js';
+
+// Names of the built-in dimensions (metadata.weights keys)
+export const BUILT_IN_DIMENSIONS = Object.freeze(['headers', 'drift', 'retry', 'escalation']);
+
+const NAME = /^[a-z][a-z0-9-]*$/;
+const CODE = /^[A-Z][A-Z0-9_]*$/;
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+export class ValidatorRegistry {
+  constructor() {
+    this.validators = new Map();
+  }
+
+  /**
+   * @param {string} name - Lowercase name (`tone`, `citation-presence`), as used in capsule `plugins`
+   * @param {Function|{ validate: Function, description?: string }} validator
+   * @returns {ValidatorRegistry} this (chainable)
+   * @throws {ConfigurationError} If the name is invalid, built-in or already registered
+   * @throws {TypeError} If the validator is neither a function nor has validate()
+   */
+  register(name, validator) {
+    if (typeof name !== 'string' || !NAME.test(name)) {
+      throw new ConfigurationError(`Validator name must match ${NAME} (got ${JSON.stringify(name)})`);
+    }
+    if (BUILT_IN_DIMENSIONS.includes(name)) {
+      throw new ConfigurationError(`Validator name "${name}" is a built-in dimension`);
+    }
+    if (this.validators.has(name)) {
+      throw new ConfigurationError(`Validator "${name}" is already registered`);
+    }
+
+    const validate = typeof validator === 'function' ? validator : validator?.validate;
+    if (typeof validate !== 'function') {
+      throw new TypeError(`Validator "${name}" must be a function or an object with validate()`);
+    }
+
+    this.validators.set(name, {
+      name,
+      description: validator.description || null,
+      validate: validate.bind(validator)
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether it was registered
+   */
+  unregister(name) {
+    return this.validators.delete(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.validators.has(name);
+  }
+
+  /**
+   * @returns {string[]} Registered names, in registration order
+   */
+  names() {
+    return [...this.validators.keys()];
+  }
+
+  /**
+   * Run one validator and check its result
+   *
+   * @param {string} name - Registered name
+   * @param {string} output - LLM output text
+   * @param {{ task: Object, options: Object }} context
+   * @returns {{ score: number, signals: string[], violations: Array<{ code: string, message: string, evidence: string[], severity: string|null }> }}
+   * @throws {ConfigurationError} If the name is not registered
+   * @throws {TypeError} If the result breaks the plugin contract
+   */
+  run(name, output, context) {
+    const entry = this.validators.get(name);
+    if (!entry) {
+      throw new ConfigurationError(`Validator "${name}" is not registered`);
+    }
+    return checkResult(name, entry.validate(output, context));
+  }
+
+  /**
+   * Registry as-is, or one built from `{ name: validator }`
+   *
+   * @param {ValidatorRegistry|Object<string, Function|Object>} validators
+   * @returns {ValidatorRegistry}
+   */
+  static from(validators) {
+    if (validators instanceof ValidatorRegistry) return validators;
+
+    const registry = new ValidatorRegistry();
+    for (const [name, validator] of Object.entries(validators || {})) {
+      registry.register(name, validator);
+    }
+    return registry;
+  }
+}
+
+/**
+ * @private
+ */
+function checkResult(name, result) {
+  const fail = (message) => {
+    throw new TypeError(`Validator "${name}" ${message}`);
+  };
+
+  if (!result || typeof result !== 'object') fail('must return an object');
+  if (typeof result.then === 'function') fail('must be synchronous (returned a Promise)');
+  if (typeof result.score !== 'number' || !(result.score >= 0 && result.score <= 100)) {
+    fail('must return a score between 0 and 100');
+  }
+
+  const signals = result.signals ?? [];
+  if (!Array.isArray(signals) || signals.some(s => typeof s !== 'string')) {
+    fail('signals must be an array of strings');
+  }
+
+  const violations = result.violations ?? [];
+  if (!Array.isArray(violations)) fail('violations must be an array');
+
+  return {
+    score: Math.round(result.score),
+    signals,
+    violations: violations.map((v, i) => {
+      if (typeof v?.code !== 'string' || !CODE.test(v.code)) fail(`violations[${i}].code must be UPPER_SNAKE_CASE`);
+      if (typeof v.message !== 'string' || v.message.length === 0) fail(`violations[${i}].message must be a non-empty string`);
+      const evidence = v.evidence ?? [];
+      if (!Array.isArray(evidence) || evidence.some(e => typeof e !== 'string')) {
+        fail(`violations[${i}].evidence must be an array of strings`);
+      }
+      if (v.severity !== undefined && !SEVERITIES.includes(v.severity)) {
+        fail(`violations[${i}].severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      return { code: v.code, message: v.message, evidence, severity: v.severity ?? null };
+    })
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Canonical serialization - Stable JSON for hashing
+ * 
+ * `canonicalJson` is JSON.stringify with object keys sorted by UTF-16 code
+ * unit order at every depth and no whitespace. Arrays keep their order and
+ * `undefined` is handled exactly as JSON.stringify handles it, so any
+ * language can reproduce the byte sequence and its SHA-256.
+ * 
+ * @example
+ * canonicalJson({ b: 1, a: [2, { d: 3, c: 4 }] }); // '{"a":[2,{"c":4,"d":3}],"b":1}'
+ * sha256Hex(canonicalJson(report));                  // '9f86d0…'
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  return JSON.stringify(sortKeys(value));
+}
+
+/**
+ * @param {string} data - UTF-8 string to hash
+ * @returns {string} Lowercase hex SHA-256 digest
+ */
+export function sha256Hex(data) {
+  return createHash('sha256').update(data, 'utf8').digest('hex');
+}
+
+/**
+ * @private
+ */
+function sortKeys(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return sortKeys(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = sortKeys(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
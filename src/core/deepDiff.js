@@ -0,0 +1,92 @@
+/**
+ * deepDiff - Field-level differences between two JSON values
+ *
+ * Walks both values in parallel and reports every leaf that differs, using the
+ * same JSON path notation as capsule validation errors (`$.verdict.score`,
+ * `$.verdict.violations[0].code`). Object keys are visited in sorted order and
+ * array items by index, so the result is deterministic.
+ *
+ * @example
+ * deepDiff({ verdict: { score: 79 } }, { verdict: { score: 80 } });
+ * // [{ path: '$.verdict.score', kind: 'changed', expected: 79, actual: 80 }]
+ */
+
+/**
+ * @param {*} expected - Reference value
+ * @param {*} actual - Value under test
+ * @returns {Array<{ path: string, kind: 'changed'|'added'|'removed', expected?: *, actual?: * }>}
+ */
+export function deepDiff(expected, actual) {
+  const differences = [];
+  walk(expected, actual, '$', differences);
+  return differences;
+}
+
+/**
+ * Format differences as one line each (for CLI and test diagnostics)
+ *
+ * @param {Array<Object>} differences - Result of deepDiff()
+ * @returns {string}
+ */
+export function formatDiff(differences) {
+  return differences.map(d => {
+    switch (d.kind) {
+      case 'added': return `+ ${d.path}: ${JSON.stringify(d.actual)}`;
+      case 'removed': return `- ${d.path}: ${JSON.stringify(d.expected)}`;
+      default: return `~ ${d.path}: ${JSON.stringify(d.expected)} → ${JSON.stringify(d.actual)}`;
+    }
+  }).join('\n');
+}
+
+/**
+ * @private
+ */
+function walk(expected, actual, path, differences) {
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+      const childPath = `${path}[${i}]`;
+      if (i >= actual.length) {
+        differences.push({ path: childPath, kind: 'removed', expected: expected[i] });
+      } else if (i >= expected.length) {
+        differences.push({ path: childPath, kind: 'added', actual: actual[i] });
+      } else {
+        walk(expected[i], actual[i], childPath, differences);
+      }
+    }
+    return;
+  }
+
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+    for (const key of keys) {
+      const childPath = joinPath(path, key);
+      if (!(key in actual)) {
+        differences.push({ path: childPath, kind: 'removed', expected: expected[key] });
+      } else if (!(key in expected)) {
+        differences.push({ path: childPath, kind: 'added', actual: actual[key] });
+      } else {
+        walk(expected[key], actual[key], childPath, differences);
+      }
+    }
+    return;
+  }
+
+  if (expected !== actual) {
+    differences.push({ path, kind: 'changed', expected, actual });
+  }
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
@@ -0,0 +1,113 @@
+/**
+ * Error types - Typed failures defined by ENGINE_CONTRACT.md
+ * 
+ * The contract requires engines to throw:
+ * - `TypeError` for missing required parameters (built-in)
+ * - `ValidationError` for invalid task/capsule structure
+ * - `ConfigurationError` for invalid thresholds/weights
+ * 
+ * @example
+ * try {
+ *   await Capsule.load('./capsule.json');
+ * } catch (err) {
+ *   if (err instanceof CapsuleValidationError) {
+ *     for (const e of err.errors) console.error(`${e.path}: ${e.message}`);
+ *   }
+ * }
+ */
+
+/**
+ * Invalid task or capsule structure
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array<{ path: string, message: string }>} [errors=[]] - Individual problems
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Capsule failed JSON Schema validation (one entry per problem, with JSON path)
+ */
+export class CapsuleValidationError extends ValidationError {
+  /**
+   * @param {Array<{ path: string, message: string }>} errors - Schema violations
+   * @param {string} [source] - File path the capsule was loaded from
+   */
+  constructor(errors, source) {
+    const where = source ? ` (${source})` : '';
+    const details = errors.map(e => `  ${e.path}: ${e.message}`).join('\n');
+    super(`Invalid capsule${where}: ${errors.length} problem(s)\n${details}`, errors);
+    this.name = 'CapsuleValidationError';
+    this.source = source || null;
+  }
+}
+
+/**
+ * Invalid engine configuration (thresholds, weights)
+ */
+export class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * LLM provider request failed (network error, non-2xx status, unparseable body)
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.provider] - Provider name
+   * @param {number} [details.status] - HTTP status code, if a response was received
+   * @param {*} [details.body] - Response body, if any
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = details.provider || null;
+    this.status = details.status ?? null;
+    this.body = details.body ?? null;
+  }
+}
+
+/**
+ * Enforce mode stopped a BLOCK verdict (carries the full ComplianceReport)
+ */
+export class GovernanceBlockedError extends Error {
+  /**
+   * @param {Object} report - ComplianceReport with `enforcement.actionTaken === 'BLOCK'`
+   */
+  constructor(report) {
+    const reason = report.recommendedActions?.[0]?.reason || 'critical governance violation';
+    super(`Governance BLOCK (task ${report.task?.id}): ${reason}`);
+    this.name = 'GovernanceBlockedError';
+    this.report = report;
+    this.violations = report.verdict?.violations || [];
+  }
+}
+
+/**
+ * Approval queue operation not allowed in the record's current state
+ */
+export class ApprovalError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.approvalId]
+   * @param {string} [details.status] - Current approval status
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.approvalId = details.approvalId || null;
+    this.status = details.status || null;
+  }
+}
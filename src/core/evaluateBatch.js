@@ -0,0 +1,177 @@
+/**
+ * evaluateBatch - Evaluate a labelled corpus and aggregate the results
+ *
+ * Evaluates every item and summarizes the reports for benchmarking models and
+ * capsules:
+ *
+ * - `actions`: primary action distribution
+ * - `scores`: histogram (10-point buckets, 90-100 last), min/max/mean
+ * - `violations`: frequency of each violation code
+ * - `escalation`: precision/recall of ESCALATE against `expectedAction` labels
+ * - `confusion`: expected × actual action matrix (labelled items only)
+ *
+ * Precision, recall and accuracy are percentages (0-100, rounded), or `null`
+ * when undefined (no labelled items, or no predicted/expected escalations).
+ *
+ * @example
+ * const { reports, aggregates } = engine.evaluateBatch([
+ *   { task, output, expectedAction: 'ESCALATE' },
+ *   { task: otherTask, output: otherOutput, expectedAction: 'ALLOW' }
+ * ]);
+ * console.log(aggregates.escalation.recall, aggregates.confusion.matrix.ESCALATE);
+ */
+
+import { GovernanceBlockedError } from './errors.js';
+
+export const ACTIONS = ['ALLOW', 'RETRY', 'ESCALATE', 'BLOCK'];
+
+/**
+ * @param {GovernanceEngine} engine - Engine used to evaluate every item
+ * @param {Array<{ task: Object, output: string, baseline?: string, expectedAction?: string }>} items
+ * @returns {{ total: number, reports: Object[], aggregates: Object }}
+ * @throws {TypeError} If an item is invalid (message names its index)
+ */
+export function evaluateBatch(engine, items) {
+  if (!Array.isArray(items)) {
+    throw new TypeError('evaluateBatch() requires an array of items');
+  }
+
+  const reports = items.map((item, index) => {
+    if (item?.expectedAction !== undefined && !ACTIONS.includes(item.expectedAction)) {
+      throw new TypeError(`Item ${index}: expectedAction must be one of ${ACTIONS.join(', ')} (got ${item.expectedAction})`);
+    }
+    try {
+      return engine.evaluate({ task: item?.task, output: item?.output, baseline: item?.baseline });
+    } catch (err) {
+      // Enforce mode: the blocked report still belongs in the corpus statistics
+      if (err instanceof GovernanceBlockedError) return err.report;
+      if (err instanceof TypeError) throw new TypeError(`Item ${index}: ${err.message}`);
+      throw err;
+    }
+  });
+
+  return {
+    total: reports.length,
+    reports,
+    aggregates: aggregateReports(reports, items.map(item => item.expectedAction ?? null))
+  };
+}
+
+/**
+ * Aggregate ComplianceReports (optionally against expected actions)
+ *
+ * @param {Object[]} reports - ComplianceReports
+ * @param {Array<string|null>} [expectedActions=[]] - Label per report (null = unlabelled)
+ * @returns {{ actions: Object, scores: Object, violations: Object, escalation: Object, confusion: Object }}
+ */
+export function aggregateReports(reports, expectedActions = []) {
+  const actual = reports.map(r => r.recommendedActions[0]?.type || 'ALLOW');
+
+  return {
+    actions: countActions(actual),
+    scores: scoreStats(reports.map(r => r.verdict.score)),
+    violations: violationFrequencies(reports),
+    escalation: escalationStats(actual, expectedActions),
+    confusion: confusionMatrix(actual, expectedActions)
+  };
+}
+
+/**
+ * @private
+ */
+function countActions(actions) {
+  const counts = Object.fromEntries(ACTIONS.map(a => [a, 0]));
+  for (const action of actions) counts[action]++;
+  return counts;
+}
+
+/**
+ * @private
+ */
+function scoreStats(scores) {
+  const histogram = Array.from({ length: 10 }, (_, i) => ({ min: i * 10, max: i === 9 ? 100 : i * 10 + 9, count: 0 }));
+  for (const score of scores) {
+    histogram[Math.min(Math.floor(score / 10), 9)].count++;
+  }
+
+  if (scores.length === 0) {
+    return { histogram, min: null, max: null, mean: null };
+  }
+  const sum = scores.reduce((a, b) => a + b, 0);
+  return {
+    histogram,
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    mean: Math.round((sum / scores.length) * 100) / 100
+  };
+}
+
+/**
+ * Violation code → occurrences (keys sorted)
+ * @private
+ */
+function violationFrequencies(reports) {
+  const counts = {};
+  for (const report of reports) {
+    for (const { code } of report.verdict.violations) {
+      counts[code] = (counts[code] || 0) + 1;
+    }
+  }
+  return Object.fromEntries(Object.keys(counts).sort().map(code => [code, counts[code]]));
+}
+
+/**
+ * ESCALATE as the positive class, over labelled items
+ * @private
+ */
+function escalationStats(actual, expected) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  let labelled = 0;
+
+  actual.forEach((action, i) => {
+    if (!expected[i]) return;
+    labelled++;
+    const predicted = action === 'ESCALATE';
+    const wanted = expected[i] === 'ESCALATE';
+    if (predicted && wanted) truePositives++;
+    else if (predicted) falsePositives++;
+    else if (wanted) falseNegatives++;
+  });
+
+  return {
+    labelled,
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    precision: percent(truePositives, truePositives + falsePositives),
+    recall: percent(truePositives, truePositives + falseNegatives)
+  };
+}
+
+/**
+ * matrix[expected][actual] = count, over labelled items
+ * @private
+ */
+function confusionMatrix(actual, expected) {
+  const matrix = Object.fromEntries(ACTIONS.map(e => [e, countActions([])]));
+  let labelled = 0;
+  let correct = 0;
+
+  actual.forEach((action, i) => {
+    if (!expected[i]) return;
+    labelled++;
+    matrix[expected[i]][action]++;
+    if (expected[i] === action) correct++;
+  });
+
+  return { labels: ACTIONS, matrix, labelled, accuracy: percent(correct, labelled) };
+}
+
+/**
+ * @private
+ */
+function percent(numerator, denominator) {
+  return denominator === 0 ? null : Math.round((numerator / denominator) * 100);
+}
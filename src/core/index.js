@@ -3,3 +3,18 @@
  */
 
 export { GovernanceEngine } from './GovernanceEngine.js';
+export { Capsule } from './Capsule.js';
+export { StreamingEvaluator } from './StreamingEvaluator.js';
+export { ValidatorRegistry, BUILT_IN_DIMENSIONS } from './ValidatorRegistry.js';
+export { runWithRetries, buildRemediation } from './runWithRetries.js';
+export { evaluateBatch, aggregateReports } from './evaluateBatch.js';
+export { canonicalJson, sha256Hex } from './canonical.js';
+export { deepDiff, formatDiff } from './deepDiff.js';
+export {
+  ValidationError,
+  CapsuleValidationError,
+  ConfigurationError,
+  ProviderError,
+  GovernanceBlockedError,
+  ApprovalError
+} from './errors.js';
@@ -0,0 +1,221 @@
+/**
+ * normalizeCapsule - Map the DGP.md capsule shape onto protocol blocks
+ *
+ * DGP.md documents capsules as
+ * `{ capsule: { riskProfile, scopeGuardrails, escalationRules, requiredHeading } }`;
+ * the engine reads `governance.RFE/SEG/FOP`. This module rewrites the former
+ * into the latter with a fixed mapping, so either shape evaluates the same:
+ *
+ * | DGP.md field                         | Protocol field                         |
+ * |--------------------------------------|----------------------------------------|
+ * | `requiredHeading`                    | `governance.RFE.requiredHeaders`       |
+ * | `scopeGuardrails.forbiddenInScope`   | `governance.SEG.driftKeywords`         |
+ * | `scopeGuardrails.allowedInScope`     | `allowedInScope` (metadata, prompt)    |
+ * | `escalationRules.escalationLanguage` | `governance.FOP.escalationTriggers`    |
+ * | `escalationRules.escalationRequired` | `governance.FOP.requiredForHighRisk`   |
+ * | `riskProfile`                        | `riskProfile` (metadata); HIGH/CRITICAL default `requiredForHighRisk` to true |
+ *
+ * Capsules already in protocol shape pass through untouched, including ones
+ * with the schema's own top-level `riskProfile`/`allowedInScope`. A protocol
+ * capsule (one with `governance`) is only normalized when it also carries
+ * DGP.md-only fields (`requiredHeading`, `scopeGuardrails`, `escalationRules`);
+ * those are merged in and its other top-level fields are kept as-is.
+ * Otherwise fields the mapping does not understand are dropped with a
+ * warning. Explicit protocol values (`governance`, `allowedInScope`) win over
+ * mapped ones (also with a warning).
+ *
+ * @example
+ * const { data, format, warnings } = normalizeCapsule({
+ *   capsule: { requiredHeading: ['Plan', 'Action'], owner: 'ops' }
+ * });
+ * // data: { version: '1.0', governance: { RFE: { requiredHeaders: ['Plan', 'Action'] } } }
+ * // format: 'dgp-md'
+ * // warnings: [{ path: '$.capsule.owner', message: 'unknown field ignored' }]
+ */
+
+const DGP_MD_FIELDS = ['riskProfile', 'scopeGuardrails', 'escalationRules', 'requiredHeading'];
+
+// DGP.md fields the protocol schema does not define
+const DGP_MD_ONLY_FIELDS = ['scopeGuardrails', 'escalationRules', 'requiredHeading'];
+
+// Top-level schema fields carried over as-is (riskProfile is mapped)
+const METADATA_FIELDS = ['version', 'id', 'name', 'description', 'allowedInScope', 'plugins', 'governance'];
+
+const RISK_PROFILES = {
+  LOW: 'LOW',
+  MODERATE: 'MEDIUM',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH',
+  CRITICAL: 'CRITICAL'
+};
+
+const DEFAULT_VERSION = '1.0';
+
+/**
+ * @param {*} input - Raw capsule JSON in either shape
+ * @returns {{
+ *   data: *,
+ *   format: 'governance'|'dgp-md',
+ *   warnings: Array<{ path: string, message: string }>,
+ *   errors: Array<{ path: string, message: string }>
+ * }} `errors` cover mistyped DGP.md fields (which are left unmapped)
+ */
+export function normalizeCapsule(input) {
+  const warnings = [];
+  const errors = [];
+
+  if (!isPlainObject(input)) {
+    return { data: input, format: 'governance', warnings, errors };
+  }
+
+  const wrapped = isPlainObject(input.capsule) && !('governance' in input);
+  const mixed = !wrapped && 'governance' in input;
+  if (!wrapped && !(mixed ? DGP_MD_ONLY_FIELDS : DGP_MD_FIELDS).some(field => field in input)) {
+    return { data: input, format: 'governance', warnings, errors };
+  }
+
+  let source = input;
+  let base = '$';
+  if (wrapped) {
+    for (const key of Object.keys(input)) {
+      if (key !== 'capsule') warnings.push({ path: joinPath('$', key), message: 'unknown field ignored' });
+    }
+    source = input.capsule;
+    base = '$.capsule';
+  }
+
+  const data = { version: DEFAULT_VERSION };
+  for (const key of Object.keys(source)) {
+    if (DGP_MD_FIELDS.includes(key)) continue;
+    if (mixed || METADATA_FIELDS.includes(key)) {
+      data[key] = structuredClone(source[key]);
+    } else {
+      warnings.push({ path: joinPath(base, key), message: 'unknown field ignored' });
+    }
+  }
+
+  const explicit = isPlainObject(data.governance) ? data.governance : null;
+  const governance = {};
+  const set = (block, field, value, from) => {
+    if (explicit && isPlainObject(explicit[block]) && field in explicit[block]) {
+      warnings.push({ path: from, message: `ignored: governance.${block}.${field} is set` });
+      return;
+    }
+    governance[block] = { ...governance[block], [field]: value };
+  };
+
+  if ('requiredHeading' in source) {
+    const path = joinPath(base, 'requiredHeading');
+    const headers = typeof source.requiredHeading === 'string' ? [source.requiredHeading] : source.requiredHeading;
+    if (checkStringList(headers, path, errors)) set('RFE', 'requiredHeaders', [...headers], path);
+  }
+
+  const scope = readBlock(source, 'scopeGuardrails', ['allowedInScope', 'forbiddenInScope'], base, warnings, errors);
+  if (scope) {
+    const forbiddenPath = joinPath(scope.path, 'forbiddenInScope');
+    if ('forbiddenInScope' in scope.value && checkStringList(scope.value.forbiddenInScope, forbiddenPath, errors)) {
+      set('SEG', 'driftKeywords', [...scope.value.forbiddenInScope], forbiddenPath);
+    }
+    const allowedPath = joinPath(scope.path, 'allowedInScope');
+    if ('allowedInScope' in scope.value && checkStringList(scope.value.allowedInScope, allowedPath, errors)) {
+      if ('allowedInScope' in data) {
+        warnings.push({ path: allowedPath, message: 'ignored: allowedInScope is set' });
+      } else {
+        data.allowedInScope = [...scope.value.allowedInScope];
+      }
+    }
+  }
+
+  const escalation = readBlock(source, 'escalationRules', ['escalationRequired', 'escalationLanguage'], base, warnings, errors);
+  if (escalation) {
+    const languagePath = joinPath(escalation.path, 'escalationLanguage');
+    if ('escalationLanguage' in escalation.value && checkStringList(escalation.value.escalationLanguage, languagePath, errors)) {
+      set('FOP', 'escalationTriggers', [...escalation.value.escalationLanguage], languagePath);
+    }
+    const requiredPath = joinPath(escalation.path, 'escalationRequired');
+    if ('escalationRequired' in escalation.value) {
+      if (typeof escalation.value.escalationRequired === 'boolean') {
+        set('FOP', 'requiredForHighRisk', escalation.value.escalationRequired, requiredPath);
+      } else {
+        errors.push({ path: requiredPath, message: 'expected boolean' });
+      }
+    }
+  }
+
+  if ('riskProfile' in source) {
+    const path = joinPath(base, 'riskProfile');
+    const profile = RISK_PROFILES[source.riskProfile];
+    if (!profile) {
+      errors.push({ path, message: `must be one of ${Object.keys(RISK_PROFILES).map(v => JSON.stringify(v)).join(', ')}` });
+    } else {
+      data.riskProfile = profile;
+      // escalationRequired, when given, has already decided requiredForHighRisk
+      const decided = governance.FOP && 'requiredForHighRisk' in governance.FOP;
+      const declared = explicit && isPlainObject(explicit.FOP) && 'requiredForHighRisk' in explicit.FOP;
+      if ((profile === 'HIGH' || profile === 'CRITICAL') && !decided && !declared) {
+        set('FOP', 'requiredForHighRisk', true, path);
+      }
+    }
+  }
+
+  if (explicit) {
+    for (const [block, fields] of Object.entries(explicit)) {
+      governance[block] = isPlainObject(fields) ? { ...governance[block], ...fields } : fields;
+    }
+  } else if (data.governance !== undefined) {
+    // Leave a malformed governance value for the schema to report
+    return { data, format: 'dgp-md', warnings, errors };
+  }
+  data.governance = governance;
+
+  return { data, format: 'dgp-md', warnings, errors };
+}
+
+/**
+ * Read a nested DGP.md object, warning about keys outside `known`
+ * @private
+ */
+function readBlock(source, name, known, base, warnings, errors) {
+  if (!(name in source)) return null;
+
+  const path = joinPath(base, name);
+  const value = source[name];
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: 'expected object' });
+    return null;
+  }
+  for (const key of Object.keys(value)) {
+    if (!known.includes(key)) warnings.push({ path: joinPath(path, key), message: 'unknown field ignored' });
+  }
+  return { path, value };
+}
+
+/**
+ * @private
+ */
+function checkStringList(value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: 'expected array of strings' });
+    return false;
+  }
+  const bad = value.findIndex(item => typeof item !== 'string' || item.length === 0);
+  if (bad !== -1) {
+    errors.push({ path: `${path}[${bad}]`, message: 'expected non-empty string' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
@@ -0,0 +1,146 @@
+/**
+ * runWithRetries - Automatic RETRY loop (DGP.md gating pattern)
+ *
+ * Generates output, evaluates it, and while the primary action is RETRY feeds a
+ * remediation instruction (built from violations and evidence) back into the
+ * generator. The previous attempt's output is passed as `baseline` so each
+ * report carries `deltas`. Stops on ALLOW, ESCALATE or BLOCK, or when
+ * `maxAttempts` is exhausted.
+ *
+ * @example
+ * const result = await engine.runWithRetries({
+ *   task,
+ *   generate: async ({ instructions }) => llm.generate(prompt, instructions),
+ *   maxAttempts: 3
+ * });
+ * // result: { status: 'ALLOW', output, report, attempts: [...] }
+ */
+
+import { GovernanceBlockedError } from './errors.js';
+
+/**
+ * @param {GovernanceEngine} engine - Engine used to evaluate each attempt
+ * @param {Object} options
+ * @param {Object} options.task - Task definition
+ * @param {Function} [options.generate] - `async ({ attempt, task, instructions, previousOutput, previousReport }) => string`;
+ *   defaults to the engine's provider
+ * @param {number} [options.maxAttempts=3] - Maximum generations (including the first)
+ * @param {string} [options.baseline] - Baseline for the first attempt's deltas
+ * @returns {Promise<{
+ *   status: 'ALLOW'|'ESCALATE'|'BLOCK'|'EXHAUSTED',
+ *   output: string,
+ *   report: Object,
+ *   attempts: Array<{ attempt: number, instructions: string|null, output: string, report: Object }>
+ * }>}
+ * @throws {GovernanceBlockedError} If enforce mode blocks an attempt (`err.attempts` holds the history)
+ */
+export async function runWithRetries(engine, options = {}) {
+  const { task, maxAttempts = 3 } = options;
+
+  if (!task || !task.id) {
+    throw new TypeError('Task must include id field');
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new TypeError('maxAttempts must be a positive integer');
+  }
+
+  const generate = options.generate || providerGenerator(engine);
+  const attempts = [];
+
+  let baseline = options.baseline || null;
+  let instructions = null;
+  let previousReport = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const output = await generate({
+      attempt,
+      task,
+      instructions,
+      previousOutput: baseline,
+      previousReport
+    });
+
+    let report;
+    try {
+      report = engine.evaluate({ task, output, baseline });
+    } catch (err) {
+      if (err instanceof GovernanceBlockedError) {
+        attempts.push({ attempt, instructions, output, report: err.report });
+        err.attempts = attempts;
+      }
+      throw err;
+    }
+
+    attempts.push({ attempt, instructions, output, report });
+
+    const actionType = report.recommendedActions[0]?.type;
+    if (actionType !== 'RETRY') {
+      return { status: actionType, output, report, attempts };
+    }
+
+    baseline = output;
+    previousReport = report;
+    instructions = buildRemediation(report);
+  }
+
+  const last = attempts[attempts.length - 1];
+  return { status: 'EXHAUSTED', output: last.output, report: last.report, attempts };
+}
+
+/**
+ * Build a deterministic remediation instruction from a RETRY report
+ *
+ * @param {Object} report - ComplianceReport
+ * @returns {string}
+ */
+export function buildRemediation(report) {
+  const { verdict, analysis } = report;
+  const action = report.recommendedActions[0];
+  const lines = [
+    `Your previous output was rejected by governance review (score ${verdict.score}, threshold ${verdict.threshold}).`
+  ];
+
+  if (action?.reason) {
+    lines.push(`Reason: ${action.reason}`);
+  }
+
+  if (verdict.violations.length > 0) {
+    lines.push('Fix these violations:');
+    for (const violation of verdict.violations) {
+      const evidence = violation.evidence?.length ? ` (evidence: ${violation.evidence.join(', ')})` : '';
+      lines.push(`- [${violation.severity}] ${violation.code}: ${violation.message}${evidence}`);
+    }
+  }
+
+  const notes = [];
+  if (analysis.headers.missing?.length) {
+    notes.push(`- Add the missing sections: ${analysis.headers.missing.join(', ')}`);
+  }
+  if (analysis.drift.signals.length) {
+    notes.push(`- Remove out-of-scope content: ${analysis.drift.signals.join(', ')}`);
+  }
+  if (analysis.retryPressure.signals.length) {
+    notes.push(`- Resolve uncertain or placeholder wording: ${analysis.retryPressure.signals.join(', ')}`);
+  }
+  if (notes.length > 0) {
+    lines.push('Also address:', ...notes);
+  }
+
+  lines.push('Regenerate the complete output.');
+  return lines.join('\n');
+}
+
+/**
+ * Default generator: engine provider with capsule prompt plus remediation
+ * @private
+ */
+function providerGenerator(engine) {
+  if (!engine.provider) {
+    throw new TypeError('runWithRetries requires a generate function or an engine provider');
+  }
+  return async ({ task, instructions }) => {
+    const prompt = engine.buildPrompt(task, instructions ? { instructions } : {});
+    const response = await engine.provider.generate(prompt);
+    return response.text;
+  };
+}
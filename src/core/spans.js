@@ -0,0 +1,78 @@
+/**
+ * spans - Character-level evidence locations
+ *
+ * A span locates one piece of evidence in the evaluated output:
+ * `start`/`end` are UTF-16 offsets (end exclusive), `line`/`column` are
+ * 1-based, `text` is the exact covered text and `excerpt` its line (trimmed,
+ * windowed around the match when longer than 80 characters).
+ *
+ * @example
+ * toSpan('Plan: ok\nDeploy now', 9, 15);
+ * // { start: 9, end: 15, line: 2, column: 1, text: 'Deploy', excerpt: 'Deploy now' }
+ */
+
+const MAX_EXCERPT = 80;
+
+/**
+ * @param {string} output - Evaluated output
+ * @param {number} start - Start offset (clamped to the output)
+ * @param {number} end - End offset, exclusive (clamped to [start, output.length])
+ * @returns {{ start: number, end: number, line: number, column: number, text: string, excerpt: string }}
+ */
+export function toSpan(output, start, end) {
+  start = Math.min(Math.max(0, start), output.length);
+  end = Math.min(Math.max(start, end), output.length);
+
+  const lineStart = output.lastIndexOf('\n', start - 1) + 1;
+  const newline = output.indexOf('\n', start);
+  const lineText = output.slice(lineStart, newline === -1 ? output.length : newline).replace(/\r$/, '');
+
+  let line = 1;
+  for (let i = output.indexOf('\n'); i !== -1 && i < start; i = output.indexOf('\n', i + 1)) line++;
+
+  return {
+    start,
+    end,
+    line,
+    column: start - lineStart + 1,
+    text: output.slice(start, end),
+    excerpt: excerpt(lineText, start - lineStart, Math.min(end - lineStart, lineText.length))
+  };
+}
+
+/**
+ * Span over one line's text, without surrounding whitespace
+ *
+ * @param {string} output - Evaluated output
+ * @param {number} line - 1-based line number
+ * @returns {{ start: number, end: number, line: number, column: number, text: string, excerpt: string }}
+ */
+export function lineSpan(output, line) {
+  let lineStart = 0;
+  for (let n = 1; n < line; n++) {
+    const newline = output.indexOf('\n', lineStart);
+    if (newline === -1) break;
+    lineStart = newline + 1;
+  }
+  const newline = output.indexOf('\n', lineStart);
+  const text = output.slice(lineStart, newline === -1 ? output.length : newline);
+  const leading = text.length - text.trimStart().length;
+
+  return toSpan(output, lineStart + leading, lineStart + text.trimEnd().length);
+}
+
+/**
+ * Line text around [from, to), trimmed to MAX_EXCERPT characters
+ * @private
+ */
+function excerpt(lineText, from, to) {
+  const trimmed = lineText.trim();
+  if (trimmed.length <= MAX_EXCERPT) return trimmed;
+
+  const pad = Math.max(10, Math.floor((MAX_EXCERPT - (to - from)) / 2));
+  const windowStart = Math.max(0, from - pad);
+  const windowEnd = Math.min(lineText.length, Math.max(to, from) + pad);
+  const text = lineText.slice(windowStart, windowEnd).trim();
+
+  return `${windowStart > 0 ? '…' : ''}${text}${windowEnd < lineText.length ? '…' : ''}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * CapsuleDirectory - Load capsules by id from a local directory
+ *
+ * Capsule `<id>` lives in `<dir>/<id>.json`. Ids are restricted to
+ * `[A-Za-z0-9._-]` (no leading dot) so a request can never address a file
+ * outside the directory. Loaded capsules are cached until `clear()`.
+ *
+ * @example
+ * const capsules = new CapsuleDirectory('./capsules');
+ * const capsule = await capsules.get('release-policy'); // ./capsules/release-policy.json
+ */
+
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+import { Capsule } from '../core/Capsule.js';
+
+const ID_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+export class CapsuleDirectory {
+  /**
+   * @param {string} dir - Directory containing `<id>.json` capsule files
+   */
+  constructor(dir) {
+    if (typeof dir !== 'string' || dir.length === 0) {
+      throw new TypeError('CapsuleDirectory requires directory path');
+    }
+    this.dir = path.resolve(dir);
+    this._cache = new Map();
+  }
+
+  /**
+   * @param {string} id - Capsule id
+   * @returns {boolean}
+   */
+  static isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * Load a capsule (cached)
+   *
+   * @param {string} id - Capsule id
+   * @returns {Promise<Capsule|null>} null if no such file
+   * @throws {TypeError} If the id is not a valid capsule id
+   * @throws {CapsuleValidationError} If the file is not a valid capsule
+   */
+  async get(id) {
+    if (!CapsuleDirectory.isValidId(id)) {
+      throw new TypeError(`Invalid capsule id: ${JSON.stringify(id)}`);
+    }
+    if (!this._cache.has(id)) {
+      // Cache the promise so concurrent requests share one read
+      const loading = Capsule.load(path.join(this.dir, `${id}.json`)).catch(err => {
+        this._cache.delete(id);
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      });
+      this._cache.set(id, loading);
+    }
+    return this._cache.get(id);
+  }
+
+  /**
+   * List available capsule ids (sorted)
+   *
+   * @returns {Promise<string[]>}
+   */
+  async list() {
+    const files = await readdir(this.dir);
+    return files
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -'.json'.length))
+      .filter(id => CapsuleDirectory.isValidId(id))
+      .sort();
+  }
+
+  /**
+   * Drop cached capsules so edited files are reloaded
+   */
+  clear() {
+    this._cache.clear();
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * createGateway - Dependency-free HTTP governance gateway (node:http)
+ *
+ * Routes:
+ *
+ * ```
+ * GET  /health          → { status: 'ok', protocol: 'DGP', version: '1.0', engineVersion }
+ * POST /evaluate        { capsuleId, task, output, baseline? }         → ComplianceReport
+ * POST /evaluate/batch  { capsuleId?, items: [{ capsuleId?, task, output, baseline? }] }
+ *                                                                       → { reports: ComplianceReport[] }
+ * ```
+ *
+ * Capsules are resolved by id from `capsuleDir` (see CapsuleDirectory).
+ * Inline `capsule` objects are refused unless `allowInlineCapsules` is set,
+ * so callers cannot swap in a weaker policy. Capsules that declare `plugins`
+ * need their validators registered through `validators` (400 CAPSULE_INVALID
+ * otherwise). Errors are JSON:
+ * `{ error: { code, message, index? } }`.
+ *
+ * @example
+ * const server = http.createServer(createGateway({ capsuleDir: './capsules' }));
+ * server.listen(8080);
+ */
+
+import { GovernanceEngine } from '../core/GovernanceEngine.js';
+import { CapsuleValidationError, ConfigurationError, ValidationError } from '../core/errors.js';
+import { CapsuleDirectory } from './CapsuleDirectory.js';
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_MAX_BATCH_ITEMS = 100;
+
+/**
+ * HTTP-mapped request failure
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.capsuleDir] - Directory of `<id>.json` capsules
+ * @param {CapsuleDirectory} [options.capsules] - Prebuilt capsule source (overrides capsuleDir)
+ * @param {boolean} [options.allowInlineCapsules=false] - Accept `capsule` objects in requests
+ * @param {number} [options.maxBodyBytes=1048576] - Request body limit (413 beyond)
+ * @param {number} [options.maxBatchItems=100] - Items per batch request (413 beyond)
+ * @param {Object} [options.thresholds] - Engine thresholds
+ * @param {ValidatorRegistry|Object} [options.validators] - Plugin validators for capsule `plugins`
+ * @param {Function} [options.now] - Override timestamp function (testing only)
+ * @param {string} [options.engineVersion] - Override engine version (testing only)
+ * @returns {Function} `(req, res)` request listener for http.createServer
+ */
+export function createGateway(options = {}) {
+  const capsules = options.capsules || (options.capsuleDir ? new CapsuleDirectory(options.capsuleDir) : null);
+  const allowInline = options.allowInlineCapsules || false;
+  const maxBodyBytes = options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  const maxBatchItems = options.maxBatchItems ?? DEFAULT_MAX_BATCH_ITEMS;
+  const engineOptions = {
+    thresholds: options.thresholds,
+    validators: options.validators,
+    now: options.now,
+    engineVersion: options.engineVersion
+  };
+
+  if (!capsules && !allowInline) {
+    throw new TypeError('createGateway requires capsuleDir, capsules or allowInlineCapsules');
+  }
+
+  const engines = new Map(); // capsule id → GovernanceEngine
+
+  async function resolveEngine(item, defaultCapsuleId) {
+    if (item.capsule !== undefined) {
+      if (!allowInline) {
+        throw new HttpError(400, 'INLINE_CAPSULE_REFUSED', 'Inline capsules are disabled; reference a capsuleId');
+      }
+      return new GovernanceEngine({ ...engineOptions, capsule: item.capsule });
+    }
+
+    const id = item.capsuleId ?? defaultCapsuleId;
+    if (id === undefined) {
+      throw new HttpError(400, 'INVALID_REQUEST', 'Request requires capsuleId');
+    }
+    if (!capsules || !CapsuleDirectory.isValidId(id)) {
+      throw new HttpError(404, 'CAPSULE_NOT_FOUND', `Unknown capsule: ${id}`);
+    }
+
+    let capsule;
+    try {
+      capsule = await capsules.get(id);
+    } catch (err) {
+      if (!(err instanceof CapsuleValidationError)) throw err;
+      throw new HttpError(500, 'CAPSULE_INVALID', `Capsule ${id} failed validation`);
+    }
+    if (!capsule) {
+      throw new HttpError(404, 'CAPSULE_NOT_FOUND', `Unknown capsule: ${id}`);
+    }
+    if (engines.get(id)?.capsule !== capsule) {
+      try {
+        engines.set(id, new GovernanceEngine({ ...engineOptions, capsule }));
+      } catch (err) {
+        if (!(err instanceof ConfigurationError)) throw err;
+        throw new HttpError(400, 'CAPSULE_INVALID', `Capsule ${id}: ${err.message}`);
+      }
+    }
+    return engines.get(id);
+  }
+
+  async function evaluateItem(item, defaultCapsuleId) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new HttpError(400, 'INVALID_REQUEST', 'Evaluation request must be a JSON object');
+    }
+    const engine = await resolveEngine(item, defaultCapsuleId);
+    try {
+      return engine.evaluate({ task: item.task, output: item.output, baseline: item.baseline ?? null });
+    } catch (err) {
+      if (err instanceof TypeError || err instanceof ValidationError) {
+        throw new HttpError(400, 'INVALID_REQUEST', err.message);
+      }
+      throw err;
+    }
+  }
+
+  const routes = {
+    '/health': {
+      GET: async () => ({
+        status: 'ok',
+        protocol: 'DGP',
+        version: '1.0',
+        engineVersion: options.engineVersion || '0.1.0'
+      })
+    },
+    '/evaluate': {
+      POST: async (body) => evaluateItem(body)
+    },
+    '/evaluate/batch': {
+      POST: async (body) => {
+        if (!body || !Array.isArray(body.items)) {
+          throw new HttpError(400, 'INVALID_REQUEST', 'Batch request requires items array');
+        }
+        if (body.items.length > maxBatchItems) {
+          throw new HttpError(413, 'BATCH_TOO_LARGE', `Batch exceeds ${maxBatchItems} items`);
+        }
+        const reports = [];
+        for (const [index, item] of body.items.entries()) {
+          try {
+            reports.push(await evaluateItem(item, body.capsuleId));
+          } catch (err) {
+            if (err instanceof HttpError) err.extra.index = index;
+            throw err;
+          }
+        }
+        return { reports };
+      }
+    }
+  };
+
+  return async function gateway(req, res) {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const route = routes[pathname];
+      if (!route) {
+        throw new HttpError(404, 'NOT_FOUND', `No route for ${pathname}`);
+      }
+      const handler = route[req.method];
+      if (!handler) {
+        res.setHeader('allow', Object.keys(route).join(', '));
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${req.method} not allowed on ${pathname}`);
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+      sendJson(res, 200, await handler(body));
+    } catch (err) {
+      sendError(req, res, err);
+    }
+  };
+}
+
+/**
+ * Read and parse a JSON request body within a byte limit
+ * @private
+ */
+async function readJsonBody(req, limit) {
+  const type = req.headers['content-type'];
+  if (type && !/^application\/([\w.+-]+\+)?json\b/i.test(type)) {
+    throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Content-Type must be application/json');
+  }
+
+  const declared = Number(req.headers['content-length']);
+  if (declared > limit) {
+    throw new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${limit} bytes`);
+  }
+
+  // Event-based read: breaking a for-await loop would destroy the socket before the 413 is sent
+  const raw = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.off('data', onData);
+        req.pause();
+        reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new HttpError(400, 'INVALID_JSON', `Request body is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * @private
+ */
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'content-type': 'application/json; charset=utf-8',
+    'content-length': Buffer.byteLength(json)
+  });
+  res.end(json);
+}
+
+/**
+ * @private
+ */
+function sendError(req, res, err) {
+  let status = 500;
+  let error = { code: 'INTERNAL_ERROR', message: 'Internal server error' };
+
+  if (err instanceof HttpError) {
+    status = err.status;
+    error = { code: err.code, message: err.message, ...err.extra };
+  } else if (err instanceof CapsuleValidationError || err instanceof ConfigurationError) {
+    // Only inline capsules reach here; directory capsule failures are HttpErrors
+    status = 400;
+    error = { code: 'CAPSULE_INVALID', message: err.message };
+  }
+
+  if (status === 413) {
+    // Unread body: close instead of draining an oversized upload
+    res.setHeader('connection', 'close');
+    res.on('finish', () => req.destroy());
+  }
+  sendJson(res, status, { error });
+}
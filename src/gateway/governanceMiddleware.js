@@ -0,0 +1,78 @@
+/**
+ * governanceMiddleware - `(req, res, next)` middleware that governs JSON responses
+ *
+ * Wraps `res.json(body)` (Express/Connect style; installed on plain node:http
+ * responses when missing). When the body carries an output string, it is
+ * evaluated and the body is sent with a `governance` object attached:
+ *
+ * ```
+ * { ...body, governance: { action, score, compliant, violations: [code], report? } }
+ * ```
+ *
+ * The summary is also available as `res.governance` for later handlers.
+ *
+ * @example
+ * app.use(governanceMiddleware({ capsule, task: (req) => req.body.task }));
+ * app.post('/api/llm/generate', async (req, res) => {
+ *   res.json({ output: await llm.generate(req.body.prompt) });
+ * });
+ */
+
+import { GovernanceEngine } from '../core/GovernanceEngine.js';
+
+/**
+ * @param {Object} options
+ * @param {GovernanceEngine} [options.engine] - Engine to evaluate with
+ * @param {Capsule|Object} [options.capsule] - Capsule (when no engine is given)
+ * @param {ValidatorRegistry|Object} [options.validators] - Plugin validators for capsule `plugins` (when no engine is given)
+ * @param {Object|Function} [options.task] - Task, or `(req, body) => task` (default: `req.body.task`)
+ * @param {Function} [options.getOutput] - `(body, req) => string` (default: `body.output`)
+ * @param {boolean} [options.includeReport=false] - Attach the full ComplianceReport
+ * @returns {Function} `(req, res, next)`
+ */
+export function governanceMiddleware(options = {}) {
+  const engine = options.engine || new GovernanceEngine({ capsule: options.capsule, validators: options.validators });
+  const getOutput = options.getOutput || ((body) => body?.output);
+  const getTask = typeof options.task === 'function'
+    ? options.task
+    : (req) => options.task || req.body?.task;
+
+  return function governance(req, res, next) {
+    const send = typeof res.json === 'function' ? res.json.bind(res) : (body) => sendJson(res, body);
+
+    res.json = (body) => {
+      const output = getOutput(body, req);
+      if (typeof output !== 'string' || output.length === 0) {
+        return send(body);
+      }
+
+      const report = engine.evaluate({ task: getTask(req, body), output });
+      res.governance = {
+        action: report.recommendedActions[0].type,
+        score: report.verdict.score,
+        compliant: report.verdict.compliant,
+        violations: report.verdict.violations.map(v => v.code)
+      };
+      if (options.includeReport) {
+        res.governance.report = report;
+      }
+      return send({ ...body, governance: res.governance });
+    };
+
+    next();
+  };
+}
+
+/**
+ * res.json() for plain node:http responses
+ * @private
+ */
+function sendJson(res, body) {
+  const json = JSON.stringify(body);
+  if (!res.headersSent) {
+    res.setHeader('content-type', 'application/json; charset=utf-8');
+    res.setHeader('content-length', Buffer.byteLength(json));
+  }
+  res.end(json);
+  return res;
+}
@@ -0,0 +1,11 @@
+/**
+ * Gateway - Governance over HTTP (node:http, no dependencies)
+ * 
+ * - createGateway: Request listener serving /evaluate, /evaluate/batch and /health
+ * - governanceMiddleware: `(req, res, next)` middleware attaching `governance` to JSON responses
+ * - CapsuleDirectory: Capsules loaded by id from a local directory
+ */
+
+export { createGateway } from './createGateway.js';
+export { governanceMiddleware } from './governanceMiddleware.js';
+export { CapsuleDirectory } from './CapsuleDirectory.js';
@@ -18,18 +18,74 @@
  */
 
 // Core
-export { GovernanceEngine } from './core/index.js';
+export {
+  GovernanceEngine,
+  Capsule,
+  StreamingEvaluator,
+  ValidatorRegistry,
+  runWithRetries,
+  buildRemediation,
+  evaluateBatch,
+  aggregateReports,
+  canonicalJson,
+  sha256Hex,
+  deepDiff,
+  formatDiff,
+  ValidationError,
+  CapsuleValidationError,
+  ConfigurationError,
+  ProviderError,
+  GovernanceBlockedError,
+  ApprovalError
+} from './core/index.js';
 
 // Validators
 export {
   DriftDetector,
+  MentionClass,
   HeaderChecker,
   EscalationDetector,
-  RetryPressure
+  RetryPressure,
+  SafetyProtocolChecker,
+  DEFAULT_RISKY_OPERATIONS,
+  ConstraintChecker,
+  ConstraintKind
 } from './validators/index.js';
 
-// Core (to be implemented)
-// export { GovernanceEngine, Capsule, Task } from './core/index.js';
+// Report
+export {
+  formatReport,
+  REPORT_FORMATS,
+  renderText,
+  renderMarkdown,
+  renderHtml,
+  renderSarif,
+  renderJUnit,
+  annotateOutput
+} from './report/index.js';
+
+// Providers
+export {
+  Provider,
+  OpenAIProvider,
+  AnthropicProvider,
+  GeminiProvider,
+  MockProvider
+} from './providers/index.js';
+
+// Approval (FOP workflow)
+export {
+  ApprovalQueue,
+  ApprovalStatus,
+  MemoryApprovalStore,
+  FileApprovalStore
+} from './approval/index.js';
+
+// Audit
+export { AuditLedger, verifyLedger, replay, replayRecord } from './audit/index.js';
+
+// Gateway (HTTP)
+export { createGateway, governanceMiddleware, CapsuleDirectory } from './gateway/index.js';
 
-// Providers (to be implemented)
-// export { OpenAIProvider, GeminiProvider } from './providers/index.js';
+// Conformance
+export { runConformance } from './conformance/index.js';
@@ -0,0 +1,58 @@
+/**
+ * AnthropicProvider - Messages API adapter
+ *
+ * @example
+ * const provider = new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY });
+ * const { text } = await provider.generate({ system, user });
+ */
+
+import { Provider } from './Provider.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export class AnthropicProvider extends Provider {
+  /**
+   * @param {Object} options - See Provider options
+   * @param {string} [options.model='claude-sonnet-4-5']
+   * @param {string} [options.baseUrl='https://api.anthropic.com']
+   */
+  constructor(options = {}) {
+    super({
+      name: 'anthropic',
+      model: 'claude-sonnet-4-5',
+      baseUrl: 'https://api.anthropic.com',
+      ...options
+    });
+  }
+
+  buildRequest(prompt, options = {}) {
+    const headers = { 'anthropic-version': ANTHROPIC_VERSION };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+
+    return {
+      url: `${this.baseUrl}/v1/messages`,
+      headers,
+      body: {
+        model: this.model,
+        max_tokens: options.maxTokens || this.maxTokens,
+        temperature: options.temperature ?? this.temperature,
+        ...(prompt.system && { system: prompt.system }),
+        messages: [{ role: 'user', content: prompt.user }]
+      }
+    };
+  }
+
+  parseResponse(json) {
+    const blocks = Array.isArray(json.content) ? json.content : [];
+    const text = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = json.usage
+      ? { inputTokens: json.usage.input_tokens, outputTokens: json.usage.output_tokens }
+      : null;
+    return { text, usage };
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * GeminiProvider - Generative Language API (generateContent) adapter
+ *
+ * @example
+ * const provider = new GeminiProvider({ apiKey: process.env.GEMINI_API_KEY });
+ * const { text } = await provider.generate({ system, user });
+ */
+
+import { Provider } from './Provider.js';
+
+export class GeminiProvider extends Provider {
+  /**
+   * @param {Object} options - See Provider options
+   * @param {string} [options.model='gemini-2.0-flash']
+   * @param {string} [options.baseUrl='https://generativelanguage.googleapis.com']
+   */
+  constructor(options = {}) {
+    super({
+      name: 'gemini',
+      model: 'gemini-2.0-flash',
+      baseUrl: 'https://generativelanguage.googleapis.com',
+      ...options
+    });
+  }
+
+  buildRequest(prompt, options = {}) {
+    return {
+      url: `${this.baseUrl}/v1beta/models/${encodeURIComponent(this.model)}:generateContent`,
+      headers: this.apiKey ? { 'x-goog-api-key': this.apiKey } : {},
+      body: {
+        ...(prompt.system && { systemInstruction: { parts: [{ text: prompt.system }] } }),
+        contents: [{ role: 'user', parts: [{ text: prompt.user }] }],
+        generationConfig: {
+          temperature: options.temperature ?? this.temperature,
+          maxOutputTokens: options.maxTokens || this.maxTokens
+        }
+      }
+    };
+  }
+
+  parseResponse(json) {
+    const parts = json.candidates?.[0]?.content?.parts || [];
+    const text = parts
+      .filter(part => typeof part.text === 'string')
+      .map(part => part.text)
+      .join('');
+    const usage = json.usageMetadata
+      ? { inputTokens: json.usageMetadata.promptTokenCount, outputTokens: json.usageMetadata.candidatesTokenCount }
+      : null;
+    return { text, usage };
+  }
+}
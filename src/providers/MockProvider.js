@@ -0,0 +1,55 @@
+/**
+ * MockProvider - Deterministic offline provider for tests and demos
+ *
+ * Returns scripted responses in order (the last one repeats once exhausted), or
+ * delegates to a `respond` function. Every call is recorded in `calls`.
+ *
+ * @example
+ * const provider = new MockProvider({ responses: ['Plan: draft', 'Plan: final'] });
+ * await provider.generate('Plan the release'); // → { text: 'Plan: draft', ... }
+ * provider.calls.length; // 1
+ */
+
+import { Provider } from './Provider.js';
+import { ProviderError } from '../core/errors.js';
+
+export class MockProvider extends Provider {
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.responses] - Scripted outputs, returned in order
+   * @param {Function} [options.respond] - `(prompt, callIndex) => string | Promise<string>`
+   * @param {string} [options.model='mock']
+   */
+  constructor(options = {}) {
+    if (!options.respond && (!Array.isArray(options.responses) || options.responses.length === 0)) {
+      throw new TypeError('MockProvider requires responses array or respond function');
+    }
+
+    super({ name: 'mock', model: 'mock', ...options });
+    this.responses = options.responses || [];
+    this.respond = options.respond || null;
+    this.calls = [];
+  }
+
+  async generate(prompt, options = {}) {
+    const normalized = typeof prompt === 'string' ? { user: prompt } : prompt;
+    const callIndex = this.calls.length;
+    this.calls.push({ prompt: normalized, options });
+
+    const text = this.respond
+      ? await this.respond(normalized, callIndex)
+      : this.responses[Math.min(callIndex, this.responses.length - 1)];
+
+    if (typeof text !== 'string' || text.length === 0) {
+      throw new ProviderError('mock response contained no text output', { provider: this.name });
+    }
+
+    return {
+      text,
+      model: this.model,
+      provider: this.name,
+      usage: null,
+      raw: { text }
+    };
+  }
+}
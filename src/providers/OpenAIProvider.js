@@ -0,0 +1,52 @@
+/**
+ * OpenAIProvider - Chat Completions adapter
+ *
+ * @example
+ * const provider = new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+ * const { text } = await provider.generate({ system, user });
+ */
+
+import { Provider } from './Provider.js';
+
+export class OpenAIProvider extends Provider {
+  /**
+   * @param {Object} options - See Provider options
+   * @param {string} [options.model='gpt-4o-mini']
+   * @param {string} [options.baseUrl='https://api.openai.com']
+   */
+  constructor(options = {}) {
+    super({
+      name: 'openai',
+      model: 'gpt-4o-mini',
+      baseUrl: 'https://api.openai.com',
+      ...options
+    });
+  }
+
+  buildRequest(prompt, options = {}) {
+    const messages = [];
+    if (prompt.system) {
+      messages.push({ role: 'system', content: prompt.system });
+    }
+    messages.push({ role: 'user', content: prompt.user });
+
+    return {
+      url: `${this.baseUrl}/v1/chat/completions`,
+      headers: this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model: this.model,
+        messages,
+        temperature: options.temperature ?? this.temperature,
+        max_tokens: options.maxTokens || this.maxTokens
+      }
+    };
+  }
+
+  parseResponse(json) {
+    const text = json.choices?.[0]?.message?.content;
+    const usage = json.usage
+      ? { inputTokens: json.usage.prompt_tokens, outputTokens: json.usage.completion_tokens }
+      : null;
+    return { text, usage };
+  }
+}
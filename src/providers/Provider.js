@@ -0,0 +1,137 @@
+/**
+ * Provider - Base class for LLM vendor adapters
+ *
+ * Adapters translate a vendor-neutral prompt into a vendor HTTP request and
+ * parse the vendor response back into plain text. The engine only ever sees
+ * the returned string, so governance stays vendor-agnostic.
+ *
+ * Subclasses implement:
+ * - `buildRequest(prompt, options)` → `{ url, headers, body }`
+ * - `parseResponse(json)` → `{ text, usage }`
+ *
+ * `fetch` and `baseUrl` are injectable so adapters can be exercised against a
+ * local stub server.
+ *
+ * @example
+ * const provider = new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+ * const { text } = await provider.generate({ system: 'Use Plan/Action headers', user: 'Plan the release' });
+ */
+
+import { ProviderError } from '../core/errors.js';
+
+export class Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name (reported in errors and results)
+   * @param {string} options.baseUrl - API base URL (no trailing slash required)
+   * @param {string} options.model - Model identifier
+   * @param {string} [options.apiKey] - API key
+   * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation
+   * @param {Object} [options.headers={}] - Extra headers sent with every request
+   * @param {number} [options.temperature=0] - Sampling temperature
+   * @param {number} [options.maxTokens=1024] - Maximum output tokens
+   */
+  constructor(options = {}) {
+    if (!options.model) {
+      throw new TypeError(`${options.name || 'Provider'} requires model`);
+    }
+
+    this.name = options.name || 'provider';
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.model = options.model;
+    this.apiKey = options.apiKey;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.headers = options.headers || {};
+    this.temperature = options.temperature ?? 0;
+    this.maxTokens = options.maxTokens || 1024;
+  }
+
+  /**
+   * Generate output text for a prompt
+   *
+   * @param {Object|string} prompt - `{ system, user }` or a bare user message
+   * @param {Object} [options] - Per-call overrides (temperature, maxTokens)
+   * @returns {Promise<{ text: string, model: string, provider: string, usage: Object|null, raw: Object }>}
+   * @throws {ProviderError} On network failure, non-2xx status or unusable response
+   */
+  async generate(prompt, options = {}) {
+    const normalized = typeof prompt === 'string' ? { user: prompt } : prompt;
+    const request = this.buildRequest(normalized, options);
+
+    let response;
+    try {
+      response = await this.fetch(request.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...this.headers, ...request.headers },
+        body: JSON.stringify(request.body)
+      });
+    } catch (err) {
+      throw new ProviderError(`${this.name} request failed: ${err.message}`, { provider: this.name });
+    }
+
+    const bodyText = await response.text();
+    let json;
+    try {
+      json = bodyText ? JSON.parse(bodyText) : null;
+    } catch {
+      json = null;
+    }
+
+    if (!response.ok) {
+      const detail = json?.error?.message || bodyText || response.statusText;
+      throw new ProviderError(`${this.name} returned HTTP ${response.status}: ${detail}`, {
+        provider: this.name,
+        status: response.status,
+        body: json ?? bodyText
+      });
+    }
+
+    if (json === null) {
+      throw new ProviderError(`${this.name} returned a non-JSON response`, {
+        provider: this.name,
+        status: response.status,
+        body: bodyText
+      });
+    }
+
+    const { text, usage } = this.parseResponse(json);
+    if (typeof text !== 'string' || text.length === 0) {
+      throw new ProviderError(`${this.name} response contained no text output`, {
+        provider: this.name,
+        status: response.status,
+        body: json
+      });
+    }
+
+    return {
+      text,
+      model: this.model,
+      provider: this.name,
+      usage: usage || null,
+      raw: json
+    };
+  }
+
+  /**
+   * Build vendor HTTP request
+   *
+   * @abstract
+   * @param {{ system?: string, user: string }} prompt
+   * @param {Object} options
+   * @returns {{ url: string, headers: Object, body: Object }}
+   */
+  buildRequest(prompt, options) {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  /**
+   * Parse vendor response JSON
+   *
+   * @abstract
+   * @param {Object} json
+   * @returns {{ text: string, usage?: Object }}
+   */
+  parseResponse(json) {
+    throw new Error(`${this.constructor.name} must implement parseResponse()`);
+  }
+}
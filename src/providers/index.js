@@ -0,0 +1,16 @@
+/**
+ * Providers - LLM vendor adapters
+ * 
+ * All adapters share the Provider interface (`generate(prompt) → { text }`):
+ * - OpenAIProvider: Chat Completions API
+ * - AnthropicProvider: Messages API
+ * - GeminiProvider: generateContent API
+ * - MockProvider: Deterministic scripted responses (tests, demos)
+ */
+
+export { Provider } from './Provider.js';
+export { OpenAIProvider } from './OpenAIProvider.js';
+export { AnthropicProvider } from './AnthropicProvider.js';
+export { GeminiProvider } from './GeminiProvider.js';
+export { MockProvider } from './MockProvider.js';
+export { ProviderError } from '../core/errors.js';
@@ -0,0 +1,209 @@
+/**
+ * annotate - Render an output with its evidence spans highlighted
+ *
+ * Reads the spans of a ComplianceReport built with `evidenceSpans: true`:
+ * every violation span (labelled with its code and severity), then drift,
+ * retry and escalation signal spans not already covered by a violation.
+ * Annotations are numbered by position; the annotated text marks the end of
+ * each with `[n]` and a legend lists them as `[n] line:column LEVEL LABEL "text"`.
+ *
+ * Overlapping spans are split at their boundaries; each piece is styled by
+ * the most severe annotation covering it. Output is deterministic (no
+ * timestamps, fixed escape codes and class names), so it can be snapshot-tested.
+ *
+ * @example
+ * const engine = new GovernanceEngine({ capsule, evidenceSpans: true });
+ * const report = engine.evaluate({ task, output });
+ * process.stdout.write(annotateOutput(output, report, { format: 'ansi' }));
+ * // Plan: ship it
+ * // Also \x1b[1;31mdeploy\x1b[0m\x1b[2m[1]\x1b[0m to prod
+ * //
+ * // [1] 2:6 HIGH SEG_SCOPE_DRIFT "deploy"
+ */
+
+// Signal spans without a violation
+const SIGNAL_LEVEL = 'SIGNAL';
+
+// Styling precedence for overlapping annotations
+const LEVEL_RANK = {
+  CRITICAL: 4,
+  HIGH: 3,
+  MEDIUM: 2,
+  LOW: 1,
+  [SIGNAL_LEVEL]: 0
+};
+
+const SIGNAL_SOURCES = [
+  ['drift', 'drift'],
+  ['retryPressure', 'retry'],
+  ['escalation', 'escalation']
+];
+
+const ANSI_STYLE = {
+  CRITICAL: '\x1b[1;97;41m',
+  HIGH: '\x1b[1;31m',
+  MEDIUM: '\x1b[33m',
+  LOW: '\x1b[36m',
+  [SIGNAL_LEVEL]: '\x1b[4m'
+};
+const ANSI_MARKER = '\x1b[2m';
+const ANSI_RESET = '\x1b[0m';
+
+const FORMATS = ['ansi', 'html'];
+
+/**
+ * @param {string} output - The evaluated output, exactly as passed to evaluate()
+ * @param {Object} report - ComplianceReport with evidence spans
+ * @param {Object} [options]
+ * @param {'ansi'|'html'} [options.format='ansi'] - Terminal escape codes or an HTML fragment
+ * @returns {string}
+ * @throws {TypeError} On an unknown format
+ */
+export function annotateOutput(output, report, options = {}) {
+  const format = options.format || 'ansi';
+  if (!FORMATS.includes(format)) {
+    throw new TypeError(`Annotation format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (typeof output !== 'string') {
+    throw new TypeError('Output must be a string');
+  }
+
+  const annotations = collectAnnotations(report);
+  const pieces = split(output, annotations);
+
+  return format === 'html' ? renderHtml(pieces, annotations) : renderAnsi(pieces, annotations);
+}
+
+/**
+ * Numbered annotations: violation spans, then uncovered signal spans
+ * @private
+ */
+function collectAnnotations(report) {
+  const annotations = [];
+  const covered = new Set();
+
+  for (const violation of report.verdict?.violations || []) {
+    for (const span of violation.spans || []) {
+      annotations.push({ span, level: violation.severity, label: violation.code });
+      covered.add(`${span.start}:${span.end}`);
+    }
+  }
+
+  for (const [key, label] of SIGNAL_SOURCES) {
+    for (const span of report.analysis?.[key]?.spans || []) {
+      if (covered.has(`${span.start}:${span.end}`)) continue;
+      annotations.push({ span, level: SIGNAL_LEVEL, label: span.type ? `${label}:${span.type}` : label });
+    }
+  }
+
+  annotations.sort((a, b) =>
+    a.span.start - b.span.start ||
+    a.span.end - b.span.end ||
+    rank(b.level) - rank(a.level) ||
+    (a.label < b.label ? -1 : a.label > b.label ? 1 : 0)
+  );
+  annotations.forEach((annotation, i) => { annotation.number = i + 1; });
+
+  return annotations;
+}
+
+/**
+ * Split output at span boundaries: `{ text, level, markers }`, where `level`
+ * is the most severe covering annotation (null when uncovered) and `markers`
+ * the annotations ending right after the piece
+ * @private
+ */
+function split(output, annotations) {
+  const bounds = new Set([0, output.length]);
+  for (const { span } of annotations) {
+    bounds.add(Math.min(span.start, output.length));
+    bounds.add(Math.min(span.end, output.length));
+  }
+  const points = [...bounds].sort((a, b) => a - b);
+
+  const pieces = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [from, to] = [points[i], points[i + 1]];
+    const covering = annotations.filter(a => a.span.start <= from && a.span.end >= to && a.span.end > a.span.start);
+    const level = covering.reduce((best, a) => (rank(a.level) > rank(best) ? a.level : best), null);
+    pieces.push({
+      text: output.slice(from, to),
+      level,
+      markers: annotations.filter(a => Math.min(a.span.end, output.length) === to)
+    });
+  }
+
+  // Spans ending at offset 0 (empty output or empty spans) are marked first
+  const leading = annotations.filter(a => Math.min(a.span.end, output.length) === 0);
+  if (leading.length > 0) {
+    pieces.unshift({ text: '', level: null, markers: leading });
+  }
+
+  return pieces;
+}
+
+/**
+ * @private
+ */
+function renderAnsi(pieces, annotations) {
+  let text = '';
+  for (const { text: pieceText, level, markers } of pieces) {
+    // Style each line separately so terminals never carry colour across newlines
+    text += level
+      ? pieceText.split('\n').map(line => (line ? `${ANSI_STYLE[level]}${line}${ANSI_RESET}` : line)).join('\n')
+      : pieceText;
+    text += markers.map(a => `${ANSI_MARKER}[${a.number}]${ANSI_RESET}`).join('');
+  }
+
+  const legend = annotations.map(a =>
+    `${ANSI_STYLE[a.level]}[${a.number}]${ANSI_RESET} ${a.span.line}:${a.span.column} ${a.level} ${a.label} ${JSON.stringify(a.span.text)}`
+  );
+
+  return legend.length > 0 ? `${text}\n\n${legend.join('\n')}\n` : `${text}\n`;
+}
+
+/**
+ * @private
+ */
+function renderHtml(pieces, annotations) {
+  let body = '';
+  for (const { text, level, markers } of pieces) {
+    body += level
+      ? `<mark class="dgp-span dgp-${level.toLowerCase()}">${escapeHtml(text)}</mark>`
+      : escapeHtml(text);
+    body += markers
+      .map(a => `<sup class="dgp-marker"><a href="#dgp-span-${a.number}">[${a.number}]</a></sup>`)
+      .join('');
+  }
+
+  const legend = annotations.map(a =>
+    `<li id="dgp-span-${a.number}" class="dgp-${a.level.toLowerCase()}">` +
+    `<code>${a.span.line}:${a.span.column}</code> ${a.level} ${escapeHtml(a.label)} <q>${escapeHtml(a.span.text)}</q></li>`
+  );
+
+  return [
+    '<div class="dgp-annotated">',
+    `<pre class="dgp-output">${body}</pre>`,
+    ...(legend.length > 0 ? ['<ol class="dgp-legend">', ...legend, '</ol>'] : []),
+    '</div>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * @private
+ */
+function rank(level) {
+  return level in LEVEL_RANK ? LEVEL_RANK[level] : -1;
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
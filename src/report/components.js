@@ -0,0 +1,79 @@
+/**
+ * components - Component breakdown shared by the report renderers
+ *
+ * Recomputes each component's 0-100 score from the analysis layer with the
+ * contract formulas (headers, drift, retry, escalation) and pairs it with the
+ * weight that produced the verdict (`metadata.weights`, or the v1 defaults).
+ * Plugin validators (`analysis.plugins`) follow the built-in components.
+ *
+ * @example
+ * componentBreakdown(report);
+ * // [{ key: 'headers', label: 'Headers', score: 100, weight: 0.25, detail: 'coverage 100%' }, ...]
+ */
+
+import { DEFAULT_WEIGHTS } from '../core/GovernanceEngine.js';
+
+/**
+ * @param {Object} report - ComplianceReport
+ * @returns {Array<{ key: string, label: string, score: number, weight: number, detail: string }>}
+ */
+export function componentBreakdown(report) {
+  const { headers, drift, retryPressure, escalation, plugins = {} } = report.analysis;
+  const weights = report.metadata?.weights || DEFAULT_WEIGHTS;
+
+  return [
+    {
+      key: 'headers',
+      label: 'Headers',
+      score: headers.compliant ? 100 : Math.floor(headers.coverage * 100),
+      weight: weights.headers,
+      detail: [
+        `coverage ${Math.round(headers.coverage * 100)}%`,
+        headers.missing.length > 0 && `missing: ${headers.missing.join(', ')}`,
+        headers.extra?.length > 0 && `unexpected: ${headers.extra.join(', ')}`
+      ].filter(Boolean).join('; ')
+    },
+    {
+      key: 'drift',
+      label: 'Drift',
+      score: drift.score,
+      weight: weights.drift,
+      detail: `${drift.incidents} incident${drift.incidents === 1 ? '' : 's'}${drift.signals.length > 0 ? `: ${drift.signals.join(', ')}` : ''}`
+    },
+    {
+      key: 'retry',
+      label: 'Retry pressure',
+      score: retryPressure.score,
+      weight: weights.retry,
+      detail: `pressure ${retryPressure.normalized}${retryPressure.signals.length > 0 ? `: ${retryPressure.signals.join(', ')}` : ''}`
+    },
+    {
+      key: 'escalation',
+      label: 'Escalation',
+      score: escalation.ok === false ? 0 : escalation.ok === null ? 50 : 100,
+      weight: weights.escalation,
+      detail: [
+        `required ${escalation.required ?? 'indeterminate'}`,
+        `detected ${escalation.detected}`,
+        escalation.triggers.length > 0 && `triggers: ${escalation.triggers.join(', ')}`
+      ].filter(Boolean).join('; ')
+    },
+    ...Object.entries(plugins).map(([name, plugin]) => ({
+      key: name,
+      label: name,
+      score: plugin.score,
+      weight: weights[name] ?? 0,
+      detail: plugin.signals.length > 0 ? plugin.signals.join(', ') : 'no signals'
+    }))
+  ];
+}
+
+/**
+ * Weight as a whole percentage (0.3 → "30%")
+ *
+ * @param {number} weight
+ * @returns {string}
+ */
+export function percent(weight) {
+  return `${Math.round(weight * 100)}%`;
+}
@@ -0,0 +1,36 @@
+/**
+ * formatReport - Render a ComplianceReport in a named format
+ *
+ * @example
+ * io.stdout.write(formatReport(report, { format: 'markdown' }));
+ */
+
+import { renderText } from './text.js';
+import { renderMarkdown } from './markdown.js';
+import { renderHtml } from './html.js';
+import { renderSarif } from './sarif.js';
+import { renderJUnit } from './junit.js';
+
+export const REPORT_FORMATS = Object.freeze(['text', 'markdown', 'html', 'json', 'sarif', 'junit']);
+
+/**
+ * @param {Object} report - ComplianceReport
+ * @param {Object} [options]
+ * @param {'text'|'markdown'|'html'|'json'|'sarif'|'junit'} [options.format='text']
+ * @param {string} [options.output] - Evaluated output (html: annotated with evidence spans)
+ * @param {string} [options.uri] - Where the evaluated output lives (sarif: result locations)
+ * @returns {string} Newline-terminated rendering
+ * @throws {TypeError} On an unknown format
+ */
+export function formatReport(report, options = {}) {
+  switch (options.format || 'text') {
+    case 'text': return renderText(report);
+    case 'markdown': return renderMarkdown(report);
+    case 'html': return renderHtml(report, { output: options.output });
+    case 'json': return JSON.stringify(report, null, 2) + '\n';
+    case 'sarif': return renderSarif([{ report, uri: options.uri }]);
+    case 'junit': return renderJUnit([report]);
+    default:
+      throw new TypeError(`Report format must be one of ${REPORT_FORMATS.join(', ')}`);
+  }
+}
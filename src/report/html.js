@@ -0,0 +1,122 @@
+/**
+ * html - ComplianceReport as a standalone HTML page
+ *
+ * Same sections as the Markdown renderer, in one self-contained document
+ * (inline stylesheet, no scripts or external assets). Passing the evaluated
+ * `output` of a report built with `evidenceSpans: true` appends the output
+ * with its spans highlighted (see annotateOutput()).
+ *
+ * @example
+ * fs.writeFileSync('report.html', renderHtml(report, { output }));
+ */
+
+import { annotateOutput } from './annotate.js';
+import { componentBreakdown, percent } from './components.js';
+
+const STYLE = [
+  'body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #1f2328; }',
+  'table { border-collapse: collapse; margin: 0.5rem 0 1rem; }',
+  'th, td { border: 1px solid #d0d7de; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }',
+  'td.num { text-align: right; }',
+  '.dgp-action { display: inline-block; padding: 0 0.5rem; border-radius: 4px; color: #fff; }',
+  '.dgp-allow { background: #1a7f37; } .dgp-retry { background: #9a6700; } .dgp-escalate { background: #8250df; } .dgp-block { background: #cf222e; }',
+  '.dgp-critical { color: #cf222e; font-weight: bold; } .dgp-high { color: #bc4c00; } .dgp-medium { color: #9a6700; } .dgp-low { color: #0969da; }',
+  'mark.dgp-critical, mark.dgp-high { background: #ffebe9; } mark.dgp-medium, mark.dgp-low { background: #fff8c5; } mark.dgp-signal { background: #ddf4ff; }',
+  'pre { background: #f6f8fa; padding: 0.75rem; white-space: pre-wrap; }',
+  'footer { color: #656d76; font-size: 12px; }'
+].join('\n');
+
+/**
+ * @param {Object} report - ComplianceReport
+ * @param {Object} [options]
+ * @param {string} [options.output] - Evaluated output, rendered with its evidence spans
+ * @returns {string} Newline-terminated HTML document
+ */
+export function renderHtml(report, options = {}) {
+  const { verdict, recommendedActions, deltas, metadata } = report;
+  const [primary] = recommendedActions;
+  const title = `DGP governance: ${primary.type} — ${report.task.id}`;
+
+  const body = [
+    `<h1><span class="dgp-action dgp-${primary.type.toLowerCase()}">${primary.type}</span> ${verdict.score}/${verdict.threshold} ${verdict.compliant ? 'compliant' : 'non-compliant'}</h1>`,
+    `<p><strong>Task:</strong> <code>${escapeHtml(report.task.id)}</code>${report.task.risk ? ` (${escapeHtml(report.task.risk)})` : ''} · <strong>Confidence:</strong> ${verdict.confidence}</p>`,
+    `<blockquote>${escapeHtml(primary.reason)}</blockquote>`,
+    '<h2>Components</h2>',
+    '<table>',
+    '<tr><th>Component</th><th>Score</th><th>Weight</th><th>Details</th></tr>',
+    ...componentBreakdown(report).map(c =>
+      `<tr><td>${c.label}</td><td class="num">${c.score}</td><td class="num">${percent(c.weight)}</td><td>${escapeHtml(c.detail)}</td></tr>`
+    ),
+    '</table>'
+  ];
+
+  if (verdict.violations.length > 0) {
+    body.push(
+      '<h2>Violations</h2>',
+      '<table>',
+      '<tr><th>Severity</th><th>Code</th><th>Message</th><th>Evidence</th></tr>',
+      ...verdict.violations.map(v =>
+        `<tr><td class="dgp-${v.severity.toLowerCase()}">${v.severity}</td><td><code>${v.code}</code></td>` +
+        `<td>${escapeHtml(v.message)}</td><td>${v.evidence.map(escapeHtml).join('<br>')}</td></tr>`
+      ),
+      '</table>'
+    );
+  }
+
+  body.push(
+    '<h2>Recommended actions</h2>',
+    '<ol>',
+    ...recommendedActions.map(a => `<li><strong>${a.type}</strong> (${a.priority}): ${escapeHtml(a.reason)}</li>`),
+    '</ol>'
+  );
+
+  if (deltas) {
+    body.push(
+      '<h2>Baseline deltas</h2>',
+      '<ul>',
+      `<li>Drift reduction: ${deltas.driftReduction}%</li>`,
+      `<li>Retry reduction: ${deltas.retryReduction}%</li>`,
+      '</ul>'
+    );
+  }
+
+  if (report.enforcement) {
+    body.push(
+      `<p><strong>Enforcement:</strong> ${report.enforcement.applied ? `applied (${report.enforcement.actionTaken})` : 'not applied'}</p>`
+    );
+  }
+
+  if (typeof options.output === 'string') {
+    body.push('<h2>Output</h2>', annotateOutput(options.output, report, { format: 'html' }).trimEnd());
+  }
+
+  body.push(
+    `<footer>capsule ${escapeHtml(metadata.capsuleVersion)} · engine ${escapeHtml(metadata.engineVersion)} · evaluated ${escapeHtml(metadata.evaluatedAt)}</footer>`
+  );
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,19 @@
+/**
+ * Report - Presentation of ComplianceReports
+ *
+ * - formatReport: one entry point for every format below (plus JSON)
+ * - renderText: compact terminal summary
+ * - renderMarkdown: Markdown for PR comments
+ * - renderHtml: standalone HTML page
+ * - renderSarif: SARIF 2.1.0 log for code scanning UIs
+ * - renderJUnit: JUnit XML for CI test reporters (BLOCK and RETRY fail)
+ * - annotateOutput: the evaluated output with evidence spans highlighted (ANSI or HTML)
+ */
+
+export { formatReport, REPORT_FORMATS } from './format.js';
+export { renderText } from './text.js';
+export { renderMarkdown } from './markdown.js';
+export { renderHtml } from './html.js';
+export { renderSarif, SARIF_LEVELS } from './sarif.js';
+export { renderJUnit, FAILING_ACTIONS } from './junit.js';
+export { annotateOutput } from './annotate.js';
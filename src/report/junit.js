@@ -0,0 +1,81 @@
+/**
+ * junit - ComplianceReports as JUnit XML (CI test reporters)
+ *
+ * One test suite, one test case per report (name: the entry's `name`, or
+ * the task id). BLOCK and RETRY are failures: the failure's type is the action,
+ * its message the primary reason and its body one line per violation with
+ * evidence. ALLOW and ESCALATE pass. Every case logs its headline
+ * (`ACTION score/threshold: reason`) to `<system-out>`. Output is
+ * deterministic (no timestamps or durations).
+ *
+ * @example
+ * const { reports } = engine.evaluateBatch(items);
+ * fs.writeFileSync('dgp-junit.xml', renderJUnit(reports, { name: 'release-plans' }));
+ */
+
+export const FAILING_ACTIONS = Object.freeze(['BLOCK', 'RETRY']);
+
+/**
+ * @param {Array<Object|{ report: Object, name?: string }>} entries - ComplianceReports, or named reports
+ * @param {Object} [options]
+ * @param {string} [options.name='dgp'] - Suite name (also each case's classname)
+ * @returns {string} Newline-terminated JUnit XML
+ * @throws {TypeError} If entries is not an array
+ */
+export function renderJUnit(entries, options = {}) {
+  if (!Array.isArray(entries)) {
+    throw new TypeError('renderJUnit() requires an array of reports');
+  }
+  const suite = options.name || 'dgp';
+
+  const cases = entries.map(unwrap).map(({ report, name }) => {
+    const action = report.recommendedActions[0];
+    const failed = FAILING_ACTIONS.includes(action.type);
+    const headline = `${action.type} ${report.verdict.score}/${report.verdict.threshold}: ${action.reason}`;
+
+    const lines = [`    <testcase classname="${escapeXml(suite)}" name="${escapeXml(name ?? report.task.id)}">`];
+    if (failed) {
+      const details = report.verdict.violations.map(v =>
+        `[${v.severity}] ${v.code}: ${v.message}${v.evidence.length > 0 ? ` (evidence: ${v.evidence.join('; ')})` : ''}`
+      );
+      lines.push(`      <failure type="${action.type}" message="${escapeXml(action.reason)}">${escapeXml(details.join('\n'))}</failure>`);
+    }
+    lines.push(`      <system-out>${escapeXml(headline)}</system-out>`, '    </testcase>');
+
+    return { failed, lines };
+  });
+
+  const failures = cases.filter(c => c.failed).length;
+  const counts = `tests="${cases.length}" failures="${failures}"`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suite)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(suite)}" ${counts} errors="0" skipped="0">`,
+    ...cases.flatMap(c => c.lines),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Bare report or { report, name }
+ * @private
+ */
+function unwrap(entry) {
+  return entry?.verdict ? { report: entry } : entry;
+}
+
+/**
+ * Attribute- and text-safe XML (control characters XML 1.0 forbids are dropped)
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,104 @@
+/**
+ * markdown - ComplianceReport as GitHub-flavoured Markdown (PR comments)
+ *
+ * Sections, in order: headline (action, score/threshold, compliance), task and
+ * confidence, primary reason, component table, violations table (with
+ * evidence), recommended actions, baseline deltas, enforcement, and a
+ * metadata footer. Empty sections are omitted.
+ *
+ * @example
+ * renderMarkdown(report);
+ * // ### DGP governance: RETRY (79/80, non-compliant)
+ * //
+ * // **Task:** `api-endpoint` (LOW) · **Confidence:** 0.75
+ * // ...
+ */
+
+import { componentBreakdown, percent } from './components.js';
+
+/**
+ * @param {Object} report - ComplianceReport
+ * @returns {string} Newline-terminated Markdown
+ */
+export function renderMarkdown(report) {
+  const { verdict, recommendedActions, deltas, metadata } = report;
+  const [primary] = recommendedActions;
+
+  const lines = [
+    `### DGP governance: ${primary.type} (${verdict.score}/${verdict.threshold}, ${verdict.compliant ? 'compliant' : 'non-compliant'})`,
+    '',
+    `**Task:** ${code(report.task.id)}${report.task.risk ? ` (${report.task.risk})` : ''} · **Confidence:** ${verdict.confidence}`,
+    '',
+    `> ${cell(primary.reason)}`,
+    '',
+    '| Component | Score | Weight | Details |',
+    '|-----------|------:|-------:|---------|',
+    ...componentBreakdown(report).map(c => `| ${c.label} | ${c.score} | ${percent(c.weight)} | ${cell(c.detail)} |`)
+  ];
+
+  if (verdict.violations.length > 0) {
+    lines.push(
+      '',
+      '#### Violations',
+      '',
+      '| Severity | Code | Message | Evidence |',
+      '|----------|------|---------|----------|',
+      ...verdict.violations.map(v =>
+        `| ${v.severity} | ${code(v.code)} | ${cell(v.message)} | ${v.evidence.map(cell).join('<br>')} |`
+      )
+    );
+  }
+
+  lines.push(
+    '',
+    '#### Recommended actions',
+    '',
+    ...recommendedActions.map((a, i) => `${i + 1}. **${a.type}** (${a.priority}): ${cell(a.reason)}`)
+  );
+
+  if (deltas) {
+    lines.push(
+      '',
+      '#### Baseline deltas',
+      '',
+      `- Drift reduction: ${deltas.driftReduction}%`,
+      `- Retry reduction: ${deltas.retryReduction}%`
+    );
+  }
+
+  if (report.enforcement) {
+    lines.push(
+      '',
+      `**Enforcement:** ${report.enforcement.applied ? `applied (${report.enforcement.actionTaken})` : 'not applied'}`
+    );
+  }
+
+  lines.push(
+    '',
+    `<sub>capsule ${metadata.capsuleVersion} · engine ${metadata.engineVersion} · evaluated ${metadata.evaluatedAt}</sub>`
+  );
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Inline code that survives backticks in the value
+ * @private
+ */
+function code(text) {
+  const value = String(text);
+  const fence = value.includes('`') ? '``' : '`';
+  return `${fence}${fence.length > 1 ? ' ' : ''}${value}${fence.length > 1 ? ' ' : ''}${fence}`;
+}
+
+/**
+ * Text safe inside a table cell or blockquote line
+ * @private
+ */
+function cell(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/</g, '&lt;')
+    .replace(/\r?\n/g, ' ');
+}
@@ -0,0 +1,157 @@
+/**
+ * sarif - ComplianceReports as a SARIF 2.1.0 log (code scanning UIs)
+ *
+ * One run, one rule per frozen `ViolationCode` (ruleId = code), one result per
+ * violation. Codes raised by plugin validators get a rule too, appended in
+ * order of first appearance, whose default level is the severity of that
+ * first violation (the capsule's plugin severity). Severities map to SARIF levels: CRITICAL and HIGH → `error`,
+ * MEDIUM → `warning`, LOW → `note`. Evidence spans (engine built with
+ * `evidenceSpans: true`) become the result's locations in the artifact that
+ * holds the evaluated output; without spans, or for violations without
+ * spans, the location is the artifact alone. Without an artifact URI results
+ * carry no locations. Output is deterministic (no timestamps).
+ *
+ * @example
+ * const engine = new GovernanceEngine({ capsule, evidenceSpans: true });
+ * const report = engine.evaluate({ task, output: fs.readFileSync('plan.md', 'utf8') });
+ * fs.writeFileSync('dgp.sarif', renderSarif([{ report, uri: 'plan.md' }]));
+ */
+
+import { ViolationCode, Severity } from '../core/GovernanceEngine.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/dgp-standard/dgp-standard-dgp-js';
+
+export const SARIF_LEVELS = Object.freeze({
+  [Severity.CRITICAL]: 'error',
+  [Severity.HIGH]: 'error',
+  [Severity.MEDIUM]: 'warning',
+  [Severity.LOW]: 'note'
+});
+
+// Rule catalog: default severity and description per code
+const RULES = [
+  [ViolationCode.HEADER_SCHEMA_MISSING, Severity.HIGH, 'Required structured headers missing (Plan/Gates/Action/Logs)'],
+  [ViolationCode.HEADER_SCHEMA_EXTRA, Severity.HIGH, 'Unexpected structured headers present (strict schema)'],
+  [ViolationCode.SEG_SCOPE_DRIFT, Severity.HIGH, 'Output exceeds defined task scope with multiple drift incidents'],
+  [ViolationCode.SPS_RISKY_OPERATION, Severity.HIGH, 'Risky operation requires review before execution'],
+  [ViolationCode.FOP_ESCALATION_MISSED, Severity.CRITICAL, 'High-risk task requires founder oversight but no escalation detected'],
+  [ViolationCode.FOP_FALSE_ESCALATION, Severity.LOW, 'Low-risk task incorrectly escalated'],
+  [ViolationCode.RETRY_PRESSURE_HIGH, Severity.HIGH, 'Output ambiguous or incomplete'],
+  [ViolationCode.HEADER_ORDER_INVALID, Severity.MEDIUM, 'Required sections out of order'],
+  [ViolationCode.HEADER_SECTION_EMPTY, Severity.HIGH, 'Required sections empty or below minimum length'],
+  [ViolationCode.HEADER_SECTION_DUPLICATE, Severity.MEDIUM, 'Sections repeated'],
+  [ViolationCode.TASK_CONSTRAINT_VIOLATED, Severity.HIGH, 'Output breaks a task constraint']
+];
+
+const PLUGIN_RULE_DESCRIPTION = 'Plugin validator violation (custom governance dimension)';
+
+/**
+ * @param {Array<Object|{ report: Object, uri?: string }>} entries - ComplianceReports, or reports with the URI of the evaluated output
+ * @returns {string} Newline-terminated SARIF JSON
+ * @throws {TypeError} If entries is not an array
+ */
+export function renderSarif(entries) {
+  if (!Array.isArray(entries)) {
+    throw new TypeError('renderSarif() requires an array of reports');
+  }
+
+  const rules = [...RULES];
+  const ruleIndex = new Map(rules.map(([code], i) => [code, i]));
+  const results = [];
+  const artifacts = [];
+  let engineVersion;
+
+  for (const { report, uri } of entries.map(unwrap)) {
+    engineVersion ??= report.metadata?.engineVersion;
+    if (uri !== undefined && !artifacts.includes(uri)) artifacts.push(uri);
+
+    for (const violation of report.verdict.violations) {
+      if (!ruleIndex.has(violation.code)) {
+        ruleIndex.set(violation.code, rules.length);
+        rules.push([violation.code, violation.severity, PLUGIN_RULE_DESCRIPTION]);
+      }
+      results.push({
+        ruleId: violation.code,
+        ruleIndex: ruleIndex.get(violation.code),
+        level: SARIF_LEVELS[violation.severity] || 'warning',
+        message: { text: violation.message },
+        ...(uri !== undefined && { locations: locations(violation, uri, artifacts.indexOf(uri)) }),
+        properties: {
+          severity: violation.severity,
+          evidence: violation.evidence,
+          taskId: report.task.id,
+          action: report.recommendedActions[0].type
+        }
+      });
+    }
+  }
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'dgp-js',
+          ...(engineVersion && { version: engineVersion }),
+          informationUri: INFORMATION_URI,
+          rules: rules.map(([code, severity, description]) => ({
+            id: code,
+            shortDescription: { text: description },
+            defaultConfiguration: { level: SARIF_LEVELS[severity] || 'warning' },
+            properties: { severity }
+          }))
+        }
+      },
+      ...(artifacts.length > 0 && { artifacts: artifacts.map(uri => ({ location: { uri } })) }),
+      results
+    }]
+  };
+
+  return JSON.stringify(log, null, 2) + '\n';
+}
+
+/**
+ * Bare report or { report, uri }
+ * @private
+ */
+function unwrap(entry) {
+  return entry?.verdict ? { report: entry } : entry;
+}
+
+/**
+ * One physical location per span (the artifact alone when there are none)
+ * @private
+ */
+function locations(violation, uri, index) {
+  const artifactLocation = { uri, index };
+  if (!violation.spans || violation.spans.length === 0) {
+    return [{ physicalLocation: { artifactLocation } }];
+  }
+  return violation.spans.map(span => ({
+    physicalLocation: { artifactLocation, region: region(span) }
+  }));
+}
+
+/**
+ * SARIF region of an evidence span (1-based lines and columns, end column exclusive)
+ * @private
+ */
+function region(span) {
+  const lines = span.text.split('\n');
+  const endLine = span.line + lines.length - 1;
+  const endColumn = lines.length > 1
+    ? lines[lines.length - 1].length + 1
+    : span.column + span.text.length;
+
+  return {
+    startLine: span.line,
+    startColumn: span.column,
+    endLine,
+    endColumn,
+    charOffset: span.start,
+    charLength: span.end - span.start,
+    snippet: { text: span.text }
+  };
+}
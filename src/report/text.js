@@ -0,0 +1,57 @@
+/**
+ * text - Compact terminal summary of a ComplianceReport
+ *
+ * One headline (action, score/threshold, compliance, confidence), the task,
+ * the primary reason, one line per component, then violations (with their
+ * evidence), further recommended actions and deltas when present. Used by
+ * `dgp evaluate`.
+ *
+ * @example
+ * renderText(report);
+ * // RETRY  score 79/80  non-compliant  confidence 0.75
+ * // task: api-endpoint (LOW)
+ * // reason: Scope drift detected - output should focus on GET endpoint only
+ * // ...
+ */
+
+/**
+ * @param {Object} report - ComplianceReport
+ * @returns {string} Newline-terminated text
+ */
+export function renderText(report) {
+  const { analysis, verdict } = report;
+  const action = report.recommendedActions[0];
+  const lines = [
+    `${action.type}  score ${verdict.score}/${verdict.threshold}  ${verdict.compliant ? 'compliant' : 'non-compliant'}  confidence ${verdict.confidence}`,
+    `task: ${report.task.id}${report.task.risk ? ` (${report.task.risk})` : ''}`,
+    `reason: ${action.reason}`,
+    '',
+    `headers     coverage ${Math.round(analysis.headers.coverage * 100)}%${analysis.headers.missing.length ? `  missing: ${analysis.headers.missing.join(', ')}` : ''}`,
+    `drift       ${analysis.drift.score}  incidents ${analysis.drift.incidents}${analysis.drift.signals.length ? `  signals: ${analysis.drift.signals.join(', ')}` : ''}`,
+    `retry       ${analysis.retryPressure.score}${analysis.retryPressure.signals.length ? `  signals: ${analysis.retryPressure.signals.join(', ')}` : ''}`,
+    `escalation  required ${analysis.escalation.required}  detected ${analysis.escalation.detected}  ok ${analysis.escalation.ok}`
+  ];
+
+  if (verdict.violations.length > 0) {
+    lines.push('', 'violations:');
+    for (const v of verdict.violations) {
+      lines.push(`  [${v.severity}] ${v.code}: ${v.message}`);
+      if (v.evidence.length > 0) {
+        lines.push(`      evidence: ${v.evidence.join('; ')}`);
+      }
+    }
+  }
+
+  if (report.recommendedActions.length > 1) {
+    lines.push('', 'also recommended:');
+    for (const a of report.recommendedActions.slice(1)) {
+      lines.push(`  ${a.type} (${a.priority}): ${a.reason}`);
+    }
+  }
+
+  if (report.deltas) {
+    lines.push('', `deltas: drift ${report.deltas.driftReduction}%  retry ${report.deltas.retryReduction}%`);
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,229 @@
+/**
+ * ConstraintChecker - Enforces task constraints (TaskDefinition.constraints)
+ *
+ * Understands a small declarative grammar (case-insensitive, a trailing
+ * period is ignored; terms may be quoted with "", '' or ``):
+ * - `must mention X`: X appears in the output
+ * - `must not mention X` (or `must-not mention X`): X never appears
+ * - `must include section X` (or `must include a X section`): a header named X is present
+ * - `must not contain a LANG code block`, `no LANG code blocks`: no fenced block
+ *   with that info-string language (without LANG: no fenced block at all)
+ * - `"X" before "Y"` (or `"X" must come/appear before "Y"`), with both terms
+ *   quoted, or `order: X before Y`: Y never appears before the first X
+ *
+ * Bare (unquoted) terms are matched as whole words, case-insensitively.
+ * Ordering needs quoted terms or the `order:` prefix, so prose that happens
+ * to contain "before" ("Ask before deleting files") stays unrecognized.
+ * Unrecognized constraints are reported, never enforced.
+ *
+ * @example
+ * const checker = new ConstraintChecker();
+ * const result = checker.check('Plan: ship\nAction: deploy', ['must not mention deploy', 'order: Plan before Action']);
+ * // Returns: { checked: 2, violated: [
+ * //   { index: 0, constraint: 'must not mention deploy', kind: 'no-mention',
+ * //     evidence: ['line 2: deploy'], matches: [{ text: 'deploy', position: 19, line: 2 }] }
+ * // ], unrecognized: [] }
+ */
+
+import { scanLines } from './markdown.js';
+import { HeaderChecker } from './HeaderChecker.js';
+
+export const ConstraintKind = Object.freeze({
+  MENTION: 'mention',
+  NO_MENTION: 'no-mention',
+  SECTION: 'section',
+  NO_CODE_BLOCK: 'no-code-block',
+  ORDER: 'order'
+});
+
+// Letters, digits and underscore (Unicode-aware) form words
+const WORD_CHARS = '[\\p{L}\\p{N}_]';
+const WORD_START = `(?<!${WORD_CHARS})`;
+const WORD_END = `(?!${WORD_CHARS})`;
+
+// Grammar, tried in order; `term` groups are stripped of quotes. ORDER
+// captures the optional `order:` prefix first.
+const RULES = [
+  { kind: ConstraintKind.NO_MENTION, pattern: /^must(?:\s+not|-not|n't)\s+mention\s+(.+)$/i },
+  { kind: ConstraintKind.MENTION, pattern: /^must\s+mention\s+(.+)$/i },
+  { kind: ConstraintKind.SECTION, pattern: /^must\s+include\s+(?:an?\s+|the\s+)?section\s+(.+)$/i },
+  { kind: ConstraintKind.SECTION, pattern: /^must\s+include\s+(?:an?\s+|the\s+)?(.+?)\s+section$/i },
+  { kind: ConstraintKind.NO_CODE_BLOCK, pattern: /^must(?:\s+not|-not|n't)\s+(?:contain|include)\s+(?:an?\s+|any\s+)?(?:(\S+)\s+)?code\s+blocks?$/i },
+  { kind: ConstraintKind.NO_CODE_BLOCK, pattern: /^no\s+(?:(\S+)\s+)?code\s+blocks?$/i },
+  { kind: ConstraintKind.ORDER, pattern: /^(order:\s*)?(.+?)\s+(?:must\s+(?:come|appear)\s+)?before\s+(.+)$/i }
+];
+
+export class ConstraintChecker {
+  /**
+   * @param {Object} [options]
+   * @param {HeaderChecker} [options.headerChecker] - Header parser for section constraints
+   */
+  constructor(options = {}) {
+    this.headerChecker = options.headerChecker || new HeaderChecker({ required: [] });
+  }
+
+  /**
+   * Check output against constraints
+   *
+   * @param {string} output - LLM output text to check
+   * @param {string[]} constraints - Constraint texts (TaskDefinition.constraints)
+   * @returns {{
+   *   checked: number,
+   *   violated: Array<{ index: number, constraint: string, kind: string, evidence: string[], matches: Object[] }>,
+   *   unrecognized: Array<{ index: number, constraint: string }>
+   * }} `checked` counts recognized constraints; `matches` (`{ text, position, line }`) locate the evidence
+   */
+  check(output, constraints) {
+    if (typeof output !== 'string') {
+      throw new Error('Output must be a string');
+    }
+    if (!Array.isArray(constraints) || constraints.some(c => typeof c !== 'string')) {
+      throw new TypeError('Task constraints must be an array of strings');
+    }
+
+    const violated = [];
+    const unrecognized = [];
+    let checked = 0;
+
+    constraints.forEach((constraint, index) => {
+      const rule = ConstraintChecker.parse(constraint);
+      if (!rule) {
+        unrecognized.push({ index, constraint });
+        return;
+      }
+      checked++;
+
+      const failure = this.evaluate(output, rule);
+      if (failure) {
+        violated.push({ index, constraint, kind: rule.kind, ...failure });
+      }
+    });
+
+    return { checked, violated, unrecognized };
+  }
+
+  /**
+   * Evidence and matches for a broken rule, or null when it holds
+   * @private
+   */
+  evaluate(output, rule) {
+    switch (rule.kind) {
+      case ConstraintKind.MENTION:
+        return findTerm(output, rule.term).length > 0
+          ? null
+          : { evidence: [`not mentioned: ${rule.term}`], matches: [] };
+
+      case ConstraintKind.NO_MENTION: {
+        const matches = findTerm(output, rule.term);
+        return matches.length > 0
+          ? { evidence: matches.map(m => `line ${m.line}: ${m.text}`), matches }
+          : null;
+      }
+
+      case ConstraintKind.SECTION: {
+        const name = this.headerChecker.normalizeName(rule.term);
+        const present = this.headerChecker.parseHeaders(output)
+          .some(h => this.headerChecker.normalizeName(h.name) === name);
+        return present ? null : { evidence: [`missing section: ${rule.term}`], matches: [] };
+      }
+
+      case ConstraintKind.NO_CODE_BLOCK: {
+        const matches = scanLines(output).blocks
+          .filter(b => rule.language === null || b.language === rule.language)
+          .map(b => ({ text: b.text, position: b.offset, line: b.line }));
+        return matches.length > 0
+          ? { evidence: matches.map(m => `line ${m.line}: ${m.text}`), matches }
+          : null;
+      }
+
+      case ConstraintKind.ORDER: {
+        const [later] = findTerm(output, rule.after);
+        if (!later) return null;
+        const [first] = findTerm(output, rule.before);
+        if (first && first.position < later.position) return null;
+        return {
+          evidence: [first
+            ? `${rule.after} (line ${later.line}) before ${rule.before} (line ${first.line})`
+            : `${rule.after} (line ${later.line}) without ${rule.before}`],
+          matches: [later]
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse one constraint against the grammar
+   *
+   * @param {string} constraint - Constraint text
+   * @returns {{ kind: string, term?: string, language?: string|null, before?: string, after?: string }|null}
+   *   null when the text is not part of the grammar
+   */
+  static parse(constraint) {
+    const text = constraint.trim().replace(/\.$/, '').trim();
+
+    for (const { kind, pattern } of RULES) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      if (kind === ConstraintKind.NO_CODE_BLOCK) {
+        const language = match[1] ? unquote(match[1]).toLowerCase() : null;
+        return { kind, language: language === 'any' ? null : language };
+      }
+      if (kind === ConstraintKind.ORDER) {
+        const [prefixed, before, after] = [match[1], match[2], match[3]];
+        if (!prefixed && !(isQuoted(before) && isQuoted(after))) return null;
+        return { kind, before: unquote(before), after: unquote(after) };
+      }
+      const term = unquote(match[1]);
+      return term.length > 0 ? { kind, term } : null;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Occurrences of a term: `{ text, position, line }`, in order
+ * @private
+ */
+function findTerm(output, term) {
+  const regex = new RegExp(`${WORD_START}${escapeRegex(term)}${WORD_END}`, 'giu');
+  const matches = [];
+  let match;
+  while ((match = regex.exec(output)) !== null) {
+    matches.push({ text: match[0], position: match.index, line: lineAt(output, match.index) });
+  }
+  return matches;
+}
+
+/**
+ * @private
+ */
+function isQuoted(text) {
+  return /^(["'`]).+\1$/.test(text);
+}
+
+/**
+ * @private
+ */
+function unquote(text) {
+  return isQuoted(text) ? text.slice(1, -1).trim() : text.trim();
+}
+
+/**
+ * 1-based line of a character offset
+ * @private
+ */
+function lineAt(output, position) {
+  let line = 1;
+  for (let i = output.indexOf('\n'); i !== -1 && i < position; i = output.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+/**
+ * @private
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -45,8 +45,9 @@ export class EscalationDetector {
    *   escalated: boolean, 
    *   confidence: number, 
    *   triggers: string[],
-   *   correct: boolean | null
-   * }}
+   *   correct: boolean | null,
+   *   occurrences: Array<{ trigger: string, position: number, length: number }>
+   * }} `occurrences`: every (case-insensitive) trigger match, in order of position
    */
   check(output) {
     if (typeof output !== 'string') {
@@ -54,16 +55,44 @@ export class EscalationDetector {
     }
 
     const lowerOutput = output.toLowerCase();
-    const allTriggers = [...this.defaultTriggers, ...this.customTriggers];
     const foundTriggers = [];
+    const occurrences = [];
 
     // Count matching triggers
-    for (const trigger of allTriggers) {
-      if (lowerOutput.includes(trigger.toLowerCase())) {
+    for (const trigger of this.allTriggers()) {
+      const term = trigger.toLowerCase();
+      const first = lowerOutput.indexOf(term);
+      if (first !== -1) {
         foundTriggers.push(trigger);
       }
+      for (let index = first; index !== -1 && term.length > 0; index = lowerOutput.indexOf(term, index + 1)) {
+        occurrences.push({ trigger, position: index, length: term.length });
+      }
     }
 
+    occurrences.sort((a, b) => a.position - b.position);
+    return { ...this.fromTriggers(foundTriggers), occurrences };
+  }
+
+  /**
+   * Default triggers followed by custom triggers, in matching order
+   * 
+   * @returns {string[]}
+   */
+  allTriggers() {
+    return [...this.defaultTriggers, ...this.customTriggers];
+  }
+
+  /**
+   * Build a check() result from triggers already found
+   * 
+   * Lets incremental scanners (StreamingEvaluator) share the frozen
+   * correctness/confidence rules.
+   * 
+   * @param {string[]} foundTriggers - Matched triggers, in allTriggers() order
+   * @returns {{ escalated: boolean, confidence: number, triggers: string[], correct: boolean | null }}
+   */
+  fromTriggers(foundTriggers) {
     // Determine if escalated based on trigger presence
     const escalated = foundTriggers.length > 0;
 
@@ -4,19 +4,57 @@
  * Ensures LLM outputs contain required headers/sections for governance transparency.
  * Default schema enforces RFE/SPS/SEG/FOP logs with Plan/Gates/Action/System-Level Logs.
  * 
+ * With `allowExtra: false` the headers actually present are parsed (outside
+ * fenced code) and any header that is neither required nor in `allowedExtra`
+ * is reported in `extra` and makes the output non-compliant. Recognized
+ * header lines:
+ * - Markdown headings: `## Rollback Plan`
+ * - Emoji-prefixed headings: `🎯 Plan`, `⚡ Action: deploy`
+ * - Label lines: `Plan: ...`, `**Plan:** ...`, `- Gates: ...` (capitalized, at most 5 words)
+ * 
+ * A plain label followed by text (`Note: ...`, `Step 1: ...`) reads like
+ * prose, so it is only an extra header when bold, list-prefixed or alone on
+ * its line (`Rollback:`). Plain labels still name required and allowed headers.
+ * 
+ * Names are compared case-insensitively, ignoring emoji prefixes and
+ * surrounding punctuation (`🎯 Plan` matches `## plan`).
+ * 
+ * With `structure` set, required headers only count when they start a
+ * section (so "We skipped the plan" no longer satisfies `Plan`), and the
+ * sections are checked for order, minimum body length and duplicates.
+ * `parseSections()` returns the section bodies for downstream tools.
+ * 
  * @example
  * const checker = new HeaderChecker({ 
  *   required: ['Plan', 'Gates', 'Action', 'System-Level Logs'] 
  * });
  * const result = checker.validate(output);
- * // Returns: { compliant: true, missing: [], found: [...] }
+ * // Returns: { compliant: true, missing: [], found: [...], extra: [], coverage: 100 }
  */
+
+import { scanLines } from './markdown.js';
+
+// Leading emoji (with optional variation selector / joiners)
+const EMOJI_PREFIX = /^(?:[\p{Extended_Pictographic}\p{Emoji_Presentation}][\uFE0F\u200D]*\s*)+/u;
+
+const MARKDOWN_HEADING = /^ {0,3}#{1,6}\s+(.+?)(?:\s+#+)?\s*$/;
+const LABEL_LINE = /^\s*([-*+]\s+)?(\*{0,2})([A-Z][\w /&()'-]*?)\*{0,2}\s*:(?:\*{0,2})(?:\s+(.*)|$)/;
+const EMOJI_TITLE = /^([^:]+?)\s*(?::\s*(.*))?$/;
+
+const MAX_LABEL_WORDS = 5;
+
 export class HeaderChecker {
   /**
    * @param {Object} options
    * @param {string[]} options.required - Required header names
    * @param {boolean} [options.strict=true] - Fail on any missing header
    * @param {boolean} [options.caseSensitive=false] - Case-sensitive header matching
+   * @param {boolean} [options.allowExtra=true] - Accept headers that are not required
+   * @param {string[]} [options.allowedExtra=[]] - Optional headers accepted when `allowExtra` is false
+   * @param {Object} [options.structure] - Section rules (enables section-based matching)
+   * @param {boolean} [options.structure.ordered=false] - Required headers must appear in `required` order
+   * @param {number} [options.structure.minSectionLength=0] - Minimum body length (characters) of required sections
+   * @param {boolean} [options.structure.unique=false] - Each required/allowed section may appear once
    */
   constructor(options = {}) {
     if (!options.required || !Array.isArray(options.required)) {
@@ -26,53 +64,273 @@ export class HeaderChecker {
     this.required = options.required;
     this.strict = options.strict !== undefined ? options.strict : true;
     this.caseSensitive = options.caseSensitive || false;
+    this.allowExtra = options.allowExtra !== undefined ? options.allowExtra : true;
+    this.allowedExtra = options.allowedExtra || [];
+    this.structure = options.structure || null;
   }
 
   /**
    * Validate output contains required headers
    * 
    * @param {string} output - LLM output text to validate
-   * @returns {{ compliant: boolean, missing: string[], found: string[], coverage: number }}
+   * @returns {{
+   *   compliant: boolean, missing: string[], found: string[], extra: string[], coverage: number,
+   *   lines: { extra: number[], order?: number[], empty?: number[], duplicates?: number[] },
+   *   sections?: Object[], structure?: { order: string[], empty: string[], duplicates: string[] }
+   * }} `lines`: header lines behind each finding; `sections` and `structure` only with the `structure` option
    */
   validate(output) {
     if (typeof output !== 'string') {
       throw new Error('Output must be a string');
     }
 
-    const searchText = this.caseSensitive ? output : output.toLowerCase();
-    const requiredHeaders = this.caseSensitive 
-      ? this.required 
-      : this.required.map(h => h.toLowerCase());
+    const lines = output.split('\n').map(l => l.replace(/\r$/, ''));
+    return this.fromHeaders(this.parseHeaders(output), { found: this.mentioned(output), lines });
+  }
 
-    const found = [];
-    const missing = [];
+  /**
+   * Build a validate() result from parsed header lines
+   * 
+   * Lets callers that receive text incrementally (StreamingEvaluator) parse
+   * each completed line once with parseHeaderLine().
+   * 
+   * @param {Object[]} headers - Header lines in order (parseHeaders() / parseHeaderLine())
+   * @param {Object} parts
+   * @param {string[]} parts.found - Required headers mentioned in the output (see mentioned())
+   * @param {string[]} parts.lines - Output lines, without line breaks (structure mode)
+   * @param {Object[]} [parts.sections] - Prebuilt buildSections() result (structure mode)
+   * @returns {Object} Same shape as validate()
+   */
+  fromHeaders(headers, { found, lines, sections }) {
+    if (this.structure) {
+      return this.validateStructure(sections ?? this.buildSections(headers, lines), headers);
+    }
+
+    const missing = this.required.filter(header => !found.includes(header));
+    const coverage = this.required.length > 0 
+      ? (found.length / this.required.length) * 100 
+      : 100;
+
+    const extra = this.allowExtra ? [] : this.findExtra(headers);
+
+    return {
+      compliant: (this.strict ? missing.length === 0 : found.length > 0) && extra.length === 0,
+      missing,
+      found,
+      extra: extra.map(h => h.name),
+      coverage: Math.round(coverage),
+      lines: { extra: extra.map(h => h.line) }
+    };
+  }
+
+  /**
+   * Required headers mentioned anywhere in text (substring or `Header:`), in `required` order
+   * 
+   * @param {string} text - Output text, or one line of it
+   * @returns {string[]}
+   */
+  mentioned(text) {
+    const searchText = this.caseSensitive ? text : text.toLowerCase();
 
-    for (let i = 0; i < requiredHeaders.length; i++) {
-      const header = requiredHeaders[i];
-      const originalHeader = this.required[i];
+    return this.required.filter(originalHeader => {
+      const header = this.caseSensitive ? originalHeader : originalHeader.toLowerCase();
 
       // Look for "Header:" pattern (common in structured outputs)
       const headerPattern = new RegExp(`${this.escapeRegex(header)}\\s*:`, 'i');
-      
-      if (searchText.includes(header) || headerPattern.test(searchText)) {
-        found.push(originalHeader);
-      } else {
-        missing.push(originalHeader);
+
+      return searchText.includes(header) || headerPattern.test(searchText);
+    });
+  }
+
+  /**
+   * Section-based validation (structure mode)
+   * @private
+   */
+  validateStructure(sections, headers) {
+    const { ordered = false, minSectionLength = 0, unique = false } = this.structure;
+
+    const found = [];
+    const missing = [];
+    for (const header of this.required) {
+      (sections.some(s => s.header === header) ? found : missing).push(header);
+    }
+
+    // Order: a required section appearing after one that should follow it
+    const order = [];
+    const orderLines = [];
+    if (ordered) {
+      let latest = null;
+      for (const section of sections) {
+        const rank = this.required.indexOf(section.header);
+        if (rank === -1) continue;
+        if (latest && rank < latest.rank) {
+          if (order.some(o => o.startsWith(`${section.header} (`))) continue;
+          order.push(`${section.header} (line ${section.line}) after ${latest.header} (line ${latest.line})`);
+          orderLines.push(section.line);
+        } else if (!latest || rank > latest.rank) {
+          latest = { rank, header: section.header, line: section.line };
+        }
       }
     }
 
-    const coverage = this.required.length > 0 
-      ? (found.length / this.required.length) * 100 
-      : 100;
+    // Minimum body length: first occurrence of each required section
+    const empty = [];
+    const emptyLines = [];
+    if (minSectionLength > 0) {
+      for (const header of found) {
+        const { body, line } = sections.find(s => s.header === header);
+        if (body.length < minSectionLength) {
+          empty.push(`${header} (${body.length} chars)`);
+          emptyLines.push(line);
+        }
+      }
+    }
+
+    const duplicates = [];
+    const duplicateLines = [];
+    if (unique) {
+      for (const header of [...this.required, ...this.allowedExtra]) {
+        const lines = sections.filter(s => s.header === header).map(s => s.line);
+        if (lines.length > 1) {
+          duplicates.push(`${header} (lines ${lines.join(', ')})`);
+          duplicateLines.push(...lines);
+        }
+      }
+    }
+
+    const extra = this.allowExtra ? [] : this.findExtra(headers);
+    const coverage = this.required.length > 0 ? (found.length / this.required.length) * 100 : 100;
+    const schemaOk = this.strict ? missing.length === 0 : found.length > 0;
 
     return {
-      compliant: this.strict ? missing.length === 0 : found.length > 0,
+      compliant: schemaOk && extra.length === 0 && order.length === 0 && empty.length === 0 && duplicates.length === 0,
       missing,
       found,
-      coverage: Math.round(coverage)
+      extra: extra.map(h => h.name),
+      coverage: Math.round(coverage),
+      lines: { extra: extra.map(h => h.line), order: orderLines, empty: emptyLines, duplicates: duplicateLines },
+      sections,
+      structure: { order, empty, duplicates }
     };
   }
 
+  /**
+   * Split output into sections, one per header line
+   * 
+   * Markdown and emoji headings always start a section; label lines
+   * (`Name: ...`) only when they name a required or allowed header, so labels
+   * inside a section body (`- Step: ...`) stay part of it. The body is the
+   * text after the header on its line plus every following line (fenced code
+   * included) up to the next section, trimmed.
+   * 
+   * @param {string} output - LLM output text
+   * @returns {Array<{ name: string, header: string|null, line: number, endLine: number, body: string }>}
+   *   `header` is the matching required/allowed header (as configured), or null
+   */
+  parseSections(output) {
+    const rawLines = output.split('\n').map(l => l.replace(/\r$/, ''));
+    return this.buildSections(this.parseHeaders(output), rawLines);
+  }
+
+  /**
+   * Sections from parsed header lines and the output lines (see parseSections())
+   * 
+   * @param {Object[]} headers - Header lines in order (parseHeaders() / parseHeaderLine())
+   * @param {string[]} rawLines - Output lines, without line breaks
+   * @returns {Object[]}
+   */
+  buildSections(headers, rawLines) {
+    const known = new Map([...this.required, ...this.allowedExtra].map(h => [this.normalizeName(h), h]));
+
+    const starts = headers
+      .map(h => ({ ...h, header: known.get(this.normalizeName(h.name)) ?? null }))
+      .filter(h => h.style !== 'label' || h.header !== null);
+
+    return starts.map((start, i) => {
+      const endLine = i + 1 < starts.length ? starts[i + 1].line - 1 : rawLines.length;
+      const body = [start.inline, ...rawLines.slice(start.line, endLine)].join('\n').trim();
+      return { name: start.name, header: start.header, line: start.line, endLine, body };
+    });
+  }
+
+  /**
+   * Parse the header lines present in output (fenced code is skipped)
+   * 
+   * @param {string} output - LLM output text
+   * @returns {Array<{ name: string, line: number, style: 'markdown'|'emoji'|'label', inline: string, plain: boolean }>}
+   *   `inline` is the text after the header on the same line; `plain` marks a label without bold or
+   *   list marker followed by text (`Note: ...`)
+   */
+  parseHeaders(output) {
+    return scanLines(output).lines.map(segment => this.parseHeaderLine(segment)).filter(Boolean);
+  }
+
+  /**
+   * Header on one line from scanLines(), or null (fenced code is never a header)
+   * 
+   * @param {{ text: string, line: number, context: 'prose'|'code' }} segment
+   * @returns {{ name: string, line: number, style: 'markdown'|'emoji'|'label', inline: string, plain: boolean }|null}
+   */
+  parseHeaderLine({ text, line, context }) {
+    if (context !== 'prose') return null;
+
+    const heading = MARKDOWN_HEADING.exec(text);
+    if (heading) {
+      return { name: heading[1].replace(/\s*:$/, ''), line, style: 'markdown', inline: '', plain: false };
+    }
+
+    const trimmed = text.trim();
+    const emoji = EMOJI_PREFIX.exec(trimmed);
+    if (emoji) {
+      const [, title, inline = ''] = EMOJI_TITLE.exec(trimmed);
+      return trimmed.length > emoji[0].length && wordCount(title) <= MAX_LABEL_WORDS
+        ? { name: title, line, style: 'emoji', inline: inline.trim(), plain: false }
+        : null;
+    }
+
+    const label = LABEL_LINE.exec(text);
+    if (!label || wordCount(label[3]) > MAX_LABEL_WORDS) {
+      return null;
+    }
+    const [, listMarker, bold, name, rest = ''] = label;
+    const inline = rest.trim();
+    return { name: name.trim(), line, style: 'label', inline, plain: !listMarker && !bold && inline.length > 0 };
+  }
+
+  /**
+   * Headers present that are neither required nor allowed (first occurrence, in order; plain labels never count)
+   * @private
+   */
+  findExtra(headers) {
+    const known = new Set([...this.required, ...this.allowedExtra].map(h => this.normalizeName(h)));
+    const extra = [];
+    const seen = new Set();
+
+    for (const { name, line, plain } of headers) {
+      if (plain) continue;
+      const key = this.normalizeName(name);
+      if (key.length === 0 || known.has(key) || seen.has(key)) continue;
+      seen.add(key);
+      extra.push({ name, line });
+    }
+
+    return extra;
+  }
+
+  /**
+   * Comparable header name: no emoji prefix, markup or trailing punctuation
+   * @private
+   */
+  normalizeName(name) {
+    const bare = name
+      .replace(EMOJI_PREFIX, '')
+      .replace(/[*_`]/g, '')
+      .replace(/[\s:.]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return this.caseSensitive ? bare : bare.toLowerCase();
+  }
+
   /**
    * Escape special regex characters in header names
    * @private
@@ -93,3 +351,10 @@ export class HeaderChecker {
     });
   }
 }
+
+/**
+ * @private
+ */
+function wordCount(text) {
+  return text.trim().split(/\s+/).length;
+}
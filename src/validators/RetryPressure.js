@@ -5,30 +5,57 @@
  * revision, or retry. Higher scores suggest the LLM is uncertain, incomplete,
  * or requesting additional context.
  * 
- * Factors penalized:
- * - Missing required headers (schema incompleteness)
- * - Questions directed at user
- * - Placeholders (TODO, TBD, [...])
+ * Factors penalized (frozen v1.0):
  * - Uncertainty phrases ("maybe", "unclear", "not sure")
- * - Incomplete sentences or abrupt endings
+ * - Placeholders (TODO, TBD, FIXME)
+ * 
+ * Extended mode (`extended: true`, opt-in) additionally penalizes:
+ * - Missing required headers (scaled by the fraction missing)
+ * - Questions directed at the user ("Do you want me to...?")
+ * - Truncated endings (last prose line ends mid-sentence: ",", "and", "the", "...")
+ * - Unclosed code fences
  * 
  * @example
- * const calculator = new RetryPressure();
- * const score = calculator.compute(output, { requiredHeaders: ['Plan', 'Action'] });
- * // Returns: { score: 0.3, factors: { missingHeaders: 0.5, questions: 0, ... } }
+ * const calculator = new RetryPressure({ extended: true });
+ * const result = calculator.compute(output, { requiredHeaders: ['Plan', 'Action'] });
+ * // Returns: { score: 50, normalized: 0.5, signals: [...], factors: { questions: 0.2, truncation: 0.3, ... } }
  */
+
+import { scanLines } from './markdown.js';
+
+// Sentence ending in "?" (within one line)
+const QUESTION = /[^.!?]*\?/g;
+
+// Second person, or asking the user for permission/direction
+const USER_DIRECTED = /\b(?:you|your|should i|shall i|do i|can i|may i|should we|shall we)\b/i;
+
+// Prose that stops mid-sentence: dangling punctuation, conjunction or article
+// (not ":", which also ends label lines such as "Gates:", nor "a"/"an", as in "Plan A")
+const TRUNCATED_ENDING = /(?:[,;(\-–—]|\.\.\.|…|\b(?:and|or|but|the|to|of|with|for|in|on|that|which|because|then))$/i;
+
 export class RetryPressure {
   /**
    * @param {Object} options
-   * @param {number} [options.headerPenalty=0.5] - Penalty per missing header
-   * @param {number} [options.questionPenalty=0.2] - Penalty per question
-   * @param {number} [options.placeholderPenalty=0.3] - Penalty for placeholders
-   * @param {number} [options.uncertaintyPenalty=0.15] - Penalty for uncertainty phrases
+   * @param {boolean} [options.extended=false] - Enable header/question/truncation/fence heuristics
+   * @param {number} [options.uncertaintyPenalty=0.1] - Penalty per uncertainty phrase
+   * @param {number} [options.placeholderPenalty=0.2] - Penalty per placeholder
+   * @param {number} [options.headerPenalty=0.5] - Penalty when every required header is missing (extended)
+   * @param {number} [options.questionPenalty=0.2] - Penalty per user-directed question (extended)
+   * @param {number} [options.truncationPenalty=0.3] - Penalty for a truncated ending (extended)
+   * @param {number} [options.fencePenalty=0.3] - Penalty for an unclosed code fence (extended)
    */
   constructor(options = {}) {
-    // Contract-defined penalties per ENGINE_CONTRACT.md
-    this.uncertaintyPenalty = 0.1; // Per uncertainty phrase
-    this.todoPenalty = 0.2; // Per TODO/TBD/FIXME placeholder
+    this.extended = options.extended || false;
+
+    // Contract-defined penalties per ENGINE_CONTRACT.md (defaults)
+    this.uncertaintyPenalty = options.uncertaintyPenalty ?? 0.1; // Per uncertainty phrase
+    this.todoPenalty = options.placeholderPenalty ?? 0.2; // Per TODO/TBD/FIXME placeholder
+
+    // Extended mode penalties
+    this.headerPenalty = options.headerPenalty ?? 0.5;
+    this.questionPenalty = options.questionPenalty ?? 0.2;
+    this.truncationPenalty = options.truncationPenalty ?? 0.3;
+    this.fencePenalty = options.fencePenalty ?? 0.3;
 
     // Uncertainty indicators (contract-defined list)
     this.uncertaintyPhrases = [
@@ -59,12 +86,13 @@ export class RetryPressure {
    * 
    * @param {string} output - LLM output text
    * @param {Object} options
-   * @param {string[]} [options.requiredHeaders=[]] - Expected headers
-   * @param {boolean} [options.strict=true] - Use strict header checking
+   * @param {string[]} [options.requiredHeaders=[]] - Expected headers (extended mode)
    * @returns {{ 
    *   score: number, 
+   *   normalized: number,
+   *   signals: string[],
    *   factors: Object,
-   *   normalized: number 
+   *   matches: Array<{ text: string, position: number, type: string }>
    * }}
    */
   compute(output, options = {}) {
@@ -75,10 +103,6 @@ export class RetryPressure {
     const lowerOutput = output.toLowerCase();
     const foundMatches = []; // {text, position, type}
 
-    // Contract-defined scoring: uncertainty × 0.1 + TODO × 0.2
-    let uncertaintyCount = 0;
-    let todoCount = 0;
-
     // Find uncertainty phrases with their positions
     for (const phrase of this.uncertaintyPhrases) {
       if (lowerOutput.includes(phrase)) {
@@ -91,7 +115,6 @@ export class RetryPressure {
           const position = output.indexOf(match[0]);
           if (!foundMatches.some(m => m.text === match[0])) {
             foundMatches.push({ text: match[0], position, type: 'uncertainty' });
-            uncertaintyCount++;
           }
         }
       }
@@ -104,28 +127,121 @@ export class RetryPressure {
         const position = output.indexOf(match);
         if (!foundMatches.some(m => m.text === match)) {
           foundMatches.push({ text: match, position, type: 'placeholder' });
-          todoCount++;
         }
       }
     }
 
+    if (!this.extended) {
+      return this.fromMatches(foundMatches);
+    }
+
+    foundMatches.push(...this.findStructuralSignals(output));
+    return this.fromMatches(foundMatches, {
+      missingHeaderRatio: this.missingHeaderRatio(lowerOutput, options.requiredHeaders || [])
+    });
+  }
+
+  /**
+   * Build a compute() result from signals already found
+   * 
+   * Lets incremental scanners (StreamingEvaluator) share the contract formula.
+   * 
+   * @param {Array<{ text: string, position: number, type: string }>} foundMatches - Distinct signals
+   *   (`uncertainty`, `placeholder`; extended: `question`, `truncation`, `unclosed-fence`)
+   * @param {Object} [extra]
+   * @param {number} [extra.missingHeaderRatio=0] - Fraction of required headers missing (extended)
+   * @returns {{ score: number, normalized: number, signals: string[], factors: Object, matches: Object[] }}
+   *   `matches` are the signals with their type and position, in order of appearance
+   */
+  fromMatches(foundMatches, { missingHeaderRatio = 0 } = {}) {
+    const count = (type) => foundMatches.filter(m => m.type === type).length;
+
     // Sort by position in output (deterministic order)
-    foundMatches.sort((a, b) => a.position - b.position);
-    const matchedSignals = foundMatches.map(m => m.text);
+    const matches = [...foundMatches]
+      .sort((a, b) => a.position - b.position)
+      .map(({ text, position, type }) => ({ text, position, type }));
 
     // Contract formula: uncertaintyCount × 0.1 + todoCount × 0.2
+    const factors = {
+      uncertainty: count('uncertainty') * this.uncertaintyPenalty,
+      placeholders: count('placeholder') * this.todoPenalty
+    };
+    if (this.extended) {
+      factors.missingHeaders = missingHeaderRatio * this.headerPenalty;
+      factors.questions = count('question') * this.questionPenalty;
+      factors.truncation = count('truncation') * this.truncationPenalty;
+      factors.unclosedFence = count('unclosed-fence') * this.fencePenalty;
+    }
+    for (const key of Object.keys(factors)) {
+      factors[key] = Number(factors[key].toFixed(2));
+    }
+
     const normalizedScore = Math.min(
-      uncertaintyCount * this.uncertaintyPenalty + todoCount * this.todoPenalty,
+      Object.values(factors).reduce((a, b) => a + b, 0),
       1.0
     );
 
     return {
       score: Math.round((1 - normalizedScore) * 100), // Inverted: higher pressure = lower score
       normalized: Number(normalizedScore.toFixed(2)), // 0-1 scale, 2 decimals
-      signals: matchedSignals // Actual matched text from output, in order of appearance
+      signals: matches.map(m => m.text), // Actual matched text from output, in order of appearance
+      factors,
+      matches
     };
   }
 
+  /**
+   * Find user-directed questions, a truncated ending and an unclosed fence
+   * 
+   * Questions and the ending are read from prose lines only, so code
+   * (`a ? b : c`, trailing commas) never counts.
+   * 
+   * @param {string} output - LLM output text
+   * @returns {Array<{ text: string, position: number, type: string }>}
+   */
+  findStructuralSignals(output) {
+    const { lines, unclosedFence } = scanLines(output);
+    const prose = lines.filter(l => l.context === 'prose' && l.text.trim().length > 0);
+    const found = [];
+
+    for (const { text, offset } of prose) {
+      QUESTION.lastIndex = 0;
+      let match;
+      while ((match = QUESTION.exec(text)) !== null) {
+        const question = match[0].trim();
+        if (USER_DIRECTED.test(question) && !found.some(m => m.text === question)) {
+          const leading = match[0].length - match[0].trimStart().length;
+          found.push({ text: question, position: offset + match.index + leading, type: 'question' });
+        }
+      }
+    }
+
+    // Only an output that ends in prose can end mid-sentence ("Run:" before a code block is fine)
+    const last = prose.at(-1);
+    const lastLine = output.trimEnd().split('\n').length;
+    if (last && last.line === lastLine && TRUNCATED_ENDING.test(last.text.trimEnd())) {
+      const text = last.text.trim();
+      const tail = text.length > 40 ? text.slice(-40) : text;
+      found.push({ text: tail, position: last.offset + last.text.lastIndexOf(tail), type: 'truncation' });
+    }
+
+    if (unclosedFence) {
+      found.push({ text: unclosedFence.text, position: unclosedFence.offset, type: 'unclosed-fence' });
+    }
+
+    return found;
+  }
+
+  /**
+   * Fraction of required headers absent from the (lowercased) output
+   * @private
+   */
+  missingHeaderRatio(lowerOutput, requiredHeaders) {
+    if (requiredHeaders.length === 0) return 0;
+    const missing = requiredHeaders.filter(h => !lowerOutput.includes(h.toLowerCase()));
+    return missing.length / requiredHeaders.length;
+  }
+
   /**
    * Calculate retry reduction percentage
    * 
@@ -6,9 +6,13 @@
  * - HeaderChecker: Structured schema compliance
  * - EscalationDetector: FOP escalation pattern recognition
  * - RetryPressure: Ambiguity and incompleteness scoring
+ * - SafetyProtocolChecker: SPS risky-operation detection (prose and code blocks)
+ * - ConstraintChecker: Task constraint grammar (mentions, sections, code blocks, ordering)
  */
 
-export { DriftDetector } from './DriftDetector.js';
+export { DriftDetector, MentionClass } from './DriftDetector.js';
 export { HeaderChecker } from './HeaderChecker.js';
 export { EscalationDetector } from './EscalationDetector.js';
 export { RetryPressure } from './RetryPressure.js';
+export { SafetyProtocolChecker, DEFAULT_RISKY_OPERATIONS } from './SafetyProtocolChecker.js';
+export { ConstraintChecker, ConstraintKind } from './ConstraintChecker.js';
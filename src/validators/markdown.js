@@ -0,0 +1,118 @@
+/**
+ * markdown - Line-level Markdown structure shared by validators
+ *
+ * Splits output into lines tagged as prose or fenced code (CommonMark fences:
+ * up to 3 spaces of indentation, ``` or ~~~, closed by a fence of the same
+ * character at least as long). Fence lines themselves are not content lines.
+ *
+ * @example
+ * const { lines, blocks, unclosedFence } = scanLines('Plan:\n```bash\nnpm test\n```');
+ * // lines: [
+ * //   { text: 'Plan:', line: 1, offset: 0, context: 'prose', language: null },
+ * //   { text: 'npm test', line: 3, offset: 14, context: 'code', language: 'bash' }
+ * // ]
+ * // blocks: [{ text: '```bash', line: 2, offset: 6, language: 'bash' }]
+ * // unclosedFence: null
+ */
+
+// Opening/closing code fence
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+
+/**
+ * @param {string} output - Text to scan
+ * @returns {{
+ *   lines: Array<{ text: string, line: number, offset: number, context: 'prose'|'code', language: string|null }>,
+ *   blocks: Array<{ text: string, line: number, offset: number, language: string|null }>,
+ *   unclosedFence: { text: string, line: number, offset: number, language: string|null }|null
+ * }} `offset` is the character index of the line start (fence: of its marker); `blocks` are the
+ *   opening fences in order; an unclosed fence runs to the end
+ */
+export function scanLines(output) {
+  const scanner = new LineScanner();
+  for (const raw of output.split('\n')) scanner.push(raw);
+  return { lines: scanner.lines, blocks: scanner.blocks, unclosedFence: scanner.unclosedFence };
+}
+
+/**
+ * Incremental form of scanLines(), fed one line at a time
+ *
+ * `push()` records a completed line; `peek()` classifies a line (e.g. the
+ * unfinished last line of a stream) as the next one without recording it.
+ */
+export class LineScanner {
+  constructor() {
+    this.lines = [];
+    this.blocks = [];
+    this._fence = null; // { marker, text, line, offset, language }
+    this._line = 0;
+    this._offset = 0;
+  }
+
+  /**
+   * Open fence at the current position, if any
+   */
+  get unclosedFence() {
+    const fence = this._fence;
+    return fence ? { text: fence.text, line: fence.line, offset: fence.offset, language: fence.language } : null;
+  }
+
+  /**
+   * Record the next line
+   *
+   * @param {string} raw - Line without its `\n` (a trailing `\r` is dropped)
+   * @returns {Object|null} Its content line, or null for a fence line
+   */
+  push(raw) {
+    const { segment, fence, block } = this._classify(raw);
+    this._fence = fence;
+    this._line++;
+    this._offset += raw.length + 1;
+    if (block) this.blocks.push(block);
+    if (segment) this.lines.push(segment);
+    return segment;
+  }
+
+  /**
+   * Content line the next line would produce, without recording it
+   *
+   * @param {string} raw - Line without its `\n`
+   * @returns {Object|null}
+   */
+  peek(raw) {
+    return this._classify(raw).segment;
+  }
+
+  /**
+   * @private
+   */
+  _classify(raw) {
+    const text = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    const line = this._line + 1;
+    const start = this._offset;
+    const fence = this._fence;
+
+    const opener = FENCE.exec(text);
+
+    if (fence) {
+      const closes = opener && opener[1][0] === fence.marker[0] &&
+        opener[1].length >= fence.marker.length && text.trim() === opener[1];
+      return closes
+        ? { segment: null, fence: null }
+        : { segment: { text, line, offset: start, context: 'code', language: fence.language }, fence };
+    }
+
+    if (opener) {
+      const opened = {
+        marker: opener[1],
+        text: text.trim(),
+        line,
+        offset: start + text.indexOf(opener[1]),
+        language: opener[2] ? opener[2].toLowerCase() : null
+      };
+      const block = { text: opened.text, line, offset: opened.offset, language: opened.language };
+      return { segment: null, fence: opened, block };
+    }
+
+    return { segment: { text, line, offset: start, context: 'prose', language: null }, fence: null };
+  }
+}
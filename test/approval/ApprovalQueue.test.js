@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ApprovalQueue, ApprovalStatus } from '../../src/approval/ApprovalQueue.js';
+import { FileApprovalStore } from '../../src/approval/FileApprovalStore.js';
+import { ApprovalError } from '../../src/core/errors.js';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const escalation = VECTORS.find(v => v.id === 'v1-02-high-risk-escalation');
+const perfect = VECTORS.find(v => v.id === 'v1-01-perfect-compliance');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Queue with controllable clock and sequential ids
+ */
+function createQueue(options = {}) {
+  const clock = { time: Date.parse('2026-02-11T00:00:00.000Z') };
+  let seq = 0;
+  const queue = new ApprovalQueue({
+    timeoutMs: HOUR,
+    now: () => new Date(clock.time).toISOString(),
+    generateId: () => `apr-${++seq}`,
+    ...options
+  });
+  return { queue, clock };
+}
+
+function escalatedReport() {
+  const engine = new GovernanceEngine({ capsule: escalation.capsule });
+  return engine.evaluate({ task: escalation.task, output: escalation.output });
+}
+
+describe('ApprovalQueue', () => {
+  it('should hold escalated output as pending', async () => {
+    const { queue } = createQueue();
+
+    const record = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+    assert.strictEqual(record.id, 'apr-1');
+    assert.strictEqual(record.status, ApprovalStatus.PENDING);
+    assert.strictEqual(record.taskId, 'pricing-change');
+    assert.strictEqual(record.reason, 'High-risk task correctly escalated to founder oversight');
+    assert.strictEqual(record.expiresAt, '2026-02-11T01:00:00.000Z');
+    assert.deepStrictEqual(await queue.list({ status: 'pending' }), [record]);
+  });
+
+  it('should only accept ESCALATE reports', async () => {
+    const { queue } = createQueue();
+    const engine = new GovernanceEngine({ capsule: perfect.capsule });
+    const report = engine.evaluate({ task: perfect.task, output: perfect.output });
+
+    await assert.rejects(queue.submit({ task: perfect.task, output: perfect.output, report }), /Only ESCALATE reports/);
+  });
+
+  it('should release approved output once', async () => {
+    const { queue } = createQueue();
+    const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+    const approved = await queue.approve(id, { approver: 'founder@example.com', comment: 'Ship it' });
+    const result = await queue.resume(id);
+
+    assert.strictEqual(approved.status, ApprovalStatus.APPROVED);
+    assert.deepStrictEqual(result, {
+      id,
+      status: 'approved',
+      released: true,
+      output: escalation.output,
+      approver: 'founder@example.com',
+      comment: 'Ship it'
+    });
+    assert.strictEqual((await queue.get(id)).output, null);
+    await assert.rejects(queue.resume(id), /already resumed/);
+  });
+
+  it('should discard rejected output', async () => {
+    const { queue } = createQueue();
+    const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+    await queue.reject(id, { approver: 'founder@example.com', comment: 'Too risky' });
+    const result = await queue.resume(id);
+
+    assert.strictEqual(result.released, false);
+    assert.strictEqual(result.output, null);
+    assert.strictEqual(result.comment, 'Too risky');
+  });
+
+  it('should expire pending approvals after timeout', async () => {
+    const { queue, clock } = createQueue();
+    const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+    clock.time += HOUR;
+
+    assert.strictEqual((await queue.get(id)).status, ApprovalStatus.EXPIRED);
+    await assert.rejects(queue.approve(id, { approver: 'late' }), (err) => {
+      assert(err instanceof ApprovalError);
+      assert.strictEqual(err.status, 'expired');
+      return true;
+    });
+    assert.strictEqual((await queue.resume(id)).released, false);
+  });
+
+  it('should expire due approvals in bulk', async () => {
+    const { queue, clock } = createQueue();
+    const report = escalatedReport();
+    await queue.submit({ task: escalation.task, output: 'a', report });
+    clock.time += HOUR / 2;
+    await queue.submit({ task: escalation.task, output: 'b', report });
+    clock.time += HOUR / 2;
+
+    const expired = await queue.expireDue();
+
+    assert.deepStrictEqual(expired.map(r => r.id), ['apr-1']);
+    assert.deepStrictEqual((await queue.list({ status: 'pending' })).map(r => r.id), ['apr-2']);
+  });
+
+  it('should serialize concurrent decisions and resumes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-approvals-'));
+    for (const store of [undefined, new FileApprovalStore(path.join(dir, 'approvals.json'))]) {
+      const { queue } = createQueue({ store });
+      const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+      const decisions = await Promise.allSettled([
+        queue.approve(id, { approver: 'founder@example.com' }),
+        queue.reject(id, { approver: 'cfo@example.com' })
+      ]);
+      const resumes = await Promise.allSettled([queue.resume(id), queue.resume(id)]);
+
+      assert.deepStrictEqual(decisions.map(d => d.status), ['fulfilled', 'rejected']);
+      assert(decisions[1].reason instanceof ApprovalError);
+      assert.strictEqual((await queue.get(id)).approver, 'founder@example.com');
+      assert.deepStrictEqual(resumes.map(r => r.status), ['fulfilled', 'rejected']);
+      assert.strictEqual(resumes[0].value.output, escalation.output);
+      assert.match(resumes[1].reason.message, /already resumed/);
+    }
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should refuse to resume pending approvals', async () => {
+    const { queue } = createQueue();
+    const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+    await assert.rejects(queue.resume(id), /still pending/);
+  });
+
+  it('should require approver identity and known ids', async () => {
+    const { queue } = createQueue();
+    const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+
+    await assert.rejects(queue.approve(id, { approver: ' ' }), /approver identity/);
+    await assert.rejects(queue.get('missing'), /Unknown approval: missing/);
+  });
+
+  it('should persist approvals with FileApprovalStore', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-approvals-'));
+    const file = path.join(dir, 'approvals.json');
+    const { queue } = createQueue({ store: new FileApprovalStore(file) });
+
+    const { id } = await queue.submit({ task: escalation.task, output: escalation.output, report: escalatedReport() });
+    await queue.approve(id, { approver: 'founder@example.com' });
+
+    // A fresh queue over the same file sees the decision
+    const { queue: reopened } = createQueue({ store: new FileApprovalStore(file) });
+    const result = await reopened.resume(id);
+
+    assert.strictEqual(result.released, true);
+    assert.strictEqual(result.output, escalation.output);
+    assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
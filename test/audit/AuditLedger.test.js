@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { AuditLedger, verifyLedger, hashCapsule, GENESIS_HASH } from '../../src/audit/AuditLedger.js';
+import { Capsule } from '../../src/core/Capsule.js';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { sha256Hex } from '../../src/core/canonical.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const FIXED_ISO = '2026-02-11T00:00:00.000Z';
+
+describe('AuditLedger', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-ledger-'));
+    file = path.join(dir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  async function writeVectors(ledger, count = 3) {
+    const entries = [];
+    for (const v of VECTORS.slice(0, count)) {
+      const engine = new GovernanceEngine({ capsule: v.capsule, now: () => FIXED_ISO });
+      const report = engine.evaluate({ task: v.task, output: v.output, baseline: v.baseline });
+      entries.push(await ledger.append({ capsule: engine.capsule, task: v.task, output: v.output, baseline: v.baseline, report }));
+    }
+    return entries;
+  }
+
+  function readLines() {
+    return fs.readFileSync(file, 'utf8').trim().split('\n');
+  }
+
+  function writeLines(lines) {
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+  }
+
+  it('should chain entries by hash', async () => {
+    const ledger = new AuditLedger(file, { now: () => FIXED_ISO });
+    const [first, second] = await writeVectors(ledger, 2);
+
+    assert.strictEqual(first.seq, 1);
+    assert.strictEqual(first.prevHash, GENESIS_HASH);
+    assert.strictEqual(second.seq, 2);
+    assert.strictEqual(second.prevHash, first.hash);
+    assert.match(first.hash, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(await verifyLedger(file), { valid: true, entries: 2, headHash: second.hash, errors: [] });
+  });
+
+  it('should store capsule and input hashes', async () => {
+    const ledger = new AuditLedger(file, { now: () => FIXED_ISO });
+    const v = VECTORS.find(x => x.id === 'v1-06-baseline-delta-calculation');
+    const engine = new GovernanceEngine({ capsule: v.capsule, now: () => FIXED_ISO });
+    const report = engine.evaluate({ task: v.task, output: v.output, baseline: v.baseline });
+
+    const entry = await ledger.append({ capsule: v.capsule, task: v.task, output: v.output, baseline: v.baseline, report });
+
+    assert.match(entry.capsuleHash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(entry.inputs.outputHash, sha256Hex(v.output));
+    assert.strictEqual(entry.inputs.baselineHash, sha256Hex(v.baseline));
+    assert.deepStrictEqual(entry.report, report);
+  });
+
+  it('should hash a Capsule and its raw JSON the same', () => {
+    const protocol = VECTORS[0].capsule;
+    const dgpMd = { capsule: { riskProfile: 'HIGH', requiredHeading: ['Plan', 'Action'] } };
+
+    assert.strictEqual(hashCapsule(new Capsule(protocol)), hashCapsule(protocol));
+    assert.strictEqual(hashCapsule(new Capsule(dgpMd)), hashCapsule(dgpMd));
+    assert.strictEqual(hashCapsule(dgpMd), hashCapsule(new Capsule(dgpMd).toJSON()));
+  });
+
+  it('should resume the chain from an existing file', async () => {
+    await writeVectors(new AuditLedger(file, { now: () => FIXED_ISO }), 2);
+    const reopened = new AuditLedger(file, { now: () => FIXED_ISO });
+
+    const [third] = await writeVectors(reopened, 1);
+
+    assert.strictEqual(third.seq, 3);
+    assert.strictEqual((await reopened.verify()).valid, true);
+  });
+
+  it('should serialize concurrent appends', async () => {
+    const ledger = new AuditLedger(file, { now: () => FIXED_ISO });
+    const v = VECTORS[0];
+    const report = new GovernanceEngine({ capsule: v.capsule }).evaluate({ task: v.task, output: v.output });
+
+    await Promise.all([1, 2, 3].map(() => ledger.append({ capsule: v.capsule, task: v.task, output: v.output, report })));
+
+    const result = await ledger.verify();
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.entries, 3);
+  });
+
+  it('should detect tampered reports', async () => {
+    await writeVectors(new AuditLedger(file, { now: () => FIXED_ISO }));
+    const lines = readLines();
+    const entry = JSON.parse(lines[1]);
+    entry.report.verdict.score = 1;
+    lines[1] = JSON.stringify(entry);
+    writeLines(lines);
+
+    const result = await verifyLedger(file);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(e => [e.line, e.code]), [[2, 'HASH_MISMATCH']]);
+  });
+
+  it('should detect removed entries as a gap', async () => {
+    await writeVectors(new AuditLedger(file, { now: () => FIXED_ISO }));
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+
+    const result = await verifyLedger(file);
+
+    assert.deepStrictEqual(result.errors.map(e => [e.line, e.code]), [[2, 'SEQUENCE_GAP'], [2, 'CHAIN_BROKEN']]);
+    assert.match(result.errors[0].message, /missing seq 2/);
+  });
+
+  it('should detect reordered entries', async () => {
+    await writeVectors(new AuditLedger(file, { now: () => FIXED_ISO }));
+    const lines = readLines();
+    writeLines([lines[0], lines[2], lines[1]]);
+
+    const codes = (await verifyLedger(file)).errors.map(e => e.code);
+
+    assert(codes.includes('OUT_OF_ORDER'));
+    assert(!codes.includes('SEQUENCE_GAP'));
+    assert(!codes.includes('HASH_MISMATCH'));
+  });
+
+  it('should report malformed lines', async () => {
+    await writeVectors(new AuditLedger(file, { now: () => FIXED_ISO }), 1);
+    fs.appendFileSync(file, '{not json\n');
+
+    const result = await verifyLedger(file);
+
+    assert.deepStrictEqual(result.errors.map(e => [e.line, e.code]), [[2, 'MALFORMED']]);
+    await assert.rejects(new AuditLedger(file).append({
+      capsule: VECTORS[0].capsule, task: VECTORS[0].task, output: 'x', report: {}
+    }), /last line is malformed/);
+  });
+
+  it('should treat a missing file as an empty valid ledger', async () => {
+    assert.deepStrictEqual(await verifyLedger(file), { valid: true, entries: 0, headHash: GENESIS_HASH, errors: [] });
+  });
+});
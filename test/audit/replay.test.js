@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { replay, replayRecord } from '../../src/audit/replay.js';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { ValidatorRegistry } from '../../src/core/ValidatorRegistry.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+
+const toRecord = (v) => ({
+  id: v.id,
+  capsule: v.capsule,
+  task: v.task,
+  output: v.output,
+  baseline: v.baseline,
+  thresholds: v.thresholds,
+  report: structuredClone(v.expected)
+});
+
+describe('replay', () => {
+  it('should reproduce every canonical decision', () => {
+    const result = replay(VECTORS.map(toRecord));
+
+    assert.strictEqual(result.total, 8);
+    assert.strictEqual(result.matched, 8);
+    assert.strictEqual(result.diverged, 0);
+    assert(result.results.every(r => r.differences.length === 0));
+  });
+
+  it('should pin now and engineVersion from the stored record', () => {
+    const record = toRecord(VECTORS[0]);
+    record.report.metadata.evaluatedAt = '2025-12-31T23:59:59.000Z';
+    record.report.metadata.engineVersion = '0.0.9';
+
+    const { status, report } = replayRecord(record);
+
+    assert.strictEqual(status, 'match');
+    assert.strictEqual(report.metadata.evaluatedAt, '2025-12-31T23:59:59.000Z');
+    assert.strictEqual(report.metadata.engineVersion, '0.0.9');
+  });
+
+  it('should prefer explicit evaluatedAt over report metadata', () => {
+    const record = { ...toRecord(VECTORS[0]), evaluatedAt: '2030-01-01T00:00:00.000Z' };
+
+    const { differences } = replayRecord(record);
+
+    assert.deepStrictEqual(differences, [{
+      path: '$.metadata.evaluatedAt',
+      kind: 'changed',
+      expected: '2026-02-11T00:00:00.000Z',
+      actual: '2030-01-01T00:00:00.000Z'
+    }]);
+  });
+
+  it('should list changed fields for diverged decisions', () => {
+    const record = toRecord(VECTORS.find(v => v.id === 'v1-04-high-violation-cap'));
+    record.report.verdict.score = 85;
+    record.report.recommendedActions[0].type = 'ALLOW';
+
+    const result = replay([record]);
+
+    assert.strictEqual(result.diverged, 1);
+    assert.deepStrictEqual(result.results[0].differences.map(d => d.path), [
+      '$.recommendedActions[0].type',
+      '$.verdict.score'
+    ]);
+    assert.strictEqual(result.results[0].id, 'v1-04-high-violation-cap');
+  });
+
+  it('should reproduce enforce-mode reports including BLOCK', () => {
+    const v = VECTORS.find(x => x.id === 'v1-03-critical-violation-cap');
+    const record = toRecord(v);
+    record.enforce = true;
+    record.report.enforcement = { applied: true, actionTaken: 'BLOCK' };
+
+    assert.strictEqual(replayRecord(record).status, 'match');
+  });
+
+  it('should report invalid records as errors without stopping the batch', () => {
+    const broken = { ...toRecord(VECTORS[0]), capsule: { version: '1.0' } };
+
+    const result = replay([broken, { task: { id: 'x' } }, toRecord(VECTORS[1])]);
+
+    assert.deepStrictEqual(result.results.map(r => r.status), ['error', 'error', 'match']);
+    assert.match(result.results[0].error, /Invalid capsule/);
+    assert.match(result.results[1].error, /stored report/);
+  });
+
+  it('should replay plugin capsules with the same validators', () => {
+    const v = VECTORS[0];
+    const validators = { tone: () => ({ score: 40, signals: ['shouting'] }) };
+    const capsule = { ...v.capsule, plugins: { tone: { weight: 0.25 } } };
+    const engine = new GovernanceEngine({ capsule, validators, now: () => '2026-02-11T00:00:00.000Z' });
+    const record = { capsule, task: v.task, output: v.output, report: engine.evaluate({ task: v.task, output: v.output }) };
+
+    const withValidators = replay([record], { validators: new ValidatorRegistry().register('tone', validators.tone) });
+    const without = replayRecord(record);
+
+    assert.deepStrictEqual(withValidators.results.map(r => r.status), ['match']);
+    assert.strictEqual(without.status, 'error');
+    assert.match(without.error, /plugin "tone" is not registered/);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { main } from '../../src/cli/index.js';
+import { sealVectors } from '../../src/conformance/vectors.js';
+import { createIo } from './io.js';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const SUITE = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8'));
+
+describe('dgp conformance', () => {
+  it('should print diffs, write the result and exit 1 on mismatch', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-conformance-'));
+    const vectors = SUITE.vectors.slice(0, 2).map(v => structuredClone(v));
+    vectors[1].expected.verdict.score = 50;
+    fs.writeFileSync(path.join(dir, 'vectors.json'), JSON.stringify(sealVectors({ ...SUITE, vectors })));
+    const exec = `node ${JSON.stringify(path.join(ROOT, 'examples/conformance-adapter.js'))}`;
+    const io = createIo({ cwd: dir });
+
+    const code = await main(['conformance', '--exec', exec, '--vectors', 'vectors.json', '--out', 'result.json'], io);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(io.out, [
+      `DGP v1.0.0 conformance: ${exec}`,
+      '✔ v1-01-perfect-compliance',
+      '✗ v1-02-high-risk-escalation: 1 field(s) differ',
+      '    ~ $.verdict.score: 50 → 100',
+      '1/2 vectors passing — not conformant',
+      ''
+    ].join('\n'));
+    const written = JSON.parse(fs.readFileSync(path.join(dir, 'result.json'), 'utf8'));
+    assert.strictEqual(written.failed, 1);
+    assert.strictEqual(written.results[1].differences[0].path, '$.verdict.score');
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should exit 2 without --exec or with invalid --timeout', async () => {
+    const missing = createIo();
+    const badTimeout = createIo();
+
+    assert.strictEqual(await main(['conformance'], missing), 2);
+    assert.strictEqual(await main(['conformance', '--exec', 'x', '--timeout', 'soon'], badTimeout), 2);
+    assert.match(missing.err, /^dgp conformance: Usage: dgp conformance --exec/);
+    assert.match(badTimeout.err, /--timeout must be a positive integer/);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { main } from '../../src/cli/index.js';
+import { createIo } from './io.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const BIN = fileURLToPath(new URL('../../bin/dgp.js', import.meta.url));
+
+const vector = (id) => VECTORS.find(v => v.id.startsWith(id));
+
+describe('dgp evaluate', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-evaluate-'));
+    for (const v of VECTORS) {
+      const prefix = v.id.slice(0, 5);
+      fs.writeFileSync(path.join(dir, `${prefix}.capsule.json`), JSON.stringify(v.capsule));
+      fs.writeFileSync(path.join(dir, `${prefix}.task.json`), JSON.stringify(v.task));
+      fs.writeFileSync(path.join(dir, `${prefix}.output.txt`), v.output);
+      if (v.baseline) fs.writeFileSync(path.join(dir, `${prefix}.baseline.txt`), v.baseline);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  const evaluate = async (prefix, extra = [], stdin = '') => {
+    const io = createIo({ cwd: dir, stdin });
+    const code = await main([
+      'evaluate',
+      '--capsule', `${prefix}.capsule.json`,
+      '--task', `${prefix}.task.json`,
+      ...extra
+    ], io);
+    return { code, io };
+  };
+
+  it('should exit with a distinct code per action', async () => {
+    const codes = {};
+    for (const prefix of ['v1-01', 'v1-02', 'v1-03', 'v1-04']) {
+      const { code } = await evaluate(prefix, ['--output', `${prefix}.output.txt`]);
+      codes[prefix] = code;
+    }
+
+    assert.deepStrictEqual(codes, { 'v1-01': 0, 'v1-02': 11, 'v1-03': 12, 'v1-04': 10 });
+  });
+
+  it('should print the ComplianceReport as JSON', async () => {
+    const v = vector('v1-06');
+    const { code, io } = await evaluate('v1-06', ['--output', 'v1-06.output.txt', '--baseline', 'v1-06.baseline.txt', '--json']);
+    const report = JSON.parse(io.out);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(report.deltas, v.expected.deltas);
+    assert.deepStrictEqual(report.verdict, v.expected.verdict);
+  });
+
+  it('should read output from stdin and print a summary', async () => {
+    const v = vector('v1-04');
+    const { code, io } = await evaluate('v1-04', [], v.output);
+
+    assert.strictEqual(code, 10);
+    assert.strictEqual(io.out, [
+      'RETRY  score 79/80  non-compliant  confidence 0.75',
+      'task: api-endpoint (LOW)',
+      'reason: Scope drift detected - output should focus on GET endpoint only',
+      '',
+      'headers     coverage 100%',
+      'drift       70  incidents 2  signals: also, additionally',
+      'retry       100',
+      'escalation  required false  detected false  ok true',
+      '',
+      'violations:',
+      '  [HIGH] SEG_SCOPE_DRIFT: Output exceeds defined task scope with multiple drift incidents',
+      '      evidence: also; additionally',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render Markdown and annotated HTML with --format', async () => {
+    const markdown = await evaluate('v1-03', ['--output', 'v1-03.output.txt', '--format', 'markdown']);
+    const html = await evaluate('v1-04', ['--output', 'v1-04.output.txt', '--format', 'html']);
+    const conflict = await evaluate('v1-01', ['--output', 'v1-01.output.txt', '--json', '--format', 'html']);
+
+    assert.strictEqual(markdown.code, 12);
+    assert.match(markdown.io.out, /^### DGP governance: BLOCK \(49\/80, non-compliant\)\n/);
+    assert.strictEqual(html.code, 10);
+    assert.match(html.io.out, /<mark class="dgp-span dgp-high">also<\/mark>/);
+    assert.strictEqual(conflict.code, 2);
+  });
+
+  it('should export SARIF located in the output file and JUnit XML', async () => {
+    const sarif = await evaluate('v1-04', ['--output', 'v1-04.output.txt', '--format', 'sarif']);
+    const junit = await evaluate('v1-03', ['--output', 'v1-03.output.txt', '--format', 'junit']);
+    const [result] = JSON.parse(sarif.io.out).runs[0].results;
+
+    assert.strictEqual(sarif.code, 10);
+    assert.strictEqual(result.locations[0].physicalLocation.artifactLocation.uri, 'v1-04.output.txt');
+    assert.strictEqual(result.locations[0].physicalLocation.region.snippet.text, 'also');
+    assert.strictEqual(junit.code, 12);
+    assert.match(junit.io.out, /<testsuites name="dgp" tests="1" failures="1">/);
+  });
+
+  it('should accept inline task JSON', async () => {
+    const io = createIo({ cwd: dir, stdin: vector('v1-01').output });
+
+    const code = await main(['evaluate', '--capsule', 'v1-01.capsule.json', '--task', '{"id":"inline","risk":"LOW"}', '--json'], io);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(io.out).task, { id: 'inline', risk: 'LOW' });
+  });
+
+  it('should enforce task constraints and warn about unrecognized ones', async () => {
+    fs.writeFileSync(path.join(dir, 'v1-1.capsule.json'), JSON.stringify({ ...vector('v1-01').capsule, version: '1.1' }));
+    const io = createIo({ cwd: dir, stdin: vector('v1-01').output });
+    const badTask = createIo({ cwd: dir, stdin: 'x' });
+    const task = JSON.stringify({ id: 'inline', risk: 'LOW', constraints: ['must include section Rollback', 'Keep it short'] });
+
+    const code = await main(['evaluate', '--capsule', 'v1-1.capsule.json', '--task', task, '--json'], io);
+
+    assert.strictEqual(code, 10);
+    assert.deepStrictEqual(JSON.parse(io.out).verdict.violations.map(v => v.code), ['TASK_CONSTRAINT_VIOLATED']);
+    assert.strictEqual(io.err, 'warning: --task: $.task.constraints[1]: unrecognized constraint ignored: Keep it short\n');
+    assert.strictEqual(await main(['evaluate', '--capsule', 'v1-01.capsule.json', '--task', '{"id":"t","constraints":"x"}'], badTask), 2);
+    assert.match(badTask.err, /constraints must be an array of strings/);
+  });
+
+  it('should report malformed drift lexicons as usage errors', async () => {
+    const notArray = createIo({ cwd: dir, stdin: vector('v1-01').output });
+    const badEntry = createIo({ cwd: dir, stdin: vector('v1-01').output });
+
+    const notArrayCode = await main(['evaluate', '--capsule', 'v1-01.capsule.json', '--task', '{"id":"t1","driftLexicon":5}'], notArray);
+    const badEntryCode = await main(['evaluate', '--capsule', 'v1-01.capsule.json', '--task', '{"id":"t1","driftLexicon":[{"term":"(","match":"regex"}]}'], badEntry);
+
+    assert.strictEqual(notArrayCode, 2);
+    assert.strictEqual(notArray.err, 'dgp evaluate: Task driftLexicon must be an array\n');
+    assert.strictEqual(badEntryCode, 2);
+    assert.match(badEntry.err, /^dgp evaluate: Invalid task driftLexicon: \$\.task\.driftLexicon\[0\]: Drift lexicon entry "\(" has invalid regex/);
+  });
+
+  it('should load plugin validators from --validators', async () => {
+    fs.writeFileSync(path.join(dir, 'tone.capsule.json'), JSON.stringify({
+      ...vector('v1-01').capsule,
+      plugins: { tone: { weight: 0.5, severity: 'HIGH' } }
+    }));
+    fs.writeFileSync(path.join(dir, 'validators.mjs'), [
+      'export default {',
+      "  tone: (output) => output.includes('!') ? { score: 0, violations: [{ code: 'TONE_INFORMAL', message: 'Informal tone' }] } : { score: 100 }",
+      '};'
+    ].join('\n'));
+    const stdin = `${vector('v1-01').output}!`;
+    const args = ['evaluate', '--capsule', 'tone.capsule.json', '--task', '{"id":"t","risk":"LOW"}', '--json'];
+    const unregistered = createIo({ cwd: dir, stdin });
+    const missingModule = createIo({ cwd: dir, stdin });
+    const io = createIo({ cwd: dir, stdin });
+
+    assert.strictEqual(await main(args, unregistered), 2);
+    assert.strictEqual(
+      unregistered.err,
+      'dgp evaluate: tone.capsule.json: Capsule plugin "tone" is not registered (register plugin validators with --validators <module>)\n'
+    );
+    assert.strictEqual(await main([...args, '--validators', 'nope.mjs'], missingModule), 2);
+    assert.match(missingModule.err, /Cannot load validators from nope\.mjs: ERR_MODULE_NOT_FOUND/);
+    assert.strictEqual(await main([...args, '--validators', 'validators.mjs'], io), 10);
+    assert.deepStrictEqual(JSON.parse(io.out).verdict.violations.map(v => [v.code, v.severity]), [['TONE_INFORMAL', 'HIGH']]);
+  });
+
+  it('should accept DGP.md-shaped capsules and warn about unknown fields', async () => {
+    fs.writeFileSync(path.join(dir, 'dgp-md.capsule.json'), JSON.stringify({
+      capsule: { requiredHeading: ['Plan', 'Action'], owner: 'ops' }
+    }));
+    const io = createIo({ cwd: dir, stdin: 'Plan: list users\nAction: GET /users' });
+
+    const code = await main(['evaluate', '--capsule', 'dgp-md.capsule.json', '--task', '{"id":"t","risk":"LOW"}', '--json'], io);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(io.out).analysis.headers, { compliant: true, coverage: 1, missing: [], extra: [] });
+    assert.strictEqual(io.err, 'warning: dgp-md.capsule.json: $.capsule.owner: unknown field ignored\n');
+  });
+
+  it('should exit 2 for invalid inputs', async () => {
+    fs.writeFileSync(path.join(dir, 'typo.capsule.json'), JSON.stringify({ version: '1.0', governance: { SEG: { driftKeyword: [] } } }));
+
+    const missingTask = createIo({ cwd: dir });
+    const missingCapsule = createIo({ cwd: dir, stdin: 'x' });
+    const invalidJson = createIo({ cwd: dir, stdin: 'x' });
+    const badCapsule = createIo({ cwd: dir, stdin: 'x' });
+    const badTask = createIo({ cwd: dir, stdin: 'x' });
+    const emptyOutput = createIo({ cwd: dir });
+
+    assert.strictEqual(await main(['evaluate', '--capsule', 'v1-01.capsule.json'], missingTask), 2);
+    assert.strictEqual(await main(['evaluate', '--capsule', 'nope.json', '--task', '{"id":"t"}'], missingCapsule), 2);
+    assert.strictEqual(missingCapsule.err, 'dgp evaluate: Cannot read nope.json: ENOENT\n');
+    assert.strictEqual(await main(['evaluate', '--capsule', 'v1-01.output.txt', '--task', '{"id":"t"}'], invalidJson), 2);
+    assert.match(invalidJson.err, /v1-01\.output\.txt is not valid JSON/);
+    assert.strictEqual(await main(['evaluate', '--capsule', 'typo.capsule.json', '--task', '{"id":"t"}'], badCapsule), 2);
+    assert.match(badCapsule.err, /\$\.governance\.SEG\.driftKeyword: unknown property/);
+    assert.strictEqual(await main(['evaluate', '--capsule', 'v1-01.capsule.json', '--task', '{"risk":"LOW"}'], badTask), 2);
+    assert.strictEqual(await main(['evaluate', '--capsule', 'v1-01.capsule.json', '--task', '{"id":"t"}'], emptyOutput), 2);
+    assert.match(emptyOutput.err, /Output is empty/);
+  });
+
+  it('should run as an executable in a pipeline', () => {
+    const result = spawnSync(process.execPath, [BIN, 'evaluate', '--capsule', 'v1-03.capsule.json', '--task', 'v1-03.task.json', '--json'], {
+      cwd: dir,
+      input: vector('v1-03').output,
+      encoding: 'utf8'
+    });
+
+    assert.strictEqual(result.status, 12);
+    assert.strictEqual(JSON.parse(result.stdout).recommendedActions[0].type, 'BLOCK');
+  });
+});
@@ -0,0 +1,13 @@
+import { Readable } from 'node:stream';
+
+/**
+ * In-memory io for main(): captures stdout/stderr, feeds stdin
+ */
+export function createIo({ stdin = '', cwd } = {}) {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (s) => { io.out += s; } };
+  io.stderr = { write: (s) => { io.err += s; } };
+  io.stdin = Readable.from([stdin]);
+  io.cwd = cwd || process.cwd();
+  return io;
+}
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { main } from '../../src/cli/index.js';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { createIo } from './io.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+
+const toRecord = (v) => ({
+  id: v.id,
+  capsule: v.capsule,
+  task: v.task,
+  output: v.output,
+  baseline: v.baseline,
+  thresholds: v.thresholds,
+  report: structuredClone(v.expected)
+});
+
+describe('dgp replay', () => {
+  it('should exit 0 when all records reproduce', async () => {
+    const io = createIo({ stdin: VECTORS.map(v => JSON.stringify(toRecord(v))).join('\n') });
+
+    const code = await main(['replay', '-'], io);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(io.out, 'Replayed 8 record(s): 8 match, 0 diverged, 0 error(s)\n');
+  });
+
+  it('should exit 1 and print field diffs on divergence', async () => {
+    const record = toRecord(VECTORS[0]);
+    record.report.verdict.score = 90;
+    const io = createIo({ stdin: JSON.stringify([record]) });
+
+    const code = await main(['replay', '-'], io);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(io.out, [
+      'Replayed 1 record(s): 0 match, 1 diverged, 0 error(s)',
+      '✗ [0] v1-01-perfect-compliance task ui-button: 1 field(s) changed',
+      '    ~ $.verdict.score: 90 → 100',
+      ''
+    ].join('\n'));
+  });
+
+  it('should print and write JSON divergence reports', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-replay-'));
+    fs.writeFileSync(path.join(dir, 'records.json'), JSON.stringify(VECTORS.slice(0, 2).map(toRecord)));
+    const io = createIo({ cwd: dir });
+
+    const code = await main(['replay', 'records.json', '--json', '--out', 'divergence.json'], io);
+
+    assert.strictEqual(code, 0);
+    const printed = JSON.parse(io.out);
+    assert.strictEqual(printed.matched, 2);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'divergence.json'), 'utf8')), printed);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should replay plugin capsules with --validators', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-replay-'));
+    const v = VECTORS[0];
+    const capsule = { ...v.capsule, plugins: { tone: { weight: 0.5 } } };
+    const engine = new GovernanceEngine({ capsule, validators: { tone: () => ({ score: 0 }) }, now: () => '2026-02-11T00:00:00.000Z' });
+    const record = { id: 'tone', capsule, task: v.task, output: v.output, report: engine.evaluate({ task: v.task, output: v.output }) };
+    fs.writeFileSync(path.join(dir, 'records.json'), JSON.stringify([record]));
+    fs.writeFileSync(path.join(dir, 'validators.mjs'), 'export const validators = { tone: () => ({ score: 0 }) };\n');
+    const without = createIo({ cwd: dir });
+    const io = createIo({ cwd: dir });
+
+    assert.strictEqual(await main(['replay', 'records.json'], without), 1);
+    assert.match(without.out, /✗ \[0\] tone task ui-button: Capsule plugin "tone" is not registered/);
+    assert.strictEqual(await main(['replay', 'records.json', '--validators', 'validators.mjs'], io), 0);
+    assert.strictEqual(io.out, 'Replayed 1 record(s): 1 match, 0 diverged, 0 error(s)\n');
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should exit 2 on usage errors', async () => {
+    const missing = createIo();
+    const unknown = createIo();
+
+    assert.strictEqual(await main(['replay'], missing), 2);
+    assert.match(missing.err, /Usage: dgp replay/);
+    assert.strictEqual(await main(['replay', 'nope.jsonl'], unknown), 2);
+    assert.match(unknown.err, /Cannot read nope.jsonl: ENOENT/);
+  });
+
+  it('should reject unknown commands', async () => {
+    const io = createIo();
+
+    assert.strictEqual(await main(['frobnicate'], io), 2);
+    assert.match(io.err, /unknown command "frobnicate"/);
+  });
+});
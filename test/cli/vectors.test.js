@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { main } from '../../src/cli/index.js';
+import { verifyVectors } from '../../src/conformance/vectors.js';
+import { createIo } from './io.js';
+
+const RAW = fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8');
+const SUITE = JSON.parse(RAW);
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-vectors-'));
+}
+
+describe('dgp vectors', () => {
+  it('should verify the canonical vectors seal', async () => {
+    const io = createIo({ stdin: RAW });
+
+    const code = await main(['vectors', 'verify', '-'], io);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(io.out, `✔ -: sealed (sha256 ${SUITE.sha256})\n`);
+  });
+
+  it('should exit 1 on seal mismatch and re-seal in place', async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'vectors.json');
+    fs.writeFileSync(file, RAW.replace('"Create a simple button component"', '"Create a button"'));
+
+    const verifyIo = createIo({ cwd: dir });
+    assert.strictEqual(await main(['vectors', 'verify', 'vectors.json'], verifyIo), 1);
+    assert.match(verifyIo.out, /seal mismatch\n    declared: [0-9a-f]{64}\n    computed: [0-9a-f]{64}\n$/);
+
+    assert.strictEqual(await main(['vectors', 'seal', 'vectors.json'], createIo({ cwd: dir })), 0);
+    const resealed = fs.readFileSync(file, 'utf8');
+    assert.strictEqual(verifyVectors(JSON.parse(resealed)).valid, true);
+    // Only the seal line changes; hand formatting is preserved
+    assert.deepStrictEqual(
+      resealed.split('\n').filter(l => !l.includes('"sha256"')),
+      RAW.replace('"Create a simple button component"', '"Create a button"').split('\n').filter(l => !l.includes('"sha256"'))
+    );
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should create a new sealed vectors file from triples', async () => {
+    const dir = tempDir();
+    const { capsule, task, output } = SUITE.vectors[0];
+    const io = createIo({ cwd: dir, stdin: JSON.stringify({ id: 'v1_1-01-allow', capsule, task, output }) });
+
+    const code = await main(['vectors', 'add', '-', '--to', 'canonical-v1_1.json', '--version', '1.1.0'], io);
+
+    assert.strictEqual(code, 0);
+    const created = JSON.parse(fs.readFileSync(path.join(dir, 'canonical-v1_1.json'), 'utf8'));
+    assert.strictEqual(created.version, '1.1.0');
+    assert.strictEqual(created.frozen, false);
+    assert.strictEqual(created.vectors[0].expected.verdict.score, 100);
+    assert.strictEqual(verifyVectors(created).valid, true);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should exit 2 when adding to a frozen or missing file', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'canonical-v1.json'), RAW);
+    const triple = JSON.stringify(SUITE.vectors[0]);
+
+    const frozen = createIo({ cwd: dir, stdin: triple });
+    const missing = createIo({ cwd: dir, stdin: triple });
+
+    assert.strictEqual(await main(['vectors', 'add', '-', '--to', 'canonical-v1.json'], frozen), 2);
+    assert.strictEqual(await main(['vectors', 'add', '-', '--to', 'new.json'], missing), 2);
+    assert.match(frozen.err, /are frozen/);
+    assert.match(missing.err, /pass --version to create it/);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runConformance, buildRequest, VectorStatus } from '../../src/conformance/runConformance.js';
+import { sealVectors } from '../../src/conformance/vectors.js';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const ADAPTER = 'node examples/conformance-adapter.js';
+const SUITE = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8'));
+
+/**
+ * Write a sealed vectors file containing the given vectors into a temp dir
+ */
+function writeSuite(vectors, { seal = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-conformance-'));
+  const file = path.join(dir, 'vectors.json');
+  const suite = { ...SUITE, vectors };
+  fs.writeFileSync(file, JSON.stringify(seal ? sealVectors(suite) : suite));
+  return { dir, file };
+}
+
+describe('runConformance', () => {
+  it('should pass every vector with the reference adapter', async () => {
+    const result = await runConformance({ exec: ADAPTER, cwd: ROOT, now: () => '2026-02-11T00:00:00.000Z' });
+
+    assert.strictEqual(result.conformant, true);
+    assert.strictEqual(result.claim, 'DGP v1.0 Conformant');
+    assert.deepStrictEqual([result.total, result.passed, result.failed], [8, 8, 0]);
+    assert.strictEqual(result.generatedAt, '2026-02-11T00:00:00.000Z');
+    assert.strictEqual(result.vectors.sealed, true);
+    assert.strictEqual(result.vectors.sha256, SUITE.sha256);
+    assert(result.results.every(r => r.status === VectorStatus.PASS));
+  });
+
+  it('should report field-level differences', async () => {
+    const vector = structuredClone(SUITE.vectors[0]);
+    vector.expected.verdict.score = 90;
+    const { dir, file } = writeSuite([vector]);
+
+    const result = await runConformance({ exec: ADAPTER, cwd: ROOT, vectorsPath: file });
+
+    assert.strictEqual(result.conformant, false);
+    assert.strictEqual(result.claim, null);
+    assert.strictEqual(result.results[0].status, VectorStatus.FAIL);
+    assert.deepStrictEqual(result.results[0].differences, [
+      { path: '$.verdict.score', kind: 'changed', expected: 90, actual: 100 }
+    ]);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should record failing, malformed and hanging implementations as errors', async () => {
+    const { dir, file } = writeSuite([SUITE.vectors[0]]);
+
+    const crashed = await runConformance({ exec: 'echo boom >&2; exit 3', vectorsPath: file });
+    const garbage = await runConformance({ exec: 'echo nope', vectorsPath: file });
+    const hanging = await runConformance({ exec: 'sleep 5', vectorsPath: file, timeoutMs: 200 });
+
+    assert.strictEqual(crashed.results[0].status, VectorStatus.ERROR);
+    assert.strictEqual(crashed.results[0].error, 'exited with code 3: boom');
+    assert.match(garbage.results[0].error, /^stdout is not valid JSON/);
+    assert.strictEqual(hanging.results[0].error, 'timed out after 200ms');
+    assert.strictEqual(hanging.conformant, false);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should not be conformant when the vectors seal does not match', async () => {
+    const { dir, file } = writeSuite([SUITE.vectors[0]], { seal: false });
+
+    const result = await runConformance({ exec: ADAPTER, cwd: ROOT, vectorsPath: file });
+
+    assert.strictEqual(result.results[0].status, VectorStatus.PASS);
+    assert.strictEqual(result.vectors.sealed, false);
+    assert.strictEqual(result.vectors.declaredSha256, SUITE.sha256);
+    assert.strictEqual(result.conformant, false);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should send deterministic requests', () => {
+    const request = buildRequest(SUITE, SUITE.vectors[7]);
+
+    assert.strictEqual(request.vectorId, 'v1-08-custom-weights');
+    assert.strictEqual(request.now, '2026-02-11T00:00:00.000Z');
+    assert.strictEqual(request.engineVersion, '0.1.0');
+    assert.deepStrictEqual(request.thresholds, SUITE.vectors[7].thresholds);
+    assert.strictEqual(request.enforce, false);
+  });
+
+  it('should require exec command', async () => {
+    await assert.rejects(runConformance({}), /requires exec command/);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import {
+  computeVectorsHash,
+  verifyVectors,
+  sealVectors,
+  createVector,
+  addVectors,
+  createSuite
+} from '../../src/conformance/vectors.js';
+
+const SUITE = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8'));
+
+const toTriple = ({ id, description, capsule, task, output, baseline, thresholds }) =>
+  ({ id, description, capsule, task, output, baseline, thresholds });
+
+describe('vectors', () => {
+  it('should verify the sealed canonical v1 vectors', () => {
+    const { valid, declared, computed } = verifyVectors(SUITE);
+
+    assert.strictEqual(valid, true);
+    assert.strictEqual(declared, computed);
+  });
+
+  it('should detect edits to vectors and metadata', () => {
+    const edited = structuredClone(SUITE);
+    edited.vectors[3].expected.verdict.score = 80;
+    const redated = { ...SUITE, generatedAt: '2026-03-01T00:00:00.000Z' };
+
+    assert.strictEqual(verifyVectors(edited).valid, false);
+    assert.strictEqual(verifyVectors(redated).valid, false);
+    assert.strictEqual(verifyVectors(sealVectors(edited)).valid, true);
+  });
+
+  it('should hash independently of key order and formatting', () => {
+    const reordered = { vectors: SUITE.vectors, ...SUITE };
+
+    assert.strictEqual(computeVectorsHash(reordered), SUITE.sha256);
+    assert.strictEqual(computeVectorsHash(JSON.parse(JSON.stringify(SUITE))), SUITE.sha256);
+  });
+
+  it('should regenerate every canonical vector from its triple', () => {
+    for (const vector of SUITE.vectors) {
+      const created = createVector(toTriple(vector), { status: 'NORMATIVE' });
+      assert.deepStrictEqual(created, vector, vector.id);
+    }
+  });
+
+  it('should append candidate vectors to unfrozen suites', () => {
+    const suite = createSuite({ version: '1.1.0' });
+    const triple = { ...toTriple(SUITE.vectors[1]), id: 'v1_1-01-escalation' };
+
+    const updated = sealVectors(addVectors(suite, [triple], { now: () => '2026-10-01T00:00:00.000Z' }));
+
+    assert.strictEqual(updated.generatedAt, '2026-10-01T00:00:00.000Z');
+    assert.strictEqual(updated.vectors[0].status, 'CANDIDATE');
+    assert.deepStrictEqual(updated.vectors[0].expected, SUITE.vectors[1].expected);
+    assert.strictEqual(verifyVectors(updated).valid, true);
+    assert.throws(() => addVectors(updated, [triple]), /Duplicate vector id: v1_1-01-escalation/);
+  });
+
+  it('should refuse to modify frozen suites', () => {
+    assert.throws(() => addVectors(SUITE, [toTriple(SUITE.vectors[0])]), /v1\.0\.0 are frozen/);
+  });
+
+  it('should reject incomplete triples and non-semver versions', () => {
+    assert.throws(() => createVector({ id: 'x', task: {}, output: '' }), /requires capsule, task and output/);
+    assert.throws(() => createSuite({ version: '1.1' }), /must be semver/);
+  });
+});
@@ -22,6 +22,7 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { GovernanceEngine } from '../src/index.js';
+import { computeVectorsHash } from '../src/conformance/vectors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,6 +46,7 @@ function loadVectors() {
   assert.equal(json.frozen, true, 'canonical-v1.json must be marked frozen: true');
   assert.ok(Array.isArray(json.vectors), 'canonical-v1.json must include vectors[]');
   assert.ok(json.vectors.length >= 8, 'canonical-v1.json must include at least 8 normative vectors');
+  assert.equal(json.sha256, computeVectorsHash(json), 'canonical-v1.json sha256 seal must match its content (re-seal with `dgp vectors seal`)');
 
   return json.vectors.filter(v => v.status === 'NORMATIVE');
 }
@@ -0,0 +1,299 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Capsule } from '../../src/core/Capsule.js';
+import { CapsuleValidationError, ValidationError } from '../../src/core/errors.js';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+
+const validCapsule = () => ({
+  version: '1.0',
+  governance: {
+    RFE: { requiredHeaders: ['Plan', 'Action'] },
+    SEG: { driftKeywords: ['unrelated'] },
+    SPS: { riskThreshold: 'MEDIUM' },
+    FOP: { escalationTriggers: ['FOP'], requiredForHighRisk: true }
+  }
+});
+
+describe('Capsule', () => {
+  it('should accept a valid capsule', () => {
+    const capsule = new Capsule(validCapsule());
+
+    assert.strictEqual(capsule.version, '1.0');
+    assert.deepStrictEqual(capsule.governance.RFE.requiredHeaders, ['Plan', 'Action']);
+  });
+
+  it('should report typos with their JSON path', () => {
+    const data = validCapsule();
+    data.governance.SEG = { driftKeyword: ['unrelated'] };
+
+    const { valid, errors } = Capsule.validate(data);
+
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors, [
+      { path: '$.governance.SEG.driftKeyword', message: 'unknown property' }
+    ]);
+  });
+
+  it('should report every problem at once', () => {
+    const data = {
+      governance: {
+        RFE: { requiredHeaders: 'Plan' },
+        SPS: { riskThreshold: 'EXTREME' },
+        FOP: { requiredForHighRisk: 'yes' }
+      }
+    };
+
+    const { errors } = Capsule.validate(data);
+    const paths = errors.map(e => e.path);
+
+    assert.deepStrictEqual(paths, [
+      '$.version',
+      '$.governance.RFE.requiredHeaders',
+      '$.governance.SPS.riskThreshold',
+      '$.governance.FOP.requiredForHighRisk'
+    ]);
+  });
+
+  it('should report array item paths', () => {
+    const data = validCapsule();
+    data.governance.RFE.requiredHeaders = ['Plan', 42];
+
+    const { errors } = Capsule.validate(data);
+
+    assert.strictEqual(errors[0].path, '$.governance.RFE.requiredHeaders[1]');
+    assert.match(errors[0].message, /expected string, got number/);
+  });
+
+  it('should validate SPS risky operation entries', () => {
+    const data = validCapsule();
+    data.governance.SPS.riskyOperations = [
+      { id: 'terraform-destroy', severity: 'CRITICAL', patterns: ['terraform\\s+destroy'], scope: 'code' },
+      { id: 'wipe', severity: 'SEVERE', patterns: [] }
+    ];
+
+    const { errors } = Capsule.validate(data);
+
+    assert.deepStrictEqual(errors.map(e => e.path), [
+      '$.governance.SPS.riskyOperations[1].severity',
+      '$.governance.SPS.riskyOperations[1].patterns'
+    ]);
+  });
+
+  it('should throw CapsuleValidationError from constructor', () => {
+    assert.throws(() => new Capsule({ version: '1.0' }), (err) => {
+      assert(err instanceof CapsuleValidationError);
+      assert(err instanceof ValidationError);
+      assert.deepStrictEqual(err.errors, [{ path: '$.governance', message: 'required property missing' }]);
+      return true;
+    });
+  });
+
+  it('should deep-freeze and detach from the source object', () => {
+    const data = validCapsule();
+    const capsule = new Capsule(data);
+
+    data.governance.SEG.driftKeywords.push('mutated');
+
+    assert.deepStrictEqual(capsule.governance.SEG.driftKeywords, ['unrelated']);
+    assert(Object.isFrozen(capsule));
+    assert(Object.isFrozen(capsule.governance.SEG.driftKeywords));
+    assert.throws(() => { capsule.governance.SEG.driftKeywords.push('x'); }, TypeError);
+  });
+
+  it('should allow unknown top-level metadata', () => {
+    const data = { ...validCapsule(), id: 'compact', author: 'ops' };
+
+    assert.strictEqual(Capsule.validate(data).valid, true);
+  });
+
+  it('should load from file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-capsule-'));
+    const file = path.join(dir, 'capsule.json');
+    fs.writeFileSync(file, JSON.stringify(validCapsule()));
+
+    const capsule = await Capsule.load(file);
+
+    assert.strictEqual(capsule.source, file);
+    assert.deepStrictEqual(capsule.toJSON(), validCapsule());
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should report invalid JSON files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-capsule-'));
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{ "version": ');
+
+    await assert.rejects(Capsule.load(file), (err) => {
+      assert(err instanceof CapsuleValidationError);
+      assert.strictEqual(err.source, file);
+      assert.strictEqual(err.errors[0].path, '$');
+      return true;
+    });
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should pass Capsule instances through from()', () => {
+    const capsule = new Capsule(validCapsule());
+
+    assert.strictEqual(Capsule.from(capsule), capsule);
+  });
+
+  describe('DGP.md shape', () => {
+    const dgpMdCapsule = () => ({
+      capsule: {
+        riskProfile: 'MODERATE',
+        scopeGuardrails: {
+          allowedInScope: ['read operations', 'GET endpoints'],
+          forbiddenInScope: ['database writes', 'DELETE operations']
+        },
+        escalationRules: {
+          escalationRequired: false,
+          escalationLanguage: ['FOP', 'approval', 'founder']
+        },
+        requiredHeading: ['Plan', 'Action']
+      }
+    });
+
+    it('should map DGP.md fields onto governance blocks', () => {
+      const capsule = new Capsule(dgpMdCapsule());
+
+      assert.strictEqual(capsule.format, 'dgp-md');
+      assert.deepStrictEqual(capsule.warnings, []);
+      assert.deepStrictEqual(capsule.toJSON(), {
+        version: '1.0',
+        riskProfile: 'MEDIUM',
+        allowedInScope: ['read operations', 'GET endpoints'],
+        governance: {
+          RFE: { requiredHeaders: ['Plan', 'Action'] },
+          SEG: { driftKeywords: ['database writes', 'DELETE operations'] },
+          FOP: { escalationTriggers: ['FOP', 'approval', 'founder'], requiredForHighRisk: false }
+        }
+      });
+    });
+
+    it('should leave protocol-shaped capsules untouched', () => {
+      const capsule = new Capsule(validCapsule());
+
+      assert.strictEqual(capsule.format, 'governance');
+      assert.deepStrictEqual(capsule.toJSON(), validCapsule());
+      assert.deepStrictEqual(Capsule.normalize(validCapsule()).data, validCapsule());
+    });
+
+    it('should evaluate the same as the equivalent protocol capsule', () => {
+      const FIXED = { now: () => '2026-02-11T00:00:00.000Z', engineVersion: '0.1.0' };
+      const equivalent = new Capsule(dgpMdCapsule()).toJSON();
+      const input = {
+        task: { id: 'orders', risk: 'HIGH' },
+        output: 'Plan: add an index\nAction: run database writes against orders'
+      };
+
+      const fromDgpMd = new GovernanceEngine({ capsule: dgpMdCapsule(), ...FIXED }).evaluate(input);
+      const fromProtocol = new GovernanceEngine({ capsule: equivalent, ...FIXED }).evaluate(input);
+
+      assert.deepStrictEqual(fromDgpMd, fromProtocol);
+      assert.deepStrictEqual(fromDgpMd.analysis.drift.signals, ['database writes']);
+    });
+
+    it('should require escalation for HIGH and CRITICAL risk profiles', () => {
+      const high = new Capsule({ capsule: { riskProfile: 'HIGH', requiredHeading: 'Plan' } });
+      const declared = new Capsule({ capsule: { riskProfile: 'CRITICAL', escalationRules: { escalationRequired: false } } });
+
+      assert.deepStrictEqual(high.governance, { RFE: { requiredHeaders: ['Plan'] }, FOP: { requiredForHighRisk: true } });
+      assert.strictEqual(declared.governance.FOP.requiredForHighRisk, false);
+    });
+
+    it('should warn about fields it does not understand', () => {
+      const data = dgpMdCapsule();
+      data.capsule.owner = 'ops';
+      data.capsule.scopeGuardrails.maybeInScope = ['writes'];
+      data.signature = 'abc';
+
+      const { valid, warnings } = Capsule.validate(data);
+
+      assert.strictEqual(valid, true);
+      assert.deepStrictEqual(warnings, [
+        { path: '$.signature', message: 'unknown field ignored' },
+        { path: '$.capsule.owner', message: 'unknown field ignored' },
+        { path: '$.capsule.scopeGuardrails.maybeInScope', message: 'unknown field ignored' }
+      ]);
+    });
+
+    it('should let explicit governance win over mapped fields', () => {
+      const capsule = new Capsule({
+        version: '1.1',
+        requiredHeading: ['Plan'],
+        escalationRules: { escalationLanguage: ['approval'] },
+        governance: { RFE: { requiredHeaders: ['Summary'], strict: true } }
+      });
+
+      assert.deepStrictEqual(capsule.governance, {
+        RFE: { requiredHeaders: ['Summary'], strict: true },
+        FOP: { escalationTriggers: ['approval'] }
+      });
+      assert.deepStrictEqual(capsule.warnings, [
+        { path: '$.requiredHeading', message: 'ignored: governance.RFE.requiredHeaders is set' }
+      ]);
+    });
+
+    it('should keep the protocol fields of mixed-shape capsules', () => {
+      const protocol = {
+        version: '1.1',
+        riskProfile: 'HIGH',
+        allowedInScope: ['GET endpoints'],
+        owner: 'ops',
+        governance: { SEG: { driftKeywords: ['DELETE'] } }
+      };
+      const mixed = new Capsule({
+        ...protocol,
+        requiredHeading: ['Plan'],
+        scopeGuardrails: { allowedInScope: ['writes'] }
+      });
+
+      assert.strictEqual(new Capsule(protocol).format, 'governance');
+      assert.deepStrictEqual(new Capsule(protocol).toJSON(), protocol);
+      assert.strictEqual(mixed.format, 'dgp-md');
+      assert.deepStrictEqual(mixed.toJSON(), {
+        ...protocol,
+        governance: {
+          RFE: { requiredHeaders: ['Plan'] },
+          SEG: { driftKeywords: ['DELETE'] },
+          FOP: { requiredForHighRisk: true }
+        }
+      });
+      assert.deepStrictEqual(mixed.warnings, [
+        { path: '$.scopeGuardrails.allowedInScope', message: 'ignored: allowedInScope is set' }
+      ]);
+    });
+
+    it('should report mistyped DGP.md fields at their source path', () => {
+      const { errors } = Capsule.validate({
+        capsule: {
+          riskProfile: 'EXTREME',
+          requiredHeading: ['Plan', ''],
+          escalationRules: { escalationRequired: 'yes' },
+          scopeGuardrails: ['writes']
+        }
+      });
+
+      assert.deepStrictEqual(errors.map(e => e.path), [
+        '$.capsule.requiredHeading[1]',
+        '$.capsule.scopeGuardrails',
+        '$.capsule.escalationRules.escalationRequired',
+        '$.capsule.riskProfile'
+      ]);
+    });
+  });
+
+  it('should be validated by GovernanceEngine', () => {
+    const data = validCapsule();
+    data.governance.SEG = { driftKeyword: ['unrelated'] };
+
+    assert.throws(() => new GovernanceEngine({ capsule: data }), CapsuleValidationError);
+
+    const engine = new GovernanceEngine({ capsule: validCapsule() });
+    assert(engine.capsule instanceof Capsule);
+  });
+});
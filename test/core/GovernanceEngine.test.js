@@ -0,0 +1,614 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { GovernanceBlockedError, ConfigurationError, CapsuleValidationError, ValidationError } from '../../src/core/errors.js';
+import { ValidatorRegistry } from '../../src/core/ValidatorRegistry.js';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+
+const FIXED_ISO = '2026-02-11T00:00:00.000Z';
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+
+const capsule = {
+  version: '1.0',
+  governance: {
+    RFE: { requiredHeaders: ['Plan', 'Action'] },
+    SEG: { driftKeywords: ['unrelated'] },
+    SPS: { riskThreshold: 'MEDIUM' },
+    FOP: { escalationTriggers: ['FOP'], requiredForHighRisk: true }
+  }
+};
+
+describe('GovernanceEngine', () => {
+  describe('run()', () => {
+    it('should generate with the provider and evaluate the output', async () => {
+      const provider = new MockProvider({ responses: ['Plan: add button\nAction: done'] });
+      const engine = new GovernanceEngine({ capsule, provider, now: () => FIXED_ISO });
+      const task = { id: 'ui-button', description: 'Create a button', risk: 'LOW' };
+
+      const { output, report } = await engine.run(task);
+
+      assert.strictEqual(output, 'Plan: add button\nAction: done');
+      assert.deepStrictEqual(report, engine.evaluate({ task, output }));
+      assert.strictEqual(report.recommendedActions[0].type, 'ALLOW');
+    });
+
+    it('should send capsule rules and task constraints in the prompt', async () => {
+      const provider = new MockProvider({ responses: ['Plan: x\nAction: FOP escalation'] });
+      const engine = new GovernanceEngine({ capsule, provider });
+
+      await engine.run(
+        { id: 'release', description: 'Ship v2', risk: 'HIGH', constraints: ['Do not deploy until tests pass'] },
+        { instructions: 'Remove the unrelated section.' }
+      );
+
+      const { system, user } = provider.calls[0].prompt;
+      assert.match(system, /in order: Plan, Action/);
+      assert.match(system, /Out of scope: unrelated/);
+      assert.match(system, /requires founder oversight/);
+      assert.strictEqual(user, 'Task: Ship v2\nConstraints:\n- Do not deploy until tests pass\n\nRemove the unrelated section.');
+    });
+
+    it('should require a provider', async () => {
+      const engine = new GovernanceEngine({ capsule });
+
+      await assert.rejects(engine.run({ id: 't' }), /requires a provider/);
+    });
+  });
+
+  describe('enforce mode', () => {
+    const vector = (id) => VECTORS.find(v => v.id.startsWith(id));
+
+    const evaluateVector = (v, config = {}) => {
+      const engine = new GovernanceEngine({
+        capsule: v.capsule,
+        thresholds: v.thresholds,
+        now: () => FIXED_ISO,
+        engineVersion: '0.1.0',
+        ...config
+      });
+      return engine.evaluate({ task: v.task, output: v.output, baseline: v.baseline });
+    };
+
+    it('should leave analysis-mode reports byte-identical to canonical vectors', () => {
+      for (const v of VECTORS) {
+        const report = evaluateVector(v);
+        assert.strictEqual(JSON.stringify(report), JSON.stringify(v.expected), v.id);
+      }
+    });
+
+    it('should record ALLOW as not applied', () => {
+      const v = vector('v1-01');
+      const report = evaluateVector(v, { enforce: true });
+
+      assert.deepStrictEqual(report.enforcement, { applied: false });
+      const { enforcement, ...rest } = report;
+      assert.deepStrictEqual(rest, v.expected);
+    });
+
+    it('should run the ESCALATE handler and record the action', () => {
+      const calls = [];
+      const v = vector('v1-02');
+      const report = evaluateVector(v, {
+        enforce: true,
+        handlers: { ESCALATE: (r, ctx) => calls.push({ r, ctx }) }
+      });
+
+      assert.deepStrictEqual(report.enforcement, { applied: true, actionTaken: 'ESCALATE' });
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0].r, report);
+      assert.strictEqual(calls[0].ctx.output, v.output);
+    });
+
+    it('should run the RETRY handler and record the action', () => {
+      let handled = null;
+      const report = evaluateVector(vector('v1-04'), {
+        enforce: true,
+        handlers: { RETRY: (r) => { handled = r.recommendedActions[0].reason; } }
+      });
+
+      assert.deepStrictEqual(report.enforcement, { applied: true, actionTaken: 'RETRY' });
+      assert.strictEqual(handled, 'Scope drift detected - output should focus on GET endpoint only');
+    });
+
+    it('should throw GovernanceBlockedError on BLOCK after the handler runs', () => {
+      const seen = [];
+
+      assert.throws(
+        () => evaluateVector(vector('v1-03'), {
+          enforce: true,
+          handlers: { BLOCK: (r) => seen.push(r.enforcement) }
+        }),
+        (err) => {
+          assert(err instanceof GovernanceBlockedError);
+          assert.deepStrictEqual(err.report.enforcement, { applied: true, actionTaken: 'BLOCK' });
+          assert.strictEqual(err.violations[0].code, 'FOP_ESCALATION_MISSED');
+          return true;
+        }
+      );
+      assert.deepStrictEqual(seen, [{ applied: true, actionTaken: 'BLOCK' }]);
+    });
+
+    it('should reject run() when enforcement blocks', async () => {
+      const v = vector('v1-03');
+      const provider = new MockProvider({ responses: [v.output] });
+      const engine = new GovernanceEngine({ capsule: v.capsule, provider, enforce: true });
+
+      await assert.rejects(engine.run(v.task), GovernanceBlockedError);
+    });
+  });
+
+  describe('safety protocol (v1.1 extension)', () => {
+    const task = { id: 'cleanup', risk: 'LOW' };
+    const output = 'Plan: reclaim disk space\nAction:\n```bash\nrm -rf /var/cache/app\n```';
+
+    it('should not emit SPS_RISKY_OPERATION for v1.0 capsules', () => {
+      const report = new GovernanceEngine({ capsule }).evaluate({ task, output });
+
+      assert.strictEqual(report.analysis.safety, undefined);
+      assert.deepStrictEqual(report.verdict.violations, []);
+      assert.strictEqual(report.recommendedActions[0].type, 'ALLOW');
+    });
+
+    it('should block CRITICAL risky operations for v1.1 capsules', () => {
+      const engine = new GovernanceEngine({ capsule: { ...capsule, version: '1.1' } });
+
+      const report = engine.evaluate({ task, output });
+
+      assert.deepStrictEqual(report.analysis.safety, {
+        detected: true,
+        highestSeverity: 'CRITICAL',
+        operations: [{ id: 'rm-rf', severity: 'CRITICAL', occurrences: 1 }]
+      });
+      assert.deepStrictEqual(report.verdict.violations, [{
+        code: 'SPS_RISKY_OPERATION',
+        severity: 'CRITICAL',
+        message: 'Risky operation: Recursive forced file deletion (rm -rf)',
+        evidence: ['line 4 (code:bash): rm -rf /var/cache/app']
+      }]);
+      assert.strictEqual(report.verdict.score, 49);
+      assert.deepStrictEqual(report.recommendedActions[0], {
+        type: 'BLOCK',
+        priority: 'URGENT',
+        reason: 'CRITICAL violation: Risky operation requires review before execution'
+      });
+    });
+
+    it('should apply capsule-declared operations and riskThreshold', () => {
+      const engine = new GovernanceEngine({
+        capsule: {
+          version: '1.1',
+          governance: {
+            RFE: { requiredHeaders: ['Plan', 'Action'] },
+            SPS: {
+              riskThreshold: 'HIGH',
+              riskyOperations: [
+                { id: 'rm-rf', severity: 'HIGH', patterns: ['rm\\s+-rf'] },
+                { id: 'cache-flush', severity: 'LOW', patterns: ['flushall'] }
+              ]
+            }
+          }
+        }
+      });
+
+      const report = engine.evaluate({ task, output: `${output}\nredis-cli FLUSHALL` });
+
+      assert.deepStrictEqual(report.verdict.violations.map(v => [v.code, v.severity]), [['SPS_RISKY_OPERATION', 'HIGH']]);
+      assert.strictEqual(report.verdict.score, 79);
+      assert.strictEqual(report.recommendedActions[0].type, 'RETRY');
+      assert.strictEqual(report.recommendedActions[0].reason, 'Risky operation: rm-rf');
+    });
+  });
+
+  describe('extended retry pressure (RFE.retryPressure)', () => {
+    const task = { id: 'api-get', risk: 'LOW' };
+    const output = 'Plan: Should I add pagination? Do you want me to include auth?\nAction: return users from the';
+
+    it('should raise RETRY_PRESSURE_HIGH above the capsule threshold', () => {
+      const engine = new GovernanceEngine({
+        capsule: { ...capsule, governance: { ...capsule.governance, RFE: { requiredHeaders: ['Plan', 'Action'], retryPressure: { threshold: 0.6 } } } }
+      });
+
+      const report = engine.evaluate({ task, output });
+
+      assert.strictEqual(report.analysis.retryPressure.normalized, 0.8);
+      assert.deepStrictEqual(report.verdict.violations, [{
+        code: 'RETRY_PRESSURE_HIGH',
+        severity: 'HIGH',
+        message: 'Output ambiguous or incomplete (retry pressure 0.8 > 0.6)',
+        evidence: ['Plan: Should I add pagination?', 'Should I', 'Do you want me to include auth?', 'Action: return users from the']
+      }]);
+      assert.deepStrictEqual(report.recommendedActions[0], {
+        type: 'RETRY',
+        priority: 'MEDIUM',
+        reason: 'Output ambiguous or incomplete (retry pressure 0.8 > 0.6)'
+      });
+    });
+
+    it('should honour capsule penalties', () => {
+      const engine = new GovernanceEngine({
+        capsule: { ...capsule, governance: { ...capsule.governance, RFE: { requiredHeaders: ['Plan', 'Action'], retryPressure: { penalties: { question: 0, truncation: 0 } } } } }
+      });
+
+      const report = engine.evaluate({ task, output });
+
+      assert.strictEqual(report.analysis.retryPressure.normalized, 0.1);
+      assert.deepStrictEqual(report.verdict.violations, []);
+    });
+
+    it('should not raise RETRY_PRESSURE_HIGH without the opt-in', () => {
+      const report = new GovernanceEngine({ capsule }).evaluate({ task, output });
+
+      assert.strictEqual(report.analysis.retryPressure.normalized, 0.1);
+      assert.deepStrictEqual(report.verdict.violations, []);
+    });
+  });
+
+  describe('strict header schema (RFE.strict)', () => {
+    const strictCapsule = (rfe) => ({ ...capsule, governance: { ...capsule.governance, RFE: { requiredHeaders: ['Plan', 'Action'], strict: true, ...rfe } } });
+    const task = { id: 'api-get', risk: 'LOW' };
+
+    it('should raise HEADER_SCHEMA_EXTRA for unexpected headers', () => {
+      const report = new GovernanceEngine({ capsule: strictCapsule() }).evaluate({
+        task,
+        output: '## Plan\nFetch users\n## Action\nGET /users\n## Bonus Ideas\nAdd caching'
+      });
+
+      assert.deepStrictEqual(report.analysis.headers, { compliant: false, coverage: 1, missing: [], extra: ['Bonus Ideas'] });
+      assert.deepStrictEqual(report.verdict.violations, [{
+        code: 'HEADER_SCHEMA_EXTRA',
+        severity: 'HIGH',
+        message: 'Unexpected structured headers present (strict schema)',
+        evidence: ['Bonus Ideas']
+      }]);
+      assert.strictEqual(report.recommendedActions[0].type, 'RETRY');
+    });
+
+    it('should accept allowedExtraHeaders and require every header', () => {
+      const engine = new GovernanceEngine({ capsule: strictCapsule({ allowedExtraHeaders: ['Notes'] }) });
+
+      const allowed = engine.evaluate({ task, output: 'Plan: fetch\nAction: GET /users\nNotes: none' });
+      const partial = engine.evaluate({ task, output: 'Plan: fetch users' });
+
+      assert.deepStrictEqual(allowed.verdict.violations, []);
+      assert.deepStrictEqual(partial.verdict.violations.map(v => [v.code, v.evidence]), [['HEADER_SCHEMA_MISSING', ['Action']]]);
+    });
+  });
+
+  describe('section structure (RFE.structure)', () => {
+    it('should raise order, empty and duplicate section violations', () => {
+      const engine = new GovernanceEngine({
+        capsule: {
+          ...capsule,
+          governance: {
+            ...capsule.governance,
+            RFE: { requiredHeaders: ['Plan', 'Action'], structure: { ordered: true, minSectionLength: 1, unique: true } }
+          }
+        }
+      });
+
+      const report = engine.evaluate({ task: { id: 'api-get', risk: 'LOW' }, output: 'Action: GET /users\nPlan:\nAction: GET /users' });
+
+      assert.deepStrictEqual(report.verdict.violations.map(v => [v.code, v.severity, v.evidence]), [
+        ['HEADER_SECTION_EMPTY', 'HIGH', ['Plan (0 chars)']],
+        ['HEADER_ORDER_INVALID', 'MEDIUM', ['Plan (line 2) after Action (line 1)']],
+        ['HEADER_SECTION_DUPLICATE', 'MEDIUM', ['Action (lines 1, 3)']]
+      ]);
+      assert.strictEqual(report.analysis.headers.compliant, false);
+      assert.strictEqual(report.recommendedActions[0].reason, 'Required sections empty or below minimum length');
+    });
+  });
+
+  describe('context-aware drift (SEG.contextAware)', () => {
+    const awareCapsule = { ...capsule, governance: { ...capsule.governance, SEG: { driftKeywords: ['deploy'], contextAware: true } } };
+    const task = { id: 'api-get', risk: 'LOW' };
+
+    it('should not penalize refused actions', () => {
+      const output = 'Plan: add GET /users\nAction: implement handler. I will not deploy; deploy is out of scope.';
+
+      const plain = new GovernanceEngine({ capsule: { ...awareCapsule, governance: { ...awareCapsule.governance, SEG: { driftKeywords: ['deploy'] } } } }).evaluate({ task, output });
+      const aware = new GovernanceEngine({ capsule: awareCapsule }).evaluate({ task, output });
+
+      assert.strictEqual(plain.verdict.violations[0].code, 'SEG_SCOPE_DRIFT');
+      assert.deepStrictEqual(aware.analysis.drift, {
+        score: 100,
+        signals: [],
+        incidents: 0,
+        mentions: { affirmative: 0, negated: 2, hypothetical: 0, quoted: 0 }
+      });
+      assert.deepStrictEqual(aware.verdict.violations, []);
+    });
+
+    it('should show classifications in drift evidence', () => {
+      const output = 'Plan: add GET /users\nAction: deploy to staging, then deploy to prod. If needed I could deploy again.';
+
+      const report = new GovernanceEngine({ capsule: awareCapsule }).evaluate({ task, output });
+
+      assert.deepStrictEqual(report.verdict.violations[0].evidence, [
+        'deploy (line 2): affirmative',
+        'deploy (line 2): affirmative',
+        'deploy (line 2): hypothetical by "could"'
+      ]);
+    });
+  });
+
+  describe('drift lexicon entries', () => {
+    const lexiconCapsule = {
+      ...capsule,
+      governance: {
+        ...capsule.governance,
+        SEG: { driftKeywords: [{ term: 'tag', match: 'word' }, { term: 'deploy', match: 'stem', weight: 1.5 }] }
+      }
+    };
+    const task = { id: 'api-get', risk: 'LOW' };
+
+    it('should score weighted incidents from capsule entries', () => {
+      const report = new GovernanceEngine({ capsule: lexiconCapsule }).evaluate({
+        task,
+        output: 'Plan: stage the advantage\nAction: deployed the build'
+      });
+
+      assert.deepStrictEqual(report.analysis.drift, { score: 78, signals: ['deploy'], incidents: 1.5 });
+      assert.deepStrictEqual(report.verdict.violations, []);
+    });
+
+    it('should accept entries in task.driftLexicon and stream them', async () => {
+      const engine = new GovernanceEngine({ capsule, now: () => FIXED_ISO });
+      const lexiconTask = { ...task, driftLexicon: [{ term: 'deploy', match: 'stem', weight: 2 }] };
+      const output = 'Plan: GET /users\nAction: redeploy? No: deploying now';
+
+      const report = engine.evaluate({ task: lexiconTask, output });
+      const events = [];
+      for await (const event of engine.evaluateStream(['Plan: GET /users\nAction: rede', 'ploy? No: deplo', 'ying now'], { task: lexiconTask })) {
+        events.push(event);
+      }
+
+      assert.strictEqual(report.analysis.drift.incidents, 2);
+      assert.deepStrictEqual(events.map(e => e.state?.drift.incidents), [0, 0, 2, undefined]);
+      assert.deepStrictEqual(events.at(-1).report, report);
+      assert.match(engine.buildPrompt(lexiconTask).system, /Out of scope: deploy\./);
+    });
+
+    it('should reject malformed task.driftLexicon with ValidationError', () => {
+      const engine = new GovernanceEngine({ capsule });
+      const evaluate = (driftLexicon) => () => engine.evaluate({ task: { ...task, driftLexicon }, output: 'Plan: x\nAction: y' });
+
+      assert.throws(evaluate(5), (err) => {
+        assert(err instanceof ValidationError);
+        assert.deepStrictEqual(err.errors, [{ path: '$.task.driftLexicon', message: 'expected array' }]);
+        return true;
+      });
+      assert.throws(evaluate(['deploy', { term: 'x', weight: 0 }, { match: 'word' }]), (err) => {
+        assert(err instanceof ValidationError);
+        assert.deepStrictEqual(err.errors.map(e => e.path), ['$.task.driftLexicon[1]', '$.task.driftLexicon[2]']);
+        assert.match(err.message, /\$\.task\.driftLexicon\[1\]: Drift lexicon entry "x" requires a positive weight/);
+        return true;
+      });
+    });
+  });
+
+  describe('task constraints', () => {
+    const constraintCapsule = { ...capsule, version: '1.1' };
+    const output = 'Plan: GET /users\nAction: add the route, then deploy';
+
+    it('should report broken constraints as violations and unknown text as warnings', () => {
+      const engine = new GovernanceEngine({ capsule: constraintCapsule, now: () => FIXED_ISO });
+      const task = {
+        id: 'api-get',
+        risk: 'LOW',
+        constraints: ['must not mention deploy', 'must include section Plan', 'order: Action before Plan', 'Do not deploy until tests pass']
+      };
+
+      const report = engine.evaluate({ task, output });
+
+      assert.deepStrictEqual(report.analysis.constraints, { checked: 3, violated: 2, unrecognized: 1 });
+      assert.deepStrictEqual(report.verdict.violations, [
+        {
+          code: 'TASK_CONSTRAINT_VIOLATED',
+          severity: 'HIGH',
+          message: 'Task constraint violated: must not mention deploy',
+          evidence: ['line 2: deploy']
+        },
+        {
+          code: 'TASK_CONSTRAINT_VIOLATED',
+          severity: 'HIGH',
+          message: 'Task constraint violated: order: Action before Plan',
+          evidence: ['Plan (line 1) before Action (line 2)']
+        }
+      ]);
+      assert.strictEqual(report.verdict.score, 79);
+      assert.deepStrictEqual(report.recommendedActions[0], {
+        type: 'RETRY',
+        priority: 'MEDIUM',
+        reason: 'Task constraint violated: must not mention deploy'
+      });
+      assert.deepStrictEqual(report.warnings, [
+        { path: '$.task.constraints[3]', message: 'unrecognized constraint ignored: Do not deploy until tests pass' }
+      ]);
+    });
+
+    it('should locate offending occurrences with evidence spans', () => {
+      const engine = new GovernanceEngine({ capsule: constraintCapsule, evidenceSpans: true });
+
+      const { verdict } = engine.evaluate({ task: { id: 'api-get', constraints: ['must not mention deploy', 'must mention tests'] }, output });
+
+      assert.deepStrictEqual(verdict.violations.map(v => v.spans.map(s => [s.text, s.line, s.column])), [
+        [['deploy', 2, 29]],
+        []
+      ]);
+    });
+
+    it('should leave reports without constraints unchanged', () => {
+      const engine = new GovernanceEngine({ capsule: constraintCapsule, now: () => FIXED_ISO });
+
+      const report = engine.evaluate({ task: { id: 'api-get', risk: 'LOW', constraints: ['must mention users'] }, output });
+
+      assert.deepStrictEqual(report.analysis.constraints, { checked: 1, violated: 0, unrecognized: 0 });
+      assert.strictEqual('warnings' in report, false);
+      assert.strictEqual('constraints' in engine.evaluate({ task: { id: 'api-get', risk: 'LOW' }, output }).analysis, false);
+      assert.throws(() => engine.evaluate({ task: { id: 't', constraints: 'must mention users' }, output }), TypeError);
+    });
+
+    it('should not enforce constraints for v1.0 capsules', () => {
+      const engine = new GovernanceEngine({ capsule, now: () => FIXED_ISO });
+      const plain = engine.evaluate({ task: { id: 'api-get', risk: 'LOW' }, output });
+
+      const report = engine.evaluate({ task: { id: 'api-get', risk: 'LOW', constraints: ['must not mention deploy', 'Be brief'] }, output });
+
+      assert.deepStrictEqual(report.analysis, plain.analysis);
+      assert.deepStrictEqual(report.verdict, plain.verdict);
+      assert.strictEqual('warnings' in report, false);
+    });
+  });
+
+  describe('plugin validators', () => {
+    const task = { id: 'api-get', risk: 'LOW' };
+    const output = 'Plan: GET /users\nAction: add the route!!';
+    const validators = new ValidatorRegistry()
+      .register('tone', (text, { options }) => {
+        const shouts = (text.match(/!/g) || []).length;
+        return {
+          score: Math.max(0, 100 - shouts * options.penalty),
+          signals: shouts > 0 ? [`${shouts} exclamation marks`] : [],
+          violations: shouts > 0 ? [{ code: 'TONE_INFORMAL', message: 'Informal tone', evidence: ['!!'] }] : []
+        };
+      })
+      .register('citations', () => ({ score: 0, violations: [{ code: 'CITATION_MISSING', message: 'No citations', severity: 'HIGH' }] }));
+    const pluginCapsule = (plugins) => ({ ...capsule, plugins });
+
+    it('should weight plugin scores and apply capsule severities', () => {
+      const engine = new GovernanceEngine({
+        capsule: pluginCapsule({ tone: { weight: 0.2, severity: 'LOW', options: { penalty: 25 } } }),
+        validators,
+        now: () => FIXED_ISO
+      });
+
+      const report = engine.evaluate({ task, output });
+
+      assert.deepStrictEqual(report.analysis.plugins, { tone: { score: 50, signals: ['2 exclamation marks'] } });
+      assert.strictEqual(report.verdict.score, 90); // 100 × 0.8 + 50 × 0.2
+      assert.strictEqual(report.verdict.compliant, true);
+      assert.deepStrictEqual(report.verdict.violations, [
+        { code: 'TONE_INFORMAL', severity: 'LOW', message: 'Informal tone', evidence: ['!!'] }
+      ]);
+      assert.deepStrictEqual(report.metadata.weights, { headers: 0.2, drift: 0.24, retry: 0.16, escalation: 0.2, tone: 0.2 });
+    });
+
+    it('should block on CRITICAL plugin violations', () => {
+      const engine = new GovernanceEngine({
+        capsule: pluginCapsule({
+          tone: { options: { penalty: 0 } },
+          citations: { weight: 0.1, severities: { CITATION_MISSING: 'CRITICAL' } }
+        }),
+        validators
+      });
+
+      const { verdict, recommendedActions, metadata } = engine.evaluate({ task, output });
+
+      assert.deepStrictEqual(verdict.violations.map(v => [v.code, v.severity]), [
+        ['CITATION_MISSING', 'CRITICAL'],
+        ['TONE_INFORMAL', 'MEDIUM']
+      ]);
+      assert.strictEqual(verdict.score, 49);
+      assert.deepStrictEqual(recommendedActions[0], { type: 'BLOCK', priority: 'URGENT', reason: 'CRITICAL violation: No citations' });
+      assert.strictEqual(metadata.weights.tone, 0);
+    });
+
+    it('should keep built-in dimensions frozen without capsule plugins', () => {
+      for (const v of VECTORS) {
+        const engine = new GovernanceEngine({ capsule: v.capsule, thresholds: v.thresholds, validators, now: () => FIXED_ISO });
+
+        assert.deepStrictEqual(engine.evaluate({ task: v.task, output: v.output, baseline: v.baseline }), v.expected, v.id);
+      }
+    });
+
+    it('should keep plugins declared in DGP.md-shaped capsules', () => {
+      const tone = { tone: { weight: 0.2, options: { penalty: 25 } } };
+      const shapes = [
+        { ...pluginCapsule(tone), riskProfile: 'LOW' },
+        { capsule: { requiredHeading: ['Plan', 'Action'], plugins: tone } },
+        { ...pluginCapsule(tone), scopeGuardrails: { allowedInScope: ['GET endpoints'] } }
+      ];
+
+      for (const shape of shapes) {
+        const engine = new GovernanceEngine({ capsule: shape, validators });
+
+        assert.deepStrictEqual(engine.capsule.warnings, []);
+        assert.deepStrictEqual(engine.evaluate({ task, output }).analysis.plugins.tone.score, 50);
+      }
+    });
+
+    it('should reject unregistered plugins, weights reaching 1 and built-in codes', () => {
+      const reuse = new ValidatorRegistry().register('copycat', () => ({ score: 0, violations: [{ code: 'SEG_SCOPE_DRIFT', message: 'x' }] }));
+
+      assert.throws(() => new GovernanceEngine({ capsule: pluginCapsule({ tone: {} }) }), ConfigurationError);
+      assert.throws(
+        () => new GovernanceEngine({ capsule: pluginCapsule({ tone: { weight: 0.6 }, citations: { weight: 0.4 } }), validators }),
+        /Plugin weights must sum to less than 1/
+      );
+      assert.throws(() => new GovernanceEngine({ capsule: pluginCapsule({ tone: { severity: 'SEVERE' } }), validators }), CapsuleValidationError);
+      assert.throws(
+        () => new GovernanceEngine({ capsule: pluginCapsule({ copycat: {} }), validators: reuse }).evaluate({ task, output }),
+        /may not raise built-in violation SEG_SCOPE_DRIFT/
+      );
+    });
+  });
+
+  describe('evidence spans', () => {
+    const spansCapsule = {
+      version: '1.1',
+      governance: {
+        RFE: { requiredHeaders: ['Plan', 'Action'], retryPressure: { threshold: 0.1 } },
+        SEG: { driftKeywords: ['deploy', 'also'] },
+        FOP: { escalationTriggers: ['FOP'] }
+      }
+    };
+    const task = { id: 'api-get', risk: 'LOW' };
+    const output = 'Plan: GET /users\nAction: also deploy it with rm -rf dist. Should I tag it?';
+
+    it('should locate signals, triggers and violations', () => {
+      const engine = new GovernanceEngine({ capsule: spansCapsule, evidenceSpans: true, now: () => FIXED_ISO });
+
+      const { analysis, verdict } = engine.evaluate({ task, output });
+      const byCode = Object.fromEntries(verdict.violations.map(v => [v.code, v.spans]));
+
+      assert.deepStrictEqual(analysis.drift.spans, [
+        { keyword: 'also', start: 25, end: 29, line: 2, column: 9, text: 'also', excerpt: 'Action: also deploy it with rm -rf dist. Should I tag it?' },
+        { keyword: 'deploy', start: 30, end: 36, line: 2, column: 14, text: 'deploy', excerpt: 'Action: also deploy it with rm -rf dist. Should I tag it?' }
+      ]);
+      assert.deepStrictEqual(analysis.retryPressure.spans.map(s => [s.type, s.text, s.column]), [
+        ['uncertainty', 'Should I', 42],
+        ['question', 'Should I tag it?', 42]
+      ]);
+      assert.deepStrictEqual(analysis.escalation.spans, []);
+      assert.deepStrictEqual(Object.keys(byCode), ['SPS_RISKY_OPERATION', 'RETRY_PRESSURE_HIGH', 'SEG_SCOPE_DRIFT']);
+      assert.deepStrictEqual(byCode.SPS_RISKY_OPERATION.map(s => [s.operation, s.text, s.start]), [['rm-rf', 'rm -rf', 45]]);
+      assert.strictEqual(byCode.SEG_SCOPE_DRIFT, analysis.drift.spans);
+      assert.strictEqual(output.slice(45, 51), 'rm -rf');
+    });
+
+    it('should span header lines and leave absence violations empty', () => {
+      const engine = new GovernanceEngine({
+        capsule: { version: '1.0', governance: { RFE: { requiredHeaders: ['Plan', 'Action'], strict: true } } },
+        evidenceSpans: true
+      });
+
+      const { verdict } = engine.evaluate({ task, output: 'Plan: GET /users\n  ## Rollback  \nrevert' });
+      const byCode = Object.fromEntries(verdict.violations.map(v => [v.code, v.spans]));
+
+      assert.deepStrictEqual(byCode.HEADER_SCHEMA_MISSING, []);
+      assert.deepStrictEqual(byCode.HEADER_SCHEMA_EXTRA, [
+        { start: 19, end: 30, line: 2, column: 3, text: '## Rollback', excerpt: '## Rollback' }
+      ]);
+    });
+
+    it('should leave reports unchanged unless enabled', () => {
+      const plain = new GovernanceEngine({ capsule: spansCapsule, now: () => FIXED_ISO }).evaluate({ task, output });
+      const located = new GovernanceEngine({ capsule: spansCapsule, evidenceSpans: true, now: () => FIXED_ISO }).evaluate({ task, output });
+
+      const strip = (report) => JSON.parse(JSON.stringify(report, (key, value) => (key === 'spans' ? undefined : value)));
+      assert.deepStrictEqual(strip(located), plain);
+      assert.strictEqual(JSON.stringify(plain).includes('"spans"'), false);
+    });
+  });
+});
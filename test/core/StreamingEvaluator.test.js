@@ -0,0 +1,234 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { StreamingEvaluator } from '../../src/core/StreamingEvaluator.js';
+import { GovernanceBlockedError } from '../../src/core/errors.js';
+
+const FIXED_ISO = '2026-02-11T00:00:00.000Z';
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+
+const capsule = {
+  version: '1.0',
+  governance: {
+    RFE: { requiredHeaders: ['Plan', 'Action'] },
+    SEG: { driftKeywords: ['out-of-scope', 'unrelated'] },
+    SPS: { riskThreshold: 'MEDIUM' },
+    FOP: { escalationTriggers: ['FOP'], requiredForHighRisk: true }
+  }
+};
+const task = { id: 'api-get', risk: 'LOW' };
+
+function engineFor(vector, options = {}) {
+  return new GovernanceEngine({
+    capsule: vector.capsule,
+    thresholds: vector.thresholds || { compliance: 80 },
+    now: () => FIXED_ISO,
+    engineVersion: '0.1.0',
+    ...options
+  });
+}
+
+function split(text, size) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+}
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+}
+
+describe('StreamingEvaluator', () => {
+  it('should produce the one-shot report for every vector and chunk size', async () => {
+    for (const vector of VECTORS) {
+      for (const size of [1, 3, 7, 64]) {
+        const engine = engineFor(vector);
+        const events = await collect(engine.evaluateStream(split(vector.output, size), {
+          task: vector.task,
+          baseline: vector.baseline
+        }));
+        const final = events.at(-1);
+
+        assert.strictEqual(final.type, 'final');
+        assert.strictEqual(final.output, vector.output);
+        assert.deepStrictEqual(final.report, vector.expected, `${vector.id} @ ${size}`);
+      }
+    }
+  });
+
+  it('should keep running state equal to one-shot validators', () => {
+    for (const vector of VECTORS) {
+      const engine = engineFor(vector);
+      const stream = new StreamingEvaluator(engine, { task: vector.task });
+      split(vector.output, 5).forEach(chunk => stream.push(chunk));
+      stream.finish();
+
+      const { analysis } = vector.expected;
+      assert.strictEqual(stream.state.drift.incidents, analysis.drift.incidents, vector.id);
+      assert.deepStrictEqual(stream.state.drift.matches, analysis.drift.signals, vector.id);
+      assert.strictEqual(stream.state.escalation.detected, analysis.escalation.detected, vector.id);
+      assert.strictEqual(stream.state.retryPressure.normalized, analysis.retryPressure.normalized, vector.id);
+    }
+  });
+
+  it('should match keywords split across chunks', () => {
+    const stream = new StreamingEvaluator(new GovernanceEngine({ capsule }), { task });
+
+    const first = stream.push('Plan: also add out-of-');
+    const second = stream.push('scope caching');
+
+    assert.strictEqual(first.state.drift.incidents, 0);
+    assert.strictEqual(second.state.drift.incidents, 1);
+    assert.deepStrictEqual(second.state.drift.matches, ['out-of-scope']);
+    assert.strictEqual(second.report.analysis.drift.incidents, 1);
+  });
+
+  it('should defer placeholders until their word boundary is known', () => {
+    const stream = new StreamingEvaluator(new GovernanceEngine({ capsule }), { task });
+
+    assert.deepStrictEqual(stream.push('Plan: TODO').state.retryPressure.signals, []);
+    assert.deepStrictEqual(stream.push('S are listed').state.retryPressure.signals, []);
+    assert.deepStrictEqual(stream.push('. TBD').state.retryPressure.signals, []);
+    assert.deepStrictEqual(stream.push(' later').state.retryPressure.signals, ['TBD']);
+  });
+
+  it('should emit provisional reports after each chunk', async () => {
+    const engine = new GovernanceEngine({ capsule, now: () => FIXED_ISO });
+    const events = await collect(engine.evaluateStream(['Plan: fetch users\n', '', 'Action: GET /users'], { task }));
+
+    assert.deepStrictEqual(events.map(e => e.type), ['provisional', 'provisional', 'final']);
+    assert.deepStrictEqual(events.map(e => e.length), [18, 36, undefined]);
+    assert.deepStrictEqual(events[0].report.analysis.headers.missing, ['Action']);
+    assert.strictEqual(events[1].report.recommendedActions[0].type, 'ALLOW');
+  });
+
+  it('should abort on drift and stop reading the source', async () => {
+    let closed = false;
+    let pulled = 0;
+    async function* source() {
+      try {
+        for (const chunk of ['Plan: GET /users. ', 'Also unrel', 'ated billing, ', 'unrelated auth', ' and more']) {
+          pulled++;
+          yield chunk;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+
+    const engine = new GovernanceEngine({ capsule });
+    const events = await collect(engine.evaluateStream(source(), { task, abortOn: { driftIncidents: 2 } }));
+    const abort = events.at(-1);
+
+    assert.strictEqual(abort.type, 'abort');
+    assert.strictEqual(abort.reason, 'drift');
+    assert.strictEqual(abort.chunkIndex, 3);
+    assert.strictEqual(abort.state.drift.incidents, 2);
+    assert.strictEqual(pulled, 4);
+    assert.strictEqual(closed, true);
+  });
+
+  it('should abort on risky operations split across chunks', () => {
+    const stream = new StreamingEvaluator(new GovernanceEngine({ capsule }), {
+      task,
+      abortOn: { riskyOperations: ['rm -rf', 'DROP TABLE'] }
+    });
+
+    assert.strictEqual(stream.push('Action: run `drop ta').type, 'provisional');
+    const abort = stream.push('ble users`');
+
+    assert.strictEqual(abort.type, 'abort');
+    assert.strictEqual(abort.reason, 'risky-operation');
+    assert.deepStrictEqual(abort.state.riskyOperations, ['DROP TABLE']);
+    assert.throws(() => stream.push('more'), /closed/);
+  });
+
+  it('should match one-shot header and SPS results on every prefix', () => {
+    const extended = {
+      version: '1.1',
+      governance: {
+        RFE: {
+          requiredHeaders: ['Plan', 'Gates', 'Action'],
+          strict: true,
+          structure: { ordered: true, minSectionLength: 8, unique: true }
+        },
+        SPS: { riskThreshold: 'MEDIUM' },
+        FOP: { escalationTriggers: ['FOP'] }
+      }
+    };
+    const output = [
+      '## Plan\r',
+      'Clear the stale cache.',
+      '```text',
+      'Note: not a header',
+      '```',
+      '**Rollback:** none',
+      'Action: purge',
+      'Gates: review',
+      'Action: run',
+      '```bash',
+      'rm -rf /tmp/cache'
+    ].join('\n');
+
+    for (const { capsule: streamed, text } of [{ capsule: extended, text: output }, ...VECTORS.map(v => ({ capsule: v.capsule, text: v.output }))]) {
+      for (const size of [1, 4, 9]) {
+        const engine = new GovernanceEngine({ capsule: streamed, now: () => FIXED_ISO });
+        const stream = new StreamingEvaluator(engine, { task });
+        let prefix = '';
+        for (const chunk of split(text, size)) {
+          prefix += chunk;
+          const { type, report } = stream.push(chunk);
+          const expected = engine.evaluate({ task, output: prefix });
+          const lineCodes = (v) => v.code.startsWith('HEADER_') || v.code === 'SPS_RISKY_OPERATION';
+
+          assert.deepStrictEqual(report.analysis.headers, expected.analysis.headers, `${size}: ${JSON.stringify(prefix)}`);
+          assert.deepStrictEqual(report.analysis.safety, expected.analysis.safety, `${size}: ${JSON.stringify(prefix)}`);
+          assert.deepStrictEqual(report.verdict.violations.filter(lineCodes), expected.verdict.violations.filter(lineCodes));
+          if (type === 'abort') break;
+        }
+      }
+    }
+  });
+
+  it('should abort on operations from the SPS catalogue of v1.1 capsules', () => {
+    const extended = { ...capsule, version: '1.1' };
+    const stream = new StreamingEvaluator(new GovernanceEngine({ capsule: extended }), { task });
+    const legacy = new StreamingEvaluator(new GovernanceEngine({ capsule }), { task });
+
+    assert.strictEqual(stream.push('Plan: prune\nAction: run `DROP TA').type, 'provisional');
+    const abort = stream.push('BLE users`');
+
+    assert.strictEqual(abort.type, 'abort');
+    assert.strictEqual(abort.reason, 'risky-operation');
+    assert.deepStrictEqual(abort.state.riskyOperations, ['drop-table']);
+    assert.strictEqual(legacy.push('Plan: prune\nAction: run `DROP TABLE users`').type, 'provisional');
+  });
+
+  it('should decode UTF-8 bytes split inside a character', async () => {
+    const vector = VECTORS[0];
+    const bytes = new TextEncoder().encode(vector.output);
+    const chunks = [bytes.subarray(0, 1), bytes.subarray(1, 2), bytes.subarray(2)];
+
+    const events = await collect(engineFor(vector).evaluateStream(chunks, { task: vector.task }));
+
+    assert.deepStrictEqual(events.at(-1).report, vector.expected);
+  });
+
+  it('should apply enforcement to the final report', async () => {
+    const vector = VECTORS.find(v => v.id === 'v1-03-critical-violation-cap');
+    const engine = engineFor(vector, { enforce: true });
+
+    await assert.rejects(collect(engine.evaluateStream(split(vector.output, 10), { task: vector.task })), GovernanceBlockedError);
+  });
+
+  it('should reject empty streams and invalid chunks', async () => {
+    const engine = new GovernanceEngine({ capsule });
+
+    await assert.rejects(collect(engine.evaluateStream([], { task })), /Output must be non-empty string/);
+    assert.throws(() => new StreamingEvaluator(engine, { task }).push(42), /strings or Uint8Array/);
+    assert.throws(() => new StreamingEvaluator(engine, {}), /Task must include id field/);
+  });
+});
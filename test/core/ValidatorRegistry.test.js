@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ValidatorRegistry } from '../../src/core/ValidatorRegistry.js';
+import { ConfigurationError } from '../../src/core/errors.js';
+
+describe('ValidatorRegistry', () => {
+  it('should register functions and validate() objects by name', () => {
+    const citations = {
+      description: 'Citation presence',
+      pattern: /\[\d+\]/g,
+      validate(output) {
+        const found = output.match(this.pattern) || [];
+        return { score: found.length > 0 ? 100 : 0, signals: found };
+      }
+    };
+    const registry = new ValidatorRegistry()
+      .register('tone', () => ({ score: 87.6 }))
+      .register('citation-presence', citations);
+
+    assert.deepStrictEqual(registry.names(), ['tone', 'citation-presence']);
+    assert.deepStrictEqual(registry.run('tone', 'x', {}), { score: 88, signals: [], violations: [] });
+    assert.deepStrictEqual(registry.run('citation-presence', 'See [1] and [2]', {}).signals, ['[1]', '[2]']);
+    assert.strictEqual(registry.unregister('tone'), true);
+    assert.strictEqual(registry.has('tone'), false);
+    assert.strictEqual(ValidatorRegistry.from(registry), registry);
+    assert.deepStrictEqual(ValidatorRegistry.from({ tone: () => ({ score: 1 }) }).names(), ['tone']);
+  });
+
+  it('should reject invalid, built-in and duplicate names', () => {
+    const registry = new ValidatorRegistry().register('tone', () => ({ score: 1 }));
+
+    assert.throws(() => registry.register('Tone', () => ({})), ConfigurationError);
+    assert.throws(() => registry.register('drift', () => ({})), /built-in dimension/);
+    assert.throws(() => registry.register('tone', () => ({})), /already registered/);
+    assert.throws(() => registry.register('json', {}), TypeError);
+    assert.throws(() => registry.run('missing', 'x', {}), /not registered/);
+  });
+
+  it('should check results against the plugin contract', () => {
+    const registry = ValidatorRegistry.from({
+      async: async () => ({ score: 1 }),
+      range: () => ({ score: 101 }),
+      code: () => ({ score: 1, violations: [{ code: 'tone-bad', message: 'x' }] }),
+      severity: () => ({ score: 1, violations: [{ code: 'TONE', message: 'x', severity: 'SEVERE' }] }),
+      ok: () => ({ score: 50, violations: [{ code: 'TONE_INFORMAL', message: 'Informal tone', severity: 'LOW' }] })
+    });
+
+    assert.throws(() => registry.run('async', 'x', {}), /must be synchronous/);
+    assert.throws(() => registry.run('range', 'x', {}), /score between 0 and 100/);
+    assert.throws(() => registry.run('code', 'x', {}), /violations\[0\]\.code must be UPPER_SNAKE_CASE/);
+    assert.throws(() => registry.run('severity', 'x', {}), /severity must be one of/);
+    assert.deepStrictEqual(registry.run('ok', 'x', {}).violations, [
+      { code: 'TONE_INFORMAL', message: 'Informal tone', evidence: [], severity: 'LOW' }
+    ]);
+  });
+});
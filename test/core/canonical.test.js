@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { canonicalJson, sha256Hex } from '../../src/core/canonical.js';
+import { Capsule } from '../../src/core/Capsule.js';
+
+describe('canonicalJson', () => {
+  it('should sort keys at every depth without whitespace', () => {
+    assert.strictEqual(
+      canonicalJson({ b: 1, a: [2, { d: 3, c: 4 }], e: undefined }),
+      '{"a":[2,{"c":4,"d":3}],"b":1}'
+    );
+  });
+
+  it('should be independent of key insertion order', () => {
+    assert.strictEqual(canonicalJson({ x: 1, y: { q: 1, p: 2 } }), canonicalJson({ y: { p: 2, q: 1 }, x: 1 }));
+  });
+
+  it('should serialize Capsule instances as their data', () => {
+    const data = { version: '1.0', governance: { SEG: { driftKeywords: ['a'] } } };
+
+    assert.strictEqual(canonicalJson(new Capsule(data)), canonicalJson(data));
+  });
+
+  it('should hash UTF-8 with SHA-256', () => {
+    assert.strictEqual(sha256Hex('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
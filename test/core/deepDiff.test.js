@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { deepDiff, formatDiff } from '../../src/core/deepDiff.js';
+
+describe('deepDiff', () => {
+  it('should return no differences for equal values', () => {
+    assert.deepStrictEqual(deepDiff({ a: [1, { b: null }] }, { a: [1, { b: null }] }), []);
+  });
+
+  it('should report changed, added and removed fields with JSON paths', () => {
+    const expected = { verdict: { score: 79, violations: [{ code: 'A' }, { code: 'B' }] }, deltas: null };
+    const actual = { verdict: { score: 80, violations: [{ code: 'A' }] }, enforcement: { applied: false } };
+
+    assert.deepStrictEqual(deepDiff(expected, actual), [
+      { path: '$.deltas', kind: 'removed', expected: null },
+      { path: '$.enforcement', kind: 'added', actual: { applied: false } },
+      { path: '$.verdict.score', kind: 'changed', expected: 79, actual: 80 },
+      { path: '$.verdict.violations[1]', kind: 'removed', expected: { code: 'B' } }
+    ]);
+  });
+
+  it('should treat type changes as changed leaves', () => {
+    assert.deepStrictEqual(deepDiff({ a: [1] }, { a: { 0: 1 } }), [
+      { path: '$.a', kind: 'changed', expected: [1], actual: { 0: 1 } }
+    ]);
+  });
+
+  it('should format one line per difference', () => {
+    const text = formatDiff(deepDiff({ a: 1, b: 2 }, { a: 3, c: 4 }));
+
+    assert.strictEqual(text, '~ $.a: 1 → 3\n- $.b: 2\n+ $.c: 4');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { aggregateReports } from '../../src/core/evaluateBatch.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const capsule = VECTORS[0].capsule;
+
+// Actual actions under this capsule: ALLOW, ESCALATE, BLOCK, ALLOW, ALLOW, ALLOW, ALLOW, ALLOW
+const LABELS = ['ALLOW', 'ESCALATE', 'ESCALATE', 'RETRY', 'ESCALATE', undefined, 'ALLOW', 'ALLOW'];
+
+function labelledItems() {
+  return VECTORS.map((v, i) => ({ task: v.task, output: v.output, baseline: v.baseline, expectedAction: LABELS[i] }));
+}
+
+describe('evaluateBatch', () => {
+  it('should return every report in input order', () => {
+    const engine = new GovernanceEngine({ capsule, now: () => '2026-02-11T00:00:00.000Z', engineVersion: '0.1.0' });
+
+    const { total, reports } = engine.evaluateBatch(labelledItems());
+
+    assert.strictEqual(total, 8);
+    assert.deepStrictEqual(reports[0], VECTORS[0].expected);
+    assert.deepStrictEqual(reports[2], VECTORS[2].expected);
+  });
+
+  it('should aggregate actions, scores and violation codes', () => {
+    const { aggregates } = new GovernanceEngine({ capsule }).evaluateBatch(labelledItems());
+
+    assert.deepStrictEqual(aggregates.actions, { ALLOW: 6, RETRY: 0, ESCALATE: 1, BLOCK: 1 });
+    assert.deepStrictEqual(aggregates.scores.histogram.map(b => b.count), [0, 0, 0, 0, 1, 0, 0, 0, 2, 5]);
+    assert.deepStrictEqual(aggregates.scores.histogram.at(-1), { min: 90, max: 100, count: 5 });
+    assert.deepStrictEqual([aggregates.scores.min, aggregates.scores.max, aggregates.scores.mean], [49, 100, 89.13]);
+    assert.deepStrictEqual(aggregates.violations, { FOP_ESCALATION_MISSED: 1 });
+  });
+
+  it('should score escalation against labelled expectedAction', () => {
+    const { aggregates } = new GovernanceEngine({ capsule }).evaluateBatch(labelledItems());
+
+    assert.deepStrictEqual(aggregates.escalation, {
+      labelled: 7,
+      truePositives: 1,
+      falsePositives: 0,
+      falseNegatives: 2,
+      precision: 100,
+      recall: 33
+    });
+  });
+
+  it('should build an expected × actual confusion matrix', () => {
+    const { aggregates } = new GovernanceEngine({ capsule }).evaluateBatch(labelledItems());
+    const { matrix, labelled, accuracy, labels } = aggregates.confusion;
+
+    assert.deepStrictEqual(labels, ['ALLOW', 'RETRY', 'ESCALATE', 'BLOCK']);
+    assert.deepStrictEqual(matrix.ALLOW, { ALLOW: 3, RETRY: 0, ESCALATE: 0, BLOCK: 0 });
+    assert.deepStrictEqual(matrix.RETRY, { ALLOW: 1, RETRY: 0, ESCALATE: 0, BLOCK: 0 });
+    assert.deepStrictEqual(matrix.ESCALATE, { ALLOW: 1, RETRY: 0, ESCALATE: 1, BLOCK: 1 });
+    assert.deepStrictEqual(matrix.BLOCK, { ALLOW: 0, RETRY: 0, ESCALATE: 0, BLOCK: 0 });
+    assert.strictEqual(labelled, 7);
+    assert.strictEqual(accuracy, 57);
+  });
+
+  it('should include blocked reports in enforce mode', () => {
+    const blocked = [];
+    const engine = new GovernanceEngine({ capsule, enforce: true, handlers: { BLOCK: (report) => blocked.push(report) } });
+
+    const { reports, aggregates } = engine.evaluateBatch(labelledItems());
+
+    assert.strictEqual(blocked.length, 1);
+    assert.strictEqual(reports[2], blocked[0]);
+    assert.strictEqual(aggregates.actions.BLOCK, 1);
+  });
+
+  it('should report null rates without labels', () => {
+    const { aggregates } = new GovernanceEngine({ capsule }).evaluateBatch([{ task: VECTORS[0].task, output: VECTORS[0].output }]);
+
+    assert.strictEqual(aggregates.escalation.precision, null);
+    assert.strictEqual(aggregates.escalation.recall, null);
+    assert.strictEqual(aggregates.confusion.accuracy, null);
+    assert.deepStrictEqual(aggregateReports([]).scores, { histogram: aggregates.scores.histogram.map(b => ({ ...b, count: 0 })), min: null, max: null, mean: null });
+  });
+
+  it('should name the index of invalid items', () => {
+    const engine = new GovernanceEngine({ capsule });
+
+    assert.throws(() => engine.evaluateBatch([{ task: VECTORS[0].task, output: 'x' }, { task: {}, output: 'x' }]), /^TypeError: Item 1: Task must include id field$/);
+    assert.throws(() => engine.evaluateBatch([{ task: VECTORS[0].task, output: 'x', expectedAction: 'DENY' }]), /Item 0: expectedAction must be one of/);
+    assert.throws(() => engine.evaluateBatch('nope'), /requires an array/);
+  });
+});
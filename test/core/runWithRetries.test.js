@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { buildRemediation } from '../../src/core/runWithRetries.js';
+import { GovernanceBlockedError } from '../../src/core/errors.js';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+
+const capsule = {
+  version: '1.0',
+  governance: {
+    RFE: { requiredHeaders: ['Plan', 'Action'] },
+    SEG: { driftKeywords: ['also', 'additionally'] },
+    SPS: { riskThreshold: 'MEDIUM' },
+    FOP: { escalationTriggers: ['FOP'], requiredForHighRisk: true }
+  }
+};
+
+const DRIFTING = 'Plan: add GET endpoint and also PUT and additionally DELETE\nAction: created all three';
+const CLEAN = 'Plan: add GET endpoint\nAction: created GET /users/:id';
+const ESCALATED = 'Plan: migrate schema\nAction: FOP escalation, awaiting approval';
+const UNESCALATED = 'Plan: migrate schema\nAction: ran the migration';
+
+const task = { id: 'api-endpoint', description: 'Create GET /users/:id', risk: 'LOW' };
+
+describe('runWithRetries', () => {
+  it('should stop on ALLOW after feeding remediation back', async () => {
+    const engine = new GovernanceEngine({ capsule });
+    const outputs = [DRIFTING, CLEAN];
+    const calls = [];
+
+    const result = await engine.runWithRetries({
+      task,
+      generate: async (ctx) => { calls.push(ctx); return outputs[ctx.attempt - 1]; }
+    });
+
+    assert.strictEqual(result.status, 'ALLOW');
+    assert.strictEqual(result.output, CLEAN);
+    assert.strictEqual(result.attempts.length, 2);
+    assert.strictEqual(result.attempts[0].report.recommendedActions[0].type, 'RETRY');
+
+    // Second attempt receives remediation and previous output
+    assert.strictEqual(calls[0].instructions, null);
+    assert.match(calls[1].instructions, /SEG_SCOPE_DRIFT/);
+    assert.match(calls[1].instructions, /evidence: also, additionally/);
+    assert.strictEqual(calls[1].previousOutput, DRIFTING);
+    assert.strictEqual(calls[1].previousReport, result.attempts[0].report);
+
+    // Previous output is the baseline for deltas
+    assert.deepStrictEqual(result.report.deltas, { driftReduction: 100, retryReduction: 0 });
+  });
+
+  it('should report EXHAUSTED when every attempt needs RETRY', async () => {
+    const engine = new GovernanceEngine({ capsule });
+
+    const result = await engine.runWithRetries({ task, generate: async () => DRIFTING, maxAttempts: 2 });
+
+    assert.strictEqual(result.status, 'EXHAUSTED');
+    assert.strictEqual(result.attempts.length, 2);
+    assert.strictEqual(result.report, result.attempts[1].report);
+  });
+
+  it('should stop on ESCALATE and BLOCK without retrying', async () => {
+    const engine = new GovernanceEngine({ capsule });
+    const highRisk = { id: 'migration', risk: 'HIGH', requiresEscalation: true };
+
+    const escalated = await engine.runWithRetries({ task: highRisk, generate: async () => ESCALATED });
+    const blocked = await engine.runWithRetries({ task: highRisk, generate: async () => UNESCALATED });
+
+    assert.strictEqual(escalated.status, 'ESCALATE');
+    assert.strictEqual(escalated.attempts.length, 1);
+    assert.strictEqual(blocked.status, 'BLOCK');
+    assert.strictEqual(blocked.attempts.length, 1);
+  });
+
+  it('should attach history to GovernanceBlockedError in enforce mode', async () => {
+    const engine = new GovernanceEngine({ capsule, enforce: true });
+
+    await assert.rejects(
+      engine.runWithRetries({
+        task: { id: 'migration', risk: 'HIGH', requiresEscalation: true },
+        generate: async () => UNESCALATED
+      }),
+      (err) => {
+        assert(err instanceof GovernanceBlockedError);
+        assert.strictEqual(err.attempts.length, 1);
+        return true;
+      }
+    );
+  });
+
+  it('should default to the engine provider', async () => {
+    const provider = new MockProvider({ responses: [DRIFTING, CLEAN] });
+    const engine = new GovernanceEngine({ capsule, provider });
+
+    const result = await engine.runWithRetries({ task });
+
+    assert.strictEqual(result.status, 'ALLOW');
+    assert.match(provider.calls[1].prompt.user, /Fix these violations:/);
+  });
+
+  it('should validate options', async () => {
+    const engine = new GovernanceEngine({ capsule });
+
+    await assert.rejects(engine.runWithRetries({ task: {} }), /Task must include id/);
+    await assert.rejects(engine.runWithRetries({ task, generate: async () => CLEAN, maxAttempts: 0 }), /positive integer/);
+    await assert.rejects(engine.runWithRetries({ task }), /requires a generate function/);
+  });
+
+  it('should build deterministic remediation text', () => {
+    const engine = new GovernanceEngine({ capsule });
+    const report = engine.evaluate({ task, output: 'Maybe also do X, additionally Y. TODO' });
+
+    assert.strictEqual(
+      buildRemediation(report),
+      [
+        'Your previous output was rejected by governance review (score 60, threshold 80).',
+        'Reason: Required structured headers missing (Plan/Gates/Action/Logs)',
+        'Fix these violations:',
+        '- [HIGH] HEADER_SCHEMA_MISSING: Required structured headers missing (Plan/Gates/Action/Logs) (evidence: Plan, Action)',
+        '- [HIGH] SEG_SCOPE_DRIFT: Output exceeds defined task scope with multiple drift incidents (evidence: also, additionally)',
+        'Also address:',
+        '- Add the missing sections: Plan, Action',
+        '- Remove out-of-scope content: also, additionally',
+        '- Resolve uncertain or placeholder wording: Maybe, TODO',
+        'Regenerate the complete output.'
+      ].join('\n')
+    );
+  });
+});
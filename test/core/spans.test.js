@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { toSpan, lineSpan } from '../../src/core/spans.js';
+
+describe('spans', () => {
+  it('should locate a span by offset, line and column', () => {
+    const output = 'Plan: ok\r\nAction: deploy now';
+
+    assert.deepStrictEqual(toSpan(output, 18, 24), {
+      start: 18, end: 24, line: 2, column: 9, text: 'deploy', excerpt: 'Action: deploy now'
+    });
+    assert.deepStrictEqual(toSpan(output, 0, 4), {
+      start: 0, end: 4, line: 1, column: 1, text: 'Plan', excerpt: 'Plan: ok'
+    });
+  });
+
+  it('should clamp offsets to the output', () => {
+    const span = toSpan('abc', 2, 10);
+
+    assert.deepStrictEqual([span.start, span.end, span.text], [2, 3, 'c']);
+  });
+
+  it('should window long lines around the match', () => {
+    const output = `${'a'.repeat(100)} deploy ${'b'.repeat(100)}`;
+
+    const { excerpt } = toSpan(output, 101, 107);
+
+    assert.strictEqual(excerpt, `…${'a'.repeat(36)} deploy ${'b'.repeat(36)}…`);
+  });
+
+  it('should span a line without surrounding whitespace', () => {
+    assert.deepStrictEqual(lineSpan('one\n   ## Two  \nthree', 2), {
+      start: 7, end: 13, line: 2, column: 4, text: '## Two', excerpt: '## Two'
+    });
+  });
+});
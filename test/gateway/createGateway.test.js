@@ -0,0 +1,201 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createGateway, CapsuleDirectory } from '../../src/gateway/index.js';
+import { ValidatorRegistry } from '../../src/core/ValidatorRegistry.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const [perfect, escalation] = VECTORS;
+
+const FIXED = { now: () => '2026-02-11T00:00:00.000Z', engineVersion: '0.1.0' };
+
+/**
+ * Start a gateway on an ephemeral port
+ */
+function startGateway(options) {
+  const server = http.createServer(createGateway({ ...FIXED, ...options }));
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function stopGateway({ server }) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+function post(baseUrl, route, body, headers = {}) {
+  return fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+describe('createGateway', () => {
+  let dir;
+  let gateway;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-gateway-'));
+    fs.writeFileSync(path.join(dir, 'ui.json'), JSON.stringify(perfect.capsule));
+    fs.writeFileSync(path.join(dir, 'pricing.json'), JSON.stringify(escalation.capsule));
+    fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ version: '1.0' }));
+    fs.writeFileSync(path.join(dir, 'tone.json'), JSON.stringify({ ...perfect.capsule, plugins: { tone: { weight: 0.2 } } }));
+    gateway = await startGateway({ capsuleDir: dir, maxBodyBytes: 4096, maxBatchItems: 2 });
+  });
+
+  after(async () => {
+    await stopGateway(gateway);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should report health', async () => {
+    const res = await fetch(`${gateway.baseUrl}/health`);
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { status: 'ok', protocol: 'DGP', version: '1.0', engineVersion: '0.1.0' });
+  });
+
+  it('should evaluate against a capsule loaded by id', async () => {
+    const res = await post(gateway.baseUrl, '/evaluate', { capsuleId: 'ui', task: perfect.task, output: perfect.output });
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/json/);
+    assert.deepStrictEqual(await res.json(), perfect.expected);
+  });
+
+  it('should evaluate batches with a default capsule id', async () => {
+    const res = await post(gateway.baseUrl, '/evaluate/batch', {
+      capsuleId: 'ui',
+      items: [
+        { task: perfect.task, output: perfect.output },
+        { capsuleId: 'pricing', task: escalation.task, output: escalation.output }
+      ]
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { reports: [perfect.expected, escalation.expected] });
+  });
+
+  it('should reject oversized bodies and batches with 413', async () => {
+    const big = await post(gateway.baseUrl, '/evaluate', { capsuleId: 'ui', task: perfect.task, output: 'x'.repeat(5000) });
+    const batch = await post(gateway.baseUrl, '/evaluate/batch', { capsuleId: 'ui', items: [{}, {}, {}] });
+
+    assert.strictEqual(big.status, 413);
+    assert.strictEqual((await big.json()).error.code, 'PAYLOAD_TOO_LARGE');
+    assert.strictEqual(batch.status, 413);
+    assert.strictEqual((await batch.json()).error.code, 'BATCH_TOO_LARGE');
+  });
+
+  it('should reject oversized chunked bodies without content-length', async () => {
+    const { port } = new URL(gateway.baseUrl);
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request({ port, host: '127.0.0.1', method: 'POST', path: '/evaluate', headers: { 'content-type': 'application/json' } }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.write('{"output":"' + 'x'.repeat(3000));
+      req.write('x'.repeat(3000) + '"}');
+      req.end();
+    });
+
+    assert.strictEqual(status, 413);
+  });
+
+  it('should map request errors to JSON error responses', async () => {
+    const cases = [
+      [await post(gateway.baseUrl, '/evaluate', '{nope'), 400, 'INVALID_JSON'],
+      [await post(gateway.baseUrl, '/evaluate', { capsuleId: 'ui', task: {}, output: 'x' }), 400, 'INVALID_REQUEST'],
+      [await post(gateway.baseUrl, '/evaluate', { task: perfect.task, output: 'x' }), 400, 'INVALID_REQUEST'],
+      [await post(gateway.baseUrl, '/evaluate', { capsule: perfect.capsule, task: perfect.task, output: 'x' }), 400, 'INLINE_CAPSULE_REFUSED'],
+      [await post(gateway.baseUrl, '/evaluate', { capsuleId: 'missing', task: perfect.task, output: 'x' }), 404, 'CAPSULE_NOT_FOUND'],
+      [await post(gateway.baseUrl, '/evaluate', { capsuleId: '../ui', task: perfect.task, output: 'x' }), 404, 'CAPSULE_NOT_FOUND'],
+      [await post(gateway.baseUrl, '/evaluate', { capsuleId: 'broken', task: perfect.task, output: 'x' }), 500, 'CAPSULE_INVALID'],
+      [await post(gateway.baseUrl, '/evaluate', 'output=x', { 'content-type': 'text/plain' }), 415, 'UNSUPPORTED_MEDIA_TYPE'],
+      [await fetch(`${gateway.baseUrl}/evaluate`), 405, 'METHOD_NOT_ALLOWED'],
+      [await fetch(`${gateway.baseUrl}/nowhere`), 404, 'NOT_FOUND']
+    ];
+
+    for (const [res, status, code] of cases) {
+      assert.strictEqual(res.status, status, code);
+      assert.strictEqual((await res.json()).error.code, code);
+    }
+  });
+
+  it('should report the failing batch item index', async () => {
+    const res = await post(gateway.baseUrl, '/evaluate/batch', {
+      items: [{ capsuleId: 'ui', task: perfect.task, output: perfect.output }, { capsuleId: 'ui', task: perfect.task }]
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual((await res.json()).error, { code: 'INVALID_REQUEST', message: 'Output must be non-empty string', index: 1 });
+  });
+
+  it('should accept inline capsules only when allowed', async () => {
+    const inline = await startGateway({ allowInlineCapsules: true });
+    try {
+      const ok = await post(inline.baseUrl, '/evaluate', { capsule: perfect.capsule, task: perfect.task, output: perfect.output });
+      const invalid = await post(inline.baseUrl, '/evaluate', { capsule: { version: '1.0' }, task: perfect.task, output: 'x' });
+
+      assert.deepStrictEqual(await ok.json(), perfect.expected);
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual((await invalid.json()).error.code, 'CAPSULE_INVALID');
+    } finally {
+      await stopGateway(inline);
+    }
+  });
+
+  it('should run capsule plugins with registered validators', async () => {
+    const validators = new ValidatorRegistry().register('tone', () => ({ score: 50, signals: ['shouting'] }));
+    const withRegistry = await startGateway({ capsuleDir: dir, validators });
+    const inlineOnly = await startGateway({ allowInlineCapsules: true });
+    try {
+      const ok = await post(withRegistry.baseUrl, '/evaluate', { capsuleId: 'tone', task: perfect.task, output: perfect.output });
+      const missing = await post(gateway.baseUrl, '/evaluate', { capsuleId: 'tone', task: perfect.task, output: perfect.output });
+      const inline = await post(inlineOnly.baseUrl, '/evaluate', {
+        capsule: { ...perfect.capsule, plugins: { tone: {} } },
+        task: perfect.task,
+        output: perfect.output
+      });
+
+      assert.strictEqual(ok.status, 200);
+      assert.deepStrictEqual((await ok.json()).analysis.plugins, { tone: { score: 50, signals: ['shouting'] } });
+      assert.strictEqual(missing.status, 400);
+      assert.deepStrictEqual(await missing.json(), {
+        error: { code: 'CAPSULE_INVALID', message: 'Capsule tone: Capsule plugin "tone" is not registered' }
+      });
+      assert.strictEqual(inline.status, 400);
+      assert.strictEqual((await inline.json()).error.code, 'CAPSULE_INVALID');
+    } finally {
+      await stopGateway(withRegistry);
+      await stopGateway(inlineOnly);
+    }
+  });
+
+  it('should require a capsule source', () => {
+    assert.throws(() => createGateway(), /requires capsuleDir, capsules or allowInlineCapsules/);
+  });
+});
+
+describe('CapsuleDirectory', () => {
+  it('should list, load and cache capsules by id', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dgp-capsules-'));
+    fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify(perfect.capsule));
+    fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(escalation.capsule));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+    const capsules = new CapsuleDirectory(dir);
+
+    assert.deepStrictEqual(await capsules.list(), ['a', 'b']);
+    assert.strictEqual(await capsules.get('a'), await capsules.get('a'));
+    assert.strictEqual(await capsules.get('missing'), null);
+    await assert.rejects(capsules.get('../a'), /Invalid capsule id/);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import { governanceMiddleware } from '../../src/gateway/index.js';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const critical = VECTORS.find(v => v.id === 'v1-03-critical-violation-cap');
+
+/**
+ * Minimal res.json() stand-in recording what was sent
+ */
+function fakeResponse() {
+  const res = { sent: null };
+  res.json = (body) => { res.sent = body; return res; };
+  return res;
+}
+
+describe('governanceMiddleware', () => {
+  it('should attach governance to JSON responses carrying output', () => {
+    const middleware = governanceMiddleware({ capsule: critical.capsule });
+    const req = { body: { task: critical.task } };
+    const res = fakeResponse();
+    let nextCalled = false;
+
+    middleware(req, res, () => { nextCalled = true; });
+    res.json({ output: critical.output, model: 'stub' });
+
+    assert.strictEqual(nextCalled, true);
+    assert.deepStrictEqual(res.sent, {
+      output: critical.output,
+      model: 'stub',
+      governance: { action: 'BLOCK', score: 49, compliant: false, violations: ['FOP_ESCALATION_MISSED'] }
+    });
+    assert.strictEqual(res.governance, res.sent.governance);
+  });
+
+  it('should pass through bodies without output', () => {
+    const middleware = governanceMiddleware({ capsule: critical.capsule });
+    const res = fakeResponse();
+
+    middleware({ body: {} }, res, () => {});
+    res.json({ error: 'upstream failed' });
+
+    assert.deepStrictEqual(res.sent, { error: 'upstream failed' });
+  });
+
+  it('should run capsule plugins with the given validators', () => {
+    const capsule = { ...critical.capsule, plugins: { tone: { weight: 0.1, severity: 'LOW' } } };
+    const validators = { tone: () => ({ score: 0, violations: [{ code: 'TONE_INFORMAL', message: 'Informal tone' }] }) };
+    const middleware = governanceMiddleware({ capsule, validators, task: critical.task });
+    const res = fakeResponse();
+
+    middleware({}, res, () => {});
+    res.json({ output: critical.output });
+
+    assert.deepStrictEqual(res.sent.governance.violations, ['FOP_ESCALATION_MISSED', 'TONE_INFORMAL']);
+    assert.throws(() => governanceMiddleware({ capsule }), /plugin "tone" is not registered/);
+  });
+
+  it('should support task functions, custom output and full reports', () => {
+    const engine = new GovernanceEngine({ capsule: critical.capsule, now: () => '2026-02-11T00:00:00.000Z', engineVersion: '0.1.0' });
+    const middleware = governanceMiddleware({
+      engine,
+      task: () => critical.task,
+      getOutput: (body) => body.choices[0].text,
+      includeReport: true
+    });
+    const res = fakeResponse();
+
+    middleware({}, res, () => {});
+    res.json({ choices: [{ text: critical.output }] });
+
+    assert.deepStrictEqual(res.sent.governance.report, critical.expected);
+  });
+
+  it('should install res.json on plain node:http responses', async () => {
+    const middleware = governanceMiddleware({ capsule: critical.capsule, task: critical.task });
+    const server = http.createServer((req, res) => {
+      middleware(req, res, () => res.json({ output: critical.output }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+      const body = await res.json();
+
+      assert.strictEqual(res.headers.get('content-type'), 'application/json; charset=utf-8');
+      assert.strictEqual(body.governance.action, 'BLOCK');
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+
+describe('MockProvider', () => {
+  it('should return scripted responses in order and repeat the last', async () => {
+    const provider = new MockProvider({ responses: ['first', 'second'] });
+
+    assert.strictEqual((await provider.generate('a')).text, 'first');
+    assert.strictEqual((await provider.generate('b')).text, 'second');
+    assert.strictEqual((await provider.generate('c')).text, 'second');
+    assert.strictEqual(provider.calls.length, 3);
+    assert.deepStrictEqual(provider.calls[0].prompt, { user: 'a' });
+  });
+
+  it('should delegate to respond function', async () => {
+    const provider = new MockProvider({
+      respond: (prompt, callIndex) => `${callIndex}: ${prompt.user}`
+    });
+
+    const result = await provider.generate({ system: 's', user: 'task' });
+
+    assert.strictEqual(result.text, '0: task');
+    assert.strictEqual(result.provider, 'mock');
+  });
+
+  it('should throw without responses', () => {
+    assert.throws(() => new MockProvider({}), /requires responses array or respond function/);
+  });
+});
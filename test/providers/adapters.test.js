@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import {
+  OpenAIProvider,
+  AnthropicProvider,
+  GeminiProvider,
+  ProviderError
+} from '../../src/providers/index.js';
+
+/**
+ * Local stub server: records requests, replies with the next queued response.
+ */
+function startStub() {
+  const stub = { requests: [], replies: [] };
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, json } = stub.replies.shift();
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+}
+
+const prompt = { system: 'Use Plan/Action headers', user: 'Plan the release' };
+
+describe('Provider adapters', () => {
+  let stub;
+
+  before(async () => { stub = await startStub(); });
+  after(() => new Promise(resolve => stub.server.close(resolve)));
+
+  it('should call OpenAI chat completions', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseUrl: stub.baseUrl });
+    stub.replies.push({
+      json: {
+        choices: [{ message: { role: 'assistant', content: 'Plan: ship it' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4 }
+      }
+    });
+
+    const result = await provider.generate(prompt);
+    const request = stub.requests.at(-1);
+
+    assert.strictEqual(request.url, '/v1/chat/completions');
+    assert.strictEqual(request.headers.authorization, 'Bearer sk-test');
+    assert.deepStrictEqual(request.body.messages, [
+      { role: 'system', content: 'Use Plan/Action headers' },
+      { role: 'user', content: 'Plan the release' }
+    ]);
+    assert.strictEqual(request.body.model, 'gpt-4o-mini');
+    assert.strictEqual(result.text, 'Plan: ship it');
+    assert.deepStrictEqual(result.usage, { inputTokens: 12, outputTokens: 4 });
+  });
+
+  it('should call Anthropic messages', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'ak-test', baseUrl: stub.baseUrl, maxTokens: 256 });
+    stub.replies.push({
+      json: {
+        content: [{ type: 'text', text: 'Plan: ' }, { type: 'text', text: 'escalate' }],
+        usage: { input_tokens: 10, output_tokens: 3 }
+      }
+    });
+
+    const result = await provider.generate(prompt);
+    const request = stub.requests.at(-1);
+
+    assert.strictEqual(request.url, '/v1/messages');
+    assert.strictEqual(request.headers['x-api-key'], 'ak-test');
+    assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(request.body.system, 'Use Plan/Action headers');
+    assert.strictEqual(request.body.max_tokens, 256);
+    assert.deepStrictEqual(request.body.messages, [{ role: 'user', content: 'Plan the release' }]);
+    assert.strictEqual(result.text, 'Plan: escalate');
+    assert.deepStrictEqual(result.usage, { inputTokens: 10, outputTokens: 3 });
+  });
+
+  it('should call Gemini generateContent', async () => {
+    const provider = new GeminiProvider({ apiKey: 'g-test', baseUrl: stub.baseUrl });
+    stub.replies.push({
+      json: {
+        candidates: [{ content: { parts: [{ text: 'Plan: review' }] } }],
+        usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 2 }
+      }
+    });
+
+    const result = await provider.generate(prompt);
+    const request = stub.requests.at(-1);
+
+    assert.strictEqual(request.url, '/v1beta/models/gemini-2.0-flash:generateContent');
+    assert.strictEqual(request.headers['x-goog-api-key'], 'g-test');
+    assert.deepStrictEqual(request.body.systemInstruction, { parts: [{ text: 'Use Plan/Action headers' }] });
+    assert.deepStrictEqual(request.body.contents, [{ role: 'user', parts: [{ text: 'Plan the release' }] }]);
+    assert.strictEqual(result.text, 'Plan: review');
+  });
+
+  it('should accept a bare string prompt', async () => {
+    const provider = new OpenAIProvider({ baseUrl: stub.baseUrl });
+    stub.replies.push({ json: { choices: [{ message: { content: 'ok' } }] } });
+
+    await provider.generate('Just the task');
+
+    assert.deepStrictEqual(stub.requests.at(-1).body.messages, [{ role: 'user', content: 'Just the task' }]);
+  });
+
+  it('should raise ProviderError on HTTP errors', async () => {
+    const provider = new OpenAIProvider({ baseUrl: stub.baseUrl });
+    stub.replies.push({ status: 429, json: { error: { message: 'rate limited' } } });
+
+    await assert.rejects(provider.generate(prompt), (err) => {
+      assert(err instanceof ProviderError);
+      assert.strictEqual(err.status, 429);
+      assert.strictEqual(err.provider, 'openai');
+      assert.match(err.message, /rate limited/);
+      return true;
+    });
+  });
+
+  it('should raise ProviderError on empty output', async () => {
+    const provider = new AnthropicProvider({ baseUrl: stub.baseUrl });
+    stub.replies.push({ json: { content: [] } });
+
+    await assert.rejects(provider.generate(prompt), /no text output/);
+  });
+
+  it('should raise ProviderError on network failure', async () => {
+    const provider = new GeminiProvider({
+      fetch: async () => { throw new Error('ECONNREFUSED'); }
+    });
+
+    await assert.rejects(provider.generate(prompt), (err) => {
+      assert(err instanceof ProviderError);
+      assert.match(err.message, /ECONNREFUSED/);
+      return true;
+    });
+  });
+});
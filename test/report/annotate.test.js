@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { annotateOutput } from '../../src/report/annotate.js';
+
+const capsule = {
+  version: '1.1',
+  governance: {
+    RFE: { requiredHeaders: ['Plan', 'Action'] },
+    SEG: { driftKeywords: ['deploy', 'also'] }
+  }
+};
+const task = { id: 'api-get', risk: 'LOW' };
+const output = 'Plan: maybe GET <users>\nAction: also deploy & rm -rf dist. Should I deploy?';
+
+const evaluate = (options = {}) =>
+  new GovernanceEngine({ capsule, evidenceSpans: true, now: () => '2026-02-11T00:00:00.000Z', ...options })
+    .evaluate({ task, output });
+
+describe('annotateOutput', () => {
+  it('should render ANSI with severity styles, markers and a legend', () => {
+    const text = annotateOutput(output, evaluate());
+
+    assert.strictEqual(text, [
+      'Plan: \x1b[4mmaybe\x1b[0m\x1b[2m[1]\x1b[0m GET <users>',
+      'Action: \x1b[1;31malso\x1b[0m\x1b[2m[2]\x1b[0m \x1b[1;31mdeploy\x1b[0m\x1b[2m[3]\x1b[0m & ' +
+        '\x1b[1;97;41mrm -rf\x1b[0m\x1b[2m[4]\x1b[0m dist. \x1b[4mShould I\x1b[0m\x1b[2m[5]\x1b[0m ' +
+        '\x1b[1;31mdeploy\x1b[0m\x1b[2m[6]\x1b[0m?',
+      '',
+      '\x1b[4m[1]\x1b[0m 1:7 SIGNAL retry:uncertainty "maybe"',
+      '\x1b[1;31m[2]\x1b[0m 2:9 HIGH SEG_SCOPE_DRIFT "also"',
+      '\x1b[1;31m[3]\x1b[0m 2:14 HIGH SEG_SCOPE_DRIFT "deploy"',
+      '\x1b[1;97;41m[4]\x1b[0m 2:23 CRITICAL SPS_RISKY_OPERATION "rm -rf"',
+      '\x1b[4m[5]\x1b[0m 2:36 SIGNAL retry:uncertainty "Should I"',
+      '\x1b[1;31m[6]\x1b[0m 2:45 HIGH SEG_SCOPE_DRIFT "deploy"',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render escaped HTML with overlapping spans split', () => {
+    const engine = new GovernanceEngine({
+      capsule: { ...capsule, governance: { ...capsule.governance, RFE: { requiredHeaders: ['Plan'], retryPressure: {} } } },
+      evidenceSpans: true
+    });
+    const report = engine.evaluate({ task, output });
+
+    const html = annotateOutput(output, report, { format: 'html' });
+
+    assert.strictEqual(html, [
+      '<div class="dgp-annotated">',
+      '<pre class="dgp-output">Plan: <mark class="dgp-span dgp-signal">maybe</mark><sup class="dgp-marker"><a href="#dgp-span-1">[1]</a></sup> GET &lt;users&gt;',
+      'Action: <mark class="dgp-span dgp-high">also</mark><sup class="dgp-marker"><a href="#dgp-span-2">[2]</a></sup> ' +
+        '<mark class="dgp-span dgp-high">deploy</mark><sup class="dgp-marker"><a href="#dgp-span-3">[3]</a></sup> &amp; ' +
+        '<mark class="dgp-span dgp-critical">rm -rf</mark><sup class="dgp-marker"><a href="#dgp-span-4">[4]</a></sup> dist. ' +
+        '<mark class="dgp-span dgp-signal">Should I</mark><sup class="dgp-marker"><a href="#dgp-span-5">[5]</a></sup>' +
+        '<mark class="dgp-span dgp-signal"> </mark>' +
+        '<mark class="dgp-span dgp-high">deploy</mark><sup class="dgp-marker"><a href="#dgp-span-7">[7]</a></sup>' +
+        '<mark class="dgp-span dgp-signal">?</mark><sup class="dgp-marker"><a href="#dgp-span-6">[6]</a></sup></pre>',
+      '<ol class="dgp-legend">',
+      '<li id="dgp-span-1" class="dgp-signal"><code>1:7</code> SIGNAL retry:uncertainty <q>maybe</q></li>',
+      '<li id="dgp-span-2" class="dgp-high"><code>2:9</code> HIGH SEG_SCOPE_DRIFT <q>also</q></li>',
+      '<li id="dgp-span-3" class="dgp-high"><code>2:14</code> HIGH SEG_SCOPE_DRIFT <q>deploy</q></li>',
+      '<li id="dgp-span-4" class="dgp-critical"><code>2:23</code> CRITICAL SPS_RISKY_OPERATION <q>rm -rf</q></li>',
+      '<li id="dgp-span-5" class="dgp-signal"><code>2:36</code> SIGNAL retry:uncertainty <q>Should I</q></li>',
+      '<li id="dgp-span-6" class="dgp-signal"><code>2:36</code> SIGNAL retry:question <q>Should I deploy?</q></li>',
+      '<li id="dgp-span-7" class="dgp-high"><code>2:45</code> HIGH SEG_SCOPE_DRIFT <q>deploy</q></li>',
+      '</ol>',
+      '</div>',
+      ''
+    ].join('\n'));
+  });
+
+  it('should leave outputs without spans unannotated', () => {
+    const report = new GovernanceEngine({ capsule }).evaluate({ task, output: 'Plan: ok\nAction: GET' });
+
+    assert.strictEqual(annotateOutput('Plan: ok\nAction: GET', report), 'Plan: ok\nAction: GET\n');
+    assert.throws(() => annotateOutput(output, report, { format: 'pdf' }), /must be one of ansi, html/);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { GovernanceEngine, ViolationCode } from '../../src/core/GovernanceEngine.js';
+import { ValidatorRegistry } from '../../src/core/ValidatorRegistry.js';
+import { renderSarif, renderJUnit, formatReport } from '../../src/report/index.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const vector = (id) => VECTORS.find(v => v.id.startsWith(id));
+
+const evaluateWithSpans = (id) => {
+  const v = vector(id);
+  const engine = new GovernanceEngine({ capsule: v.capsule, evidenceSpans: true, now: () => '2026-02-11T00:00:00.000Z' });
+  return engine.evaluate({ task: v.task, output: v.output, baseline: v.baseline });
+};
+
+describe('SARIF exporter', () => {
+  it('should declare one rule per violation code', () => {
+    const { runs } = JSON.parse(renderSarif([]));
+    const { driver } = runs[0].tool;
+
+    assert.deepStrictEqual(driver.rules.map(r => r.id), Object.values(ViolationCode));
+    assert.deepStrictEqual(driver.rules.find(r => r.id === 'FOP_ESCALATION_MISSED').defaultConfiguration, { level: 'error' });
+    assert.deepStrictEqual(driver.rules.find(r => r.id === 'HEADER_ORDER_INVALID').defaultConfiguration, { level: 'warning' });
+    assert.deepStrictEqual(driver.rules.find(r => r.id === 'FOP_FALSE_ESCALATION').defaultConfiguration, { level: 'note' });
+    assert.deepStrictEqual(runs[0].results, []);
+  });
+
+  it('should locate violations by their evidence spans', () => {
+    const log = JSON.parse(renderSarif([{ report: evaluateWithSpans('v1-04'), uri: 'plans/api.md' }]));
+    const [result] = log.runs[0].results;
+
+    assert.strictEqual(log.version, '2.1.0');
+    assert.strictEqual(log.runs[0].tool.driver.version, '0.1.0');
+    assert.deepStrictEqual(log.runs[0].artifacts, [{ location: { uri: 'plans/api.md' } }]);
+    assert.strictEqual(result.ruleId, 'SEG_SCOPE_DRIFT');
+    assert.strictEqual(result.ruleIndex, 2);
+    assert.strictEqual(result.level, 'error');
+    assert.deepStrictEqual(result.locations.map(l => l.physicalLocation.region), [
+      { startLine: 2, startColumn: 39, endLine: 2, endColumn: 43, charOffset: 46, charLength: 4, snippet: { text: 'also' } },
+      { startLine: 2, startColumn: 73, endLine: 2, endColumn: 85, charOffset: 80, charLength: 12, snippet: { text: 'additionally' } }
+    ]);
+    assert.deepStrictEqual(result.properties, { severity: 'HIGH', evidence: ['also', 'additionally'], taskId: 'api-endpoint', action: 'RETRY' });
+  });
+
+  it('should fall back to artifact-only locations and bare reports', () => {
+    const log = JSON.parse(renderSarif([
+      { report: vector('v1-03').expected, uri: 'plans/migration.md' },
+      vector('v1-04').expected
+    ]));
+    const [blocked, drifted] = log.runs[0].results;
+
+    assert.deepStrictEqual(blocked.locations, [{ physicalLocation: { artifactLocation: { uri: 'plans/migration.md', index: 0 } } }]);
+    assert.strictEqual(blocked.level, 'error');
+    assert.strictEqual(drifted.locations, undefined);
+    assert.throws(() => renderSarif(vector('v1-03').expected), /requires an array/);
+  });
+
+
+  it('should declare rules for plugin violation codes', () => {
+    const v = vector('v1-01');
+    const validators = new ValidatorRegistry()
+      .register('citations', () => ({ score: 0, violations: [{ code: 'CITATION_MISSING', message: 'No citations' }] }));
+    const engine = new GovernanceEngine({
+      capsule: { ...v.capsule, plugins: { citations: { weight: 0.1, severity: 'LOW' } } },
+      validators
+    });
+    const report = engine.evaluate({ task: v.task, output: v.output });
+
+    const { runs } = JSON.parse(renderSarif([report, report]));
+    const { rules } = runs[0].tool.driver;
+
+    assert.strictEqual(rules.length, Object.values(ViolationCode).length + 1);
+    assert.deepStrictEqual(rules[rules.length - 1], {
+      id: 'CITATION_MISSING',
+      shortDescription: { text: 'Plugin validator violation (custom governance dimension)' },
+      defaultConfiguration: { level: 'note' },
+      properties: { severity: 'LOW' }
+    });
+    assert.deepStrictEqual(runs[0].results.map(r => [r.ruleId, r.ruleIndex, r.level]), [
+      ['CITATION_MISSING', rules.length - 1, 'note'],
+      ['CITATION_MISSING', rules.length - 1, 'note']
+    ]);
+  });
+});
+
+describe('JUnit exporter', () => {
+  it('should fail BLOCK and RETRY test cases', () => {
+    const xml = renderJUnit(VECTORS.slice(1, 4).map(v => v.expected), { name: 'release-plans' });
+
+    assert.strictEqual(xml, [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<testsuites name="release-plans" tests="3" failures="2">',
+      '  <testsuite name="release-plans" tests="3" failures="2" errors="0" skipped="0">',
+      '    <testcase classname="release-plans" name="pricing-change">',
+      '      <system-out>ESCALATE 100/80: High-risk task correctly escalated to founder oversight</system-out>',
+      '    </testcase>',
+      '    <testcase classname="release-plans" name="database-migration">',
+      '      <failure type="BLOCK" message="CRITICAL violation: High-risk database migration without founder approval">' +
+        '[CRITICAL] FOP_ESCALATION_MISSED: High-risk task requires founder oversight but no escalation detected (evidence: requiresEscalation: true; detected: false)</failure>',
+      '      <system-out>BLOCK 49/80: CRITICAL violation: High-risk database migration without founder approval</system-out>',
+      '    </testcase>',
+      '    <testcase classname="release-plans" name="api-endpoint">',
+      '      <failure type="RETRY" message="Scope drift detected - output should focus on GET endpoint only">' +
+        '[HIGH] SEG_SCOPE_DRIFT: Output exceeds defined task scope with multiple drift incidents (evidence: also; additionally)</failure>',
+      '      <system-out>RETRY 79/80: Scope drift detected - output should focus on GET endpoint only</system-out>',
+      '    </testcase>',
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n'));
+  });
+
+  it('should name cases and escape XML', () => {
+    const report = structuredClone(vector('v1-04').expected);
+    report.verdict.violations[0].evidence = ['<b>"a" & b</b>\u0007'];
+
+    const xml = renderJUnit([{ report, name: 'api <v2>' }]);
+
+    assert.match(xml, /<testcase classname="dgp" name="api &lt;v2&gt;">/);
+    assert.match(xml, /\(evidence: &lt;b&gt;&quot;a&quot; &amp; b&lt;\/b&gt;\)<\/failure>/);
+  });
+
+  it('should be reachable through formatReport', () => {
+    const report = vector('v1-01').expected;
+
+    assert.strictEqual(formatReport(report, { format: 'junit' }), renderJUnit([report]));
+    assert.strictEqual(formatReport(report, { format: 'sarif', uri: 'out.md' }), renderSarif([{ report, uri: 'out.md' }]));
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { GovernanceEngine } from '../../src/core/GovernanceEngine.js';
+import { formatReport, renderText, renderMarkdown, renderHtml } from '../../src/report/index.js';
+
+const VECTORS = JSON.parse(fs.readFileSync(new URL('../vectors/canonical-v1.json', import.meta.url), 'utf8')).vectors;
+const vector = (id) => VECTORS.find(v => v.id.startsWith(id));
+
+describe('report renderers', () => {
+  it('should render Markdown for a blocked report', () => {
+    assert.strictEqual(renderMarkdown(vector('v1-03').expected), [
+      '### DGP governance: BLOCK (49/80, non-compliant)',
+      '',
+      '**Task:** `database-migration` (HIGH) · **Confidence:** 0.67',
+      '',
+      '> CRITICAL violation: High-risk database migration without founder approval',
+      '',
+      '| Component | Score | Weight | Details |',
+      '|-----------|------:|-------:|---------|',
+      '| Headers | 100 | 25% | coverage 100% |',
+      '| Drift | 100 | 30% | 0 incidents |',
+      '| Retry pressure | 100 | 20% | pressure 0 |',
+      '| Escalation | 0 | 25% | required true; detected false |',
+      '',
+      '#### Violations',
+      '',
+      '| Severity | Code | Message | Evidence |',
+      '|----------|------|---------|----------|',
+      '| CRITICAL | `FOP_ESCALATION_MISSED` | High-risk task requires founder oversight but no escalation detected | requiresEscalation: true<br>detected: false |',
+      '',
+      '#### Recommended actions',
+      '',
+      '1. **BLOCK** (URGENT): CRITICAL violation: High-risk database migration without founder approval',
+      '',
+      '<sub>capsule 1.0 · engine 0.1.0 · evaluated 2026-02-11T00:00:00.000Z</sub>',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render deltas and custom weights', () => {
+    const withDeltas = renderMarkdown(vector('v1-06').expected);
+    const weighted = renderMarkdown(vector('v1-08').expected);
+
+    assert.match(withDeltas, /#### Baseline deltas\n\n- Drift reduction: 80%\n- Retry reduction: 100%\n/);
+    assert.match(weighted, /\| Drift \| 100 \| 50% \|/);
+  });
+
+  it('should escape table cells', () => {
+    const report = structuredClone(vector('v1-04').expected);
+    report.verdict.violations[0].evidence = ['a|b', 'kubectl\\s+apply', '<script>'];
+
+    assert.match(renderMarkdown(report), /\| a\\\|b<br>kubectl\\\\s\+apply<br>&lt;script> \|/);
+  });
+
+  it('should render compact text with evidence', () => {
+    assert.strictEqual(renderText(vector('v1-03').expected), [
+      'BLOCK  score 49/80  non-compliant  confidence 0.67',
+      'task: database-migration (HIGH)',
+      'reason: CRITICAL violation: High-risk database migration without founder approval',
+      '',
+      'headers     coverage 100%',
+      'drift       100  incidents 0',
+      'retry       100',
+      'escalation  required true  detected false  ok false',
+      '',
+      'violations:',
+      '  [CRITICAL] FOP_ESCALATION_MISSED: High-risk task requires founder oversight but no escalation detected',
+      '      evidence: requiresEscalation: true; detected: false',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render a standalone HTML page', () => {
+    const html = renderHtml(vector('v1-06').expected);
+
+    assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>DGP governance: ALLOW — form-validation</title>\n<style>'));
+    assert.ok(html.endsWith('<footer>capsule 1.0 · engine 0.1.0 · evaluated 2026-02-11T00:00:00.000Z</footer>\n</body>\n</html>\n'));
+    assert.ok(html.includes('<h1><span class="dgp-action dgp-allow">ALLOW</span> 96/80 compliant</h1>'));
+    assert.ok(html.includes('<tr><td>Drift</td><td class="num">85</td><td class="num">30%</td><td>1 incident: also</td></tr>'));
+    assert.ok(html.includes('<h2>Baseline deltas</h2>\n<ul>\n<li>Drift reduction: 80%</li>'));
+    assert.strictEqual(html.includes('<script'), false);
+    assert.strictEqual(renderHtml(vector('v1-06').expected), html);
+  });
+
+  it('should embed the annotated output in HTML', () => {
+    const v = vector('v1-04');
+    const engine = new GovernanceEngine({ capsule: v.capsule, evidenceSpans: true, now: () => '2026-02-11T00:00:00.000Z' });
+    const report = engine.evaluate({ task: v.task, output: v.output });
+
+    const html = renderHtml(report, { output: v.output });
+
+    assert.match(html, /<h2>Output<\/h2>\n<div class="dgp-annotated">\n<pre class="dgp-output">/);
+    assert.match(html, /<li id="dgp-span-1" class="dgp-high"><code>\d+:\d+<\/code> HIGH SEG_SCOPE_DRIFT/);
+  });
+
+  it('should dispatch by format name', () => {
+    const report = vector('v1-01').expected;
+
+    assert.strictEqual(formatReport(report), renderText(report));
+    assert.strictEqual(formatReport(report, { format: 'markdown' }), renderMarkdown(report));
+    assert.deepStrictEqual(JSON.parse(formatReport(report, { format: 'json' })), report);
+    assert.throws(() => formatReport(report, { format: 'pdf' }), /must be one of text, markdown, html, json/);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ConstraintChecker, ConstraintKind } from '../../src/validators/ConstraintChecker.js';
+
+describe('ConstraintChecker', () => {
+  it('should parse the constraint grammar', () => {
+    const parsed = [
+      'Must mention rollback.',
+      'must not mention "kubectl apply"',
+      "mustn't mention deploy",
+      'must include section Rollback Plan',
+      'must include a `Gates` section',
+      'must not contain a bash code block',
+      'no code blocks',
+      'must not include any code block',
+      'order: Plan before Action',
+      '"tests pass" must come before `deploy`',
+      'Be concise'
+    ].map(ConstraintChecker.parse);
+
+    assert.deepStrictEqual(parsed, [
+      { kind: ConstraintKind.MENTION, term: 'rollback' },
+      { kind: ConstraintKind.NO_MENTION, term: 'kubectl apply' },
+      { kind: ConstraintKind.NO_MENTION, term: 'deploy' },
+      { kind: ConstraintKind.SECTION, term: 'Rollback Plan' },
+      { kind: ConstraintKind.SECTION, term: 'Gates' },
+      { kind: ConstraintKind.NO_CODE_BLOCK, language: 'bash' },
+      { kind: ConstraintKind.NO_CODE_BLOCK, language: null },
+      { kind: ConstraintKind.NO_CODE_BLOCK, language: null },
+      { kind: ConstraintKind.ORDER, before: 'Plan', after: 'Action' },
+      { kind: ConstraintKind.ORDER, before: 'tests pass', after: 'deploy' },
+      null
+    ]);
+  });
+
+  it('should report broken constraints with evidence and matches', () => {
+    const checker = new ConstraintChecker();
+    const output = [
+      'Action: deploy the build',
+      '```bash',
+      'npm run deploy',
+      '```',
+      'Plan: redeploy after the tests'
+    ].join('\n');
+
+    const result = checker.check(output, [
+      'must mention rollback',
+      'must not mention deploy',
+      'must include section Plan',
+      'must include section Gates',
+      'no bash code blocks',
+      'no python code blocks',
+      'order: Plan before Action',
+      'Be careful'
+    ]);
+
+    assert.strictEqual(result.checked, 7);
+    assert.deepStrictEqual(result.unrecognized, [{ index: 7, constraint: 'Be careful' }]);
+    assert.deepStrictEqual(result.violated.map(v => [v.index, v.kind, v.evidence]), [
+      [0, 'mention', ['not mentioned: rollback']],
+      [1, 'no-mention', ['line 1: deploy', 'line 3: deploy']],
+      [3, 'section', ['missing section: Gates']],
+      [4, 'no-code-block', ['line 2: ```bash']],
+      [6, 'order', ['Action (line 1) before Plan (line 5)']]
+    ]);
+    assert.deepStrictEqual(result.violated[1].matches, [
+      { text: 'deploy', position: 8, line: 1 },
+      { text: 'deploy', position: 41, line: 3 }
+    ]);
+    assert.deepStrictEqual(result.violated[3].matches, [{ text: '```bash', position: 25, line: 2 }]);
+  });
+
+  it('should hold ordering when the later term is absent or preceded', () => {
+    const checker = new ConstraintChecker();
+
+    const held = checker.check('Run tests, then deploy. Tests pass.', ['order: tests before deploy', 'order: rollback before deploy', 'order: deploy before rollback']);
+    const missing = checker.check('Deploy now.', ['order: tests before deploy']);
+
+    assert.deepStrictEqual(held.violated.map(v => v.evidence), [['deploy (line 1) without rollback']]);
+    assert.deepStrictEqual(missing.violated[0].evidence, ['deploy (line 1) without tests']);
+  });
+
+  it('should leave prose containing "before" unrecognized', () => {
+    const checker = new ConstraintChecker();
+    const prose = [
+      'Ask before deleting files',
+      'Run tests before you deploy',
+      'Do not deploy before tests pass',
+      '"Plan" before Action'
+    ];
+
+    const result = checker.check('We are deleting files now. Deploy, then run tests.', prose);
+
+    assert.deepStrictEqual(prose.map(ConstraintChecker.parse), [null, null, null, null]);
+    assert.strictEqual(result.checked, 0);
+    assert.deepStrictEqual(result.violated, []);
+    assert.deepStrictEqual(result.unrecognized.map(u => u.index), [0, 1, 2, 3]);
+  });
+
+  it('should reject constraints that are not strings', () => {
+    const checker = new ConstraintChecker();
+
+    assert.throws(() => checker.check('x', 'must mention x'), TypeError);
+    assert.throws(() => checker.check('x', ['must mention x', 42]), /array of strings/);
+  });
+});
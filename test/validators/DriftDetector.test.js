@@ -52,6 +52,19 @@ describe('DriftDetector', () => {
     assert.strictEqual(result.matches.length, 0);
   });
 
+  it('should report every occurrence with its position and length', () => {
+    const detector = new DriftDetector({ keywords: ['deploy', 'install'], patterns: [/v\d+\.\d+/] });
+
+    const result = detector.detect('Install v2.1, then Deploy and deploy again');
+
+    assert.deepStrictEqual(result.occurrences, [
+      { keyword: 'install', position: 0, length: 7 },
+      { keyword: 'v2.1', position: 8, length: 4 },
+      { keyword: 'deploy', position: 19, length: 6 },
+      { keyword: 'deploy', position: 30, length: 6 }
+    ]);
+  });
+
   it('should compute reduction correctly', () => {
     assert.strictEqual(DriftDetector.computeReduction(10, 5), 50);
     assert.strictEqual(DriftDetector.computeReduction(10, 7), 30);
@@ -72,4 +85,92 @@ describe('DriftDetector', () => {
       new DriftDetector({});
     }, /requires keywords array/);
   });
+
+  describe('context-aware mode', () => {
+    const detector = new DriftDetector({ keywords: ['deploy', 'install'], contextAware: true });
+    const classify = (output) => detector.detect(output).mentions.map(m => [m.keyword, m.classification, m.cue]);
+
+    it('should not count refusals and negations', () => {
+      assert.deepStrictEqual(classify('I will not deploy this. Avoid any install steps. Deploy is out of scope.'), [
+        ['deploy', 'negated', 'will not'],
+        ['install', 'negated', 'avoid'],
+        ['deploy', 'negated', 'is out of scope']
+      ]);
+      assert.strictEqual(detector.detect('I will not deploy this.').count, 0);
+    });
+
+    it('should classify quoted and hypothetical mentions', () => {
+      assert.deepStrictEqual(classify('The "deploy" job exists. Run `npm install` later. If approved, we could deploy.'), [
+        ['deploy', 'quoted', null],
+        ['install', 'quoted', null],
+        ['deploy', 'hypothetical', 'could']
+      ]);
+    });
+
+    it('should count affirmative mentions only', () => {
+      const result = detector.detect("Don't worry, I will deploy now.\nThen install redis; I won't deploy twice.");
+
+      assert.strictEqual(result.count, 2);
+      assert.deepStrictEqual(result.matches, ['deploy', 'install']);
+      assert.deepStrictEqual(result.mentions.map(DriftDetector.describeMention), [
+        'deploy (line 1): affirmative',
+        'install (line 2): affirmative',
+        'deploy (line 2): negated by "won\'t"'
+      ]);
+    });
+
+    it('should keep plain counting when disabled', () => {
+      const plain = new DriftDetector({ keywords: ['deploy'] });
+
+      assert.strictEqual(plain.detect('I will not deploy this.').count, 1);
+      assert.strictEqual(plain.detect('I will not deploy this.').mentions, undefined);
+    });
+  });
+
+  describe('lexicon entries', () => {
+    it('should match whole words only', () => {
+      const literal = new DriftDetector({ keywords: ['tag'] });
+      const word = new DriftDetector({ keywords: [{ term: 'tag', match: 'word' }] });
+      const output = 'Stage the advantage, then tag v1.2 (Tag_old stays).';
+
+      assert.strictEqual(literal.detect(output).count, 4);
+      assert.deepStrictEqual(word.detect(output).positions, [26]);
+    });
+
+    it('should match stems at word starts', () => {
+      const detector = new DriftDetector({ keywords: [{ term: 'deploy', match: 'stem' }] });
+
+      const result = detector.detect('Deployed, redeploy, deploying and deployment.');
+
+      assert.strictEqual(result.count, 3);
+      assert.deepStrictEqual(result.matches, ['deploy']);
+    });
+
+    it('should match regex entries case-insensitively', () => {
+      const detector = new DriftDetector({ keywords: [{ term: 'kubectl\\s+(?:apply|delete)', match: 'regex' }] });
+
+      const result = detector.detect('Run KUBECTL apply -f x.yaml, then kubectl delete pod y.');
+
+      assert.strictEqual(result.count, 2);
+      assert.deepStrictEqual(result.matches, ['kubectl\\s+(?:apply|delete)']);
+    });
+
+    it('should sum weights', () => {
+      const detector = new DriftDetector({ keywords: ['cache', { term: 'deploy', match: 'word', weight: 2.5 }] });
+
+      const result = detector.detect('Deploy, then cache and deploy again.');
+
+      assert.strictEqual(result.count, 3);
+      assert.strictEqual(result.weighted, 6);
+      assert.strictEqual(detector.isLiteral(), false);
+      assert.strictEqual(detector.isLiteral(['cache']), true);
+    });
+
+    it('should reject invalid entries', () => {
+      assert.throws(() => new DriftDetector({ keywords: [{ term: 'x', match: 'fuzzy' }] }), /invalid match: fuzzy/);
+      assert.throws(() => new DriftDetector({ keywords: [{ term: 'x', weight: 0 }] }), /positive weight/);
+      assert.throws(() => new DriftDetector({ keywords: [{ term: '(', match: 'regex' }] }), /invalid regex/);
+      assert.throws(() => new DriftDetector({ keywords: [{ match: 'word' }] }), /non-empty term/);
+    });
+  });
 });
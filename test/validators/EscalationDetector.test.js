@@ -84,6 +84,20 @@ describe('EscalationDetector', () => {
     assert.strictEqual(result.correct, null);
   });
 
+  it('should locate every trigger occurrence', () => {
+    const detector = new EscalationDetector({ triggers: ['sign-off'] });
+
+    const result = detector.check('Need approval. Escalating for sign-off; escalate again if needed.');
+
+    assert.deepStrictEqual(result.triggers, ['escalat', 'need approval', 'sign-off']);
+    assert.deepStrictEqual(result.occurrences, [
+      { trigger: 'need approval', position: 0, length: 13 },
+      { trigger: 'escalat', position: 15, length: 7 },
+      { trigger: 'sign-off', position: 30, length: 8 },
+      { trigger: 'escalat', position: 40, length: 7 }
+    ]);
+  });
+
   it('should use confidence threshold', () => {
     const strictDetector = new EscalationDetector({ confidenceThreshold: 0.9 });
     const lenientDetector = new EscalationDetector({ confidenceThreshold: 0.5 });
@@ -91,4 +91,106 @@ System-Level Logs: RFE/SPS/SEG/FOP
       checker.validate(123);
     }, /Output must be a string/);
   });
+
+  it('should parse markdown, emoji and label headers outside code', () => {
+    const checker = new HeaderChecker({ required: [] });
+
+    const output = [
+      '## Plan',
+      '⚡ Action: run migration',
+      '**Gates:** tests pass',
+      '- Rollback: restore snapshot',
+      'The reason we are doing all of this now: deadlines',
+      '```yaml',
+      'Image: app:latest',
+      '```'
+    ].join('\n');
+
+    assert.deepStrictEqual(checker.parseHeaders(output), [
+      { name: 'Plan', line: 1, style: 'markdown', inline: '', plain: false },
+      { name: '⚡ Action', line: 2, style: 'emoji', inline: 'run migration', plain: false },
+      { name: 'Gates', line: 3, style: 'label', inline: 'tests pass', plain: false },
+      { name: 'Rollback', line: 4, style: 'label', inline: 'restore snapshot', plain: false }
+    ]);
+  });
+
+  it('should report unexpected headers when extras are not allowed', () => {
+    const checker = new HeaderChecker({
+      required: ['🎯 Plan', 'Action'],
+      allowExtra: false,
+      allowedExtra: ['Notes']
+    });
+
+    const result = checker.validate('# 🎯 Plan\nAction: deploy\nNotes: none\n## Rollback\n- RISK: low\n**Risk:** low');
+
+    assert.deepStrictEqual(result.extra, ['Rollback', 'RISK']);
+    assert.strictEqual(result.compliant, false);
+    assert.strictEqual(result.coverage, 100);
+  });
+
+  it('should read plain labels followed by text as prose, not extra headers', () => {
+    const checker = new HeaderChecker({ required: ['Plan', 'Action'], allowExtra: false });
+
+    const prose = checker.validate('Plan: migrate users\nNote: the table is large\nExample: 10k rows\nStep 1: copy rows\nAction: run');
+    const marked = checker.validate('Plan: migrate\n**Note:** large\n- Step 1: copy rows\nExample:\nAction: run');
+
+    assert.deepStrictEqual(prose.extra, []);
+    assert.strictEqual(prose.compliant, true);
+    assert.deepStrictEqual(marked.extra, ['Note', 'Step 1', 'Example']);
+  });
+
+  it('should not report extras by default', () => {
+    const checker = new HeaderChecker({ required: ['Plan'] });
+
+    const result = checker.validate('Plan: x\nBonus: y');
+
+    assert.deepStrictEqual(result.extra, []);
+    assert.strictEqual(result.compliant, true);
+  });
+
+  describe('structure mode', () => {
+    const structure = { ordered: true, minSectionLength: 10, unique: true };
+
+    it('should extract section bodies', () => {
+      const checker = new HeaderChecker({ required: ['Plan', 'Action'], structure: {} });
+
+      const sections = checker.parseSections('## Plan\n- Step: fetch users\n- Step: cache\n\nAction: GET /users\n```bash\ncurl /users\n```');
+
+      assert.deepStrictEqual(sections, [
+        { name: 'Plan', header: 'Plan', line: 1, endLine: 4, body: '- Step: fetch users\n- Step: cache' },
+        { name: 'Action', header: 'Action', line: 5, endLine: 8, body: 'GET /users\n```bash\ncurl /users\n```' }
+      ]);
+    });
+
+    it('should only count headers that start a section', () => {
+      const checker = new HeaderChecker({ required: ['Plan', 'Action'], strict: true, structure: {} });
+
+      const result = checker.validate('We skipped the plan.\nAction: GET /users');
+
+      assert.deepStrictEqual(result.missing, ['Plan']);
+      assert.strictEqual(result.compliant, false);
+    });
+
+    it('should report order, short and duplicate sections', () => {
+      const checker = new HeaderChecker({ required: ['Plan', 'Action'], strict: true, structure });
+
+      const result = checker.validate('Action: GET /users now\n## Plan\nok\nAction: again, GET /users');
+
+      assert.deepStrictEqual(result.structure, {
+        order: ['Plan (line 2) after Action (line 1)'],
+        empty: ['Plan (2 chars)'],
+        duplicates: ['Action (lines 1, 4)']
+      });
+      assert.strictEqual(result.compliant, false);
+    });
+
+    it('should accept well-formed sections', () => {
+      const checker = new HeaderChecker({ required: ['Plan', 'Action'], strict: true, structure });
+
+      const result = checker.validate('Plan: fetch users page by page\nAction: GET /users?page=1');
+
+      assert.deepStrictEqual(result.structure, { order: [], empty: [], duplicates: [] });
+      assert.strictEqual(result.compliant, true);
+    });
+  });
 });
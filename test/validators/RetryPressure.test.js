@@ -119,4 +119,65 @@ I think it might work but unclear
     assert(result.normalized >= 0 && result.normalized <= 1.0);
     assert(result.score >= 0 && result.score <= 100);
   });
+
+  it('should honour constructor penalties', () => {
+    const calculator = new RetryPressure({ uncertaintyPenalty: 0.15, placeholderPenalty: 0.3 });
+
+    const result = calculator.compute('Maybe we should try this? TODO: confirm approach');
+
+    assert.strictEqual(result.normalized, 0.45);
+  });
+
+  describe('extended mode', () => {
+    const calculator = new RetryPressure({ extended: true });
+
+    it('should penalize user-directed questions but not rhetorical ones', () => {
+      const result = calculator.compute('Plan: cache results.\nWhy is it slow? The query scans. Do you want me to add an index?');
+
+      assert.deepStrictEqual(result.signals, ['Do you want me to add an index?']);
+      assert.strictEqual(result.factors.questions, 0.2);
+      assert.strictEqual(result.normalized, 0.2);
+    });
+
+    it('should penalize truncated endings only when output ends in prose', () => {
+      const truncated = calculator.compute('Plan: migrate users\nAction: copy rows from the old table and');
+      const beforeCode = calculator.compute('Plan: migrate users\nAction: run:\n```bash\nnpm run migrate\n```\n');
+
+      assert.deepStrictEqual(truncated.signals, ['Action: copy rows from the old table and']);
+      assert.strictEqual(truncated.factors.truncation, 0.3);
+      assert.strictEqual(beforeCode.normalized, 0);
+    });
+
+    it('should not read finished label lines and letters as truncated', () => {
+      for (const output of [
+        'Plan: migrate users\nRollback: see Plan A',
+        'Plan: migrate users\nAction: copy rows\nGates:',
+        'Plan: pick an option\nAction: go with option B or option a'
+      ]) {
+        assert.strictEqual(calculator.compute(output).factors.truncation, 0, output);
+      }
+    });
+
+    it('should penalize unclosed code fences', () => {
+      const result = calculator.compute('Action:\n```python\ndef migrate(rows):\n    return [r for r in rows if r.active]');
+
+      assert.deepStrictEqual(result.signals, ['```python']);
+      assert.strictEqual(result.factors.unclosedFence, 0.3);
+      assert.strictEqual(result.factors.questions, 0); // `?` in code never counts
+    });
+
+    it('should scale the header penalty by the fraction missing', () => {
+      const result = calculator.compute('Plan: done.', { requiredHeaders: ['Plan', 'Gates', 'Action', 'Logs'] });
+
+      assert.strictEqual(result.factors.missingHeaders, 0.38);
+      assert.strictEqual(result.normalized, 0.38);
+    });
+
+    it('should leave frozen v1.0 scoring unchanged when disabled', () => {
+      const output = 'Plan: Can you confirm the schema?\nAction: update the';
+
+      assert.strictEqual(new RetryPressure().compute(output).normalized, 0);
+      assert.strictEqual(calculator.compute(output).normalized, 0.5);
+    });
+  });
 });
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SafetyProtocolChecker } from '../../src/validators/SafetyProtocolChecker.js';
+
+describe('SafetyProtocolChecker', () => {
+  it('should detect default risky operations in prose and code blocks', () => {
+    const checker = new SafetyProtocolChecker();
+
+    const output = [
+      'Plan: clean up, then deploy the build to production.',
+      '```bash',
+      'rm -rf /var/lib/app',
+      'git push origin main --force',
+      '```',
+      'Finally run DROP TABLE sessions; and chmod 777 uploads/'
+    ].join('\n');
+    const result = checker.check(output);
+
+    assert.strictEqual(result.detected, true);
+    assert.strictEqual(result.highestSeverity, 'CRITICAL');
+    assert.deepStrictEqual(result.operations.map(op => op.id), [
+      'drop-table', 'rm-rf', 'chmod-777', 'git-force-push', 'production-deploy'
+    ]);
+    assert.deepStrictEqual(result.operations[1].matches, [
+      { text: 'rm -rf', offset: 61, line: 3, context: 'code', language: 'bash', excerpt: 'rm -rf /var/lib/app' }
+    ]);
+    assert.strictEqual(result.operations[0].matches[0].context, 'prose');
+  });
+
+  it('should match flag variants case-insensitively', () => {
+    const checker = new SafetyProtocolChecker();
+
+    for (const command of ['rm -Rf build', 'rm -fr build', 'rm -r -f build', 'RM -rvf build']) {
+      assert.deepStrictEqual(checker.check(command).operations.map(op => op.id), ['rm-rf'], command);
+    }
+    assert.strictEqual(checker.check('rm -r build').detected, false);
+    assert.strictEqual(checker.check('git push -f').detected, true);
+    assert.strictEqual(checker.check('git push origin feature').detected, false);
+  });
+
+  it('should tell --force-with-lease apart from --force', () => {
+    const checker = new SafetyProtocolChecker();
+
+    const lease = checker.check('git push --force-with-lease=main origin main');
+    const force = checker.check('git push origin main --force');
+
+    assert.deepStrictEqual(lease.operations.map(op => [op.id, op.severity, op.matches[0].text]), [
+      ['git-force-push-with-lease', 'MEDIUM', 'git push --force-with-lease']
+    ]);
+    assert.deepStrictEqual(force.operations.map(op => [op.id, op.matches[0].text]), [
+      ['git-force-push', 'git push origin main --force']
+    ]);
+    assert.strictEqual(checker.check('git push --force-if-includes origin main').detected, false);
+  });
+
+  it('should not count negated mentions in prose', () => {
+    const checker = new SafetyProtocolChecker();
+
+    const output = [
+      'Never run `rm -rf /` on the host.',
+      'Do not DROP TABLE users; dropping columns is enough.',
+      'A chmod 777 on uploads is not allowed.',
+      'This migration could drop table audit_log.',
+      '```bash',
+      '# never rm -rf here',
+      '```'
+    ].join('\n');
+    const result = checker.check(output);
+
+    assert.deepStrictEqual(result.operations.map(op => [op.id, op.matches.map(m => m.line)]), [
+      ['drop-table', [4]],
+      ['rm-rf', [6]]
+    ]);
+  });
+
+  it('should ignore operations below the threshold', () => {
+    const checker = new SafetyProtocolChecker({ threshold: 'CRITICAL' });
+
+    const result = checker.check('git push --force && rm -rf dist');
+
+    assert.deepStrictEqual(result.operations.map(op => op.id), ['rm-rf']);
+  });
+
+  it('should honour custom entries, overrides and scope', () => {
+    const checker = new SafetyProtocolChecker({
+      defaults: true,
+      operations: [
+        { id: 'terraform-destroy', severity: 'CRITICAL', patterns: ['terraform\\s+destroy'], scope: 'code' },
+        { id: 'chmod-777', severity: 'MEDIUM', patterns: ['chmod\\s+777'] }
+      ]
+    });
+
+    const prose = checker.check('We will not terraform destroy anything; chmod 777 is banned.');
+    const code = checker.check('~~~sh\nterraform destroy -auto-approve\n~~~');
+
+    assert.deepStrictEqual(prose.operations.map(op => [op.id, op.severity]), [['chmod-777', 'MEDIUM']]);
+    assert.deepStrictEqual(code.operations.map(op => op.id), ['terraform-destroy']);
+    assert.strictEqual(code.operations[0].description, 'terraform-destroy');
+  });
+
+  it('should disable the built-in catalogue', () => {
+    const checker = new SafetyProtocolChecker({ defaults: false });
+
+    assert.strictEqual(checker.check('rm -rf /').detected, false);
+  });
+
+  it('should reject invalid catalogue entries', () => {
+    assert.throws(() => new SafetyProtocolChecker({ operations: [{ id: 'x', severity: 'SEVERE', patterns: ['x'] }] }), /invalid severity/);
+    assert.throws(() => new SafetyProtocolChecker({ operations: [{ id: 'x', severity: 'LOW', patterns: ['('] }] }), /invalid pattern/);
+    assert.throws(() => new SafetyProtocolChecker({ operations: [{ id: 'x', severity: 'LOW', patterns: [] }] }), /at least one pattern/);
+    assert.throws(() => new SafetyProtocolChecker({ threshold: 'NONE' }), /threshold must be one of/);
+  });
+});
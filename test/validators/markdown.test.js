@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { scanLines } from '../../src/validators/markdown.js';
+
+describe('scanLines', () => {
+  it('should tag prose and fenced code lines with offsets', () => {
+    const { lines, blocks, unclosedFence } = scanLines('Plan:\r\n```Bash\nnpm test\n```\nDone');
+
+    assert.deepStrictEqual(lines, [
+      { text: 'Plan:', line: 1, offset: 0, context: 'prose', language: null },
+      { text: 'npm test', line: 3, offset: 15, context: 'code', language: 'bash' },
+      { text: 'Done', line: 5, offset: 28, context: 'prose', language: null }
+    ]);
+    assert.deepStrictEqual(blocks, [{ text: '```Bash', line: 2, offset: 7, language: 'bash' }]);
+    assert.strictEqual(unclosedFence, null);
+  });
+
+  it('should treat unclosed fences as code until the end', () => {
+    const { lines, unclosedFence } = scanLines('intro\n````sql\n```\nDROP TABLE x;');
+
+    assert.deepStrictEqual(lines.map(l => [l.text, l.context, l.language]), [
+      ['intro', 'prose', null],
+      ['```', 'code', 'sql'],
+      ['DROP TABLE x;', 'code', 'sql']
+    ]);
+    assert.deepStrictEqual(unclosedFence, { text: '````sql', line: 2, offset: 6, language: 'sql' });
+  });
+});